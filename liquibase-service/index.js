@@ -1,131 +1,107 @@
 import express from 'express';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import { join } from 'path';
+import { existsSync } from 'fs';
+import { LIQUIBASE_COMMANDS, validateCommandOptions } from '../server/utils/liquibaseCommands.js';
+import {
+  getLiquibaseVersion,
+  removeTemporaryDefaultsFile,
+  spawnLiquibase,
+  writeTemporaryDefaultsFile
+} from '../server/utils/liquibaseProcess.js';
+import { WORKSPACE_ROOTS, resolveInsideDirectory, validateWorkspacePath } from '../server/utils/workspace.js';
 
-const execAsync = promisify(exec);
 const app = express();
 app.use(express.json());
 
 const PORT = 8080;
 
-// Command configuration with validation rules
-const COMMAND_CONFIG = {
-  status: {
-    requiresParams: false,
-    description: 'Show pending changesets and current database state'
-  },
-  validate: {
-    requiresParams: false,
-    description: 'Check if changelog files are correctly formatted'
-  },
-  updateSQL: {
-    requiresParams: false,
-    description: 'Generate SQL for pending changes without executing them'
-  },
-  update: {
-    requiresParams: false,
-    description: 'Apply all pending changesets'
-  },
-  updateCount: {
-    requiresParams: true,
-    requiredParams: ['count'],
-    description: 'Apply specific number of pending changesets'
-  },
-  rollback: {
-    requiresParams: true,
-    requiredParams: ['tag'],
-    description: 'Revert database changes to a specific tag'
-  },
-  rollbackCount: {
-    requiresParams: true,
-    requiredParams: ['count'],
-    description: 'Revert specific number of changesets'
-  },
-  tag: {
-    requiresParams: true,
-    requiredParams: ['tag'],
-    description: 'Create a new tag in the database'
-  }
-};
+// Main execution endpoint, used by the tower's remote executor.
+// The working directory must be mounted at the same path as on the tower's server, inside the
+// workspace roots (TOWER_WORKSPACE_ROOTS, see server/utils/workspace.js).
+// `defaultsFile` points into it, or `defaults` carries a generated defaults file.
+// Output is streamed as server-sent events: start, log for each line, then end.
+app.post('/execute', async (req, res) => {
+  const { command, options = {}, workingDirectory, defaultsFile, defaults } = req.body;
 
-// Validate command and its parameters
-const validateCommand = (command, options) => {
-  const config = COMMAND_CONFIG[command];
-  if (!config) {
-    throw new Error(`Invalid command: ${command}`);
+  // Commands and their parameters come from the tower's command registry
+  const invalid = validateCommandOptions(command, options);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
   }
-
-  if (config.requiresParams) {
-    for (const param of config.requiredParams) {
-      if (!options[param]) {
-        throw new Error(`${param} is required for ${command} command`);
-      }
+  const outside = validateWorkspacePath(workingDirectory);
+  if (outside) {
+    console.warn(`Rejected working directory from ${req.ip}: ${outside}`);
+    return res.status(403).json({ success: false, error: `workingDirectory ${outside}` });
+  }
+  if (!existsSync(workingDirectory)) {
+    return res.status(400).json({ success: false, error: `Working directory not mounted: ${workingDirectory}` });
+  }
+  if (typeof defaults !== 'string' && typeof defaultsFile !== 'string') {
+    return res.status(400).json({ success: false, error: 'defaultsFile or defaults is required' });
+  }
+  if (typeof defaults !== 'string') {
+    try {
+      resolveInsideDirectory(workingDirectory, defaultsFile);
+    } catch (error) {
+      console.warn(`Rejected defaults file from ${req.ip}: ${error.message}`);
+      return res.status(403).json({ success: false, error: error.message });
     }
   }
-};
 
-// Main execution endpoint
-app.post('/execute', async (req, res) => {
-  const { command, options = {} } = req.body;
-  
-  try {
-    // Validate command and parameters
-    validateCommand(command, options);
-
-    let fullCommand = 'liquibase';
-    
-    // Add defaults file if provided
-    if (options.defaultsFile) {
-      fullCommand += ` --defaultsFile="${options.defaultsFile}"`;
-    }
-    
-    // Add command-specific options
-    switch (command) {
-      case 'rollback':
-      case 'tag':
-        fullCommand += ` --tag="${options.tag}"`;
-        break;
-        
-      case 'rollbackCount':
-      case 'updateCount':
-        fullCommand += ` --count=${options.count}`;
-        break;
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     }
-    
-    // Add the main command
-    fullCommand += ` ${command}`;
-    
-    console.log(`Executing: ${fullCommand}`);
-    
-    const { stdout, stderr } = await execAsync(fullCommand);
-    
-    // Send response
-    res.json({
-      success: true,
-      output: stdout,
-      command: fullCommand,
-      warnings: stderr ? stderr.split('\n').filter(Boolean) : []
+  };
+
+  let file;
+  let liquibase;
+  try {
+    file = typeof defaults === 'string' ? await writeTemporaryDefaultsFile(defaults) : defaultsFile;
+    liquibase = spawnLiquibase({
+      workingDirectory,
+      defaultsFile: file,
+      command,
+      options,
+      onLine: (line) => sendEvent('log', line)
     });
   } catch (error) {
-    console.error('Command execution failed:', error);
-    
-    res.status(error.code === 'INVALID_COMMAND' ? 400 : 500).json({
-      success: false,
-      error: error.message,
-      stderr: error.stderr?.split('\n').filter(Boolean) || [],
-      command: error.cmd
-    });
+    console.error('Command could not start:', error);
+    return res.status(500).json({ success: false, error: error.message });
   }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  console.log(`Executing: ${liquibase.commandLine}`);
+  sendEvent('start', { command: liquibase.commandLine });
+
+  // The tower cancels a run by closing the stream
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) {
+      console.log(`Client went away, killing: ${liquibase.commandLine}`);
+      liquibase.kill();
+    }
+  });
+
+  const result = await liquibase.done;
+  finished = true;
+  if (typeof defaults === 'string') {
+    removeTemporaryDefaultsFile(file);
+  }
+
+  sendEvent('end', result);
+  res.end();
 });
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
-    const { stdout } = await execAsync('liquibase --version');
     res.json({ 
       status: 'healthy',
-      version: stdout.trim()
+      version: await getLiquibaseVersion()
     });
   } catch (error) {
     res.status(500).json({ 
@@ -137,5 +113,6 @@ app.get('/health', async (req, res) => {
 
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Liquibase service listening on port ${PORT}`);
-  console.log('Supported commands:', Object.keys(COMMAND_CONFIG).join(', '));
+  console.log('Supported commands:', Object.keys(LIQUIBASE_COMMANDS).join(', '));
+  console.log('Workspace roots:', WORKSPACE_ROOTS.join(', '));
 });
\ No newline at end of file
@@ -10,8 +10,14 @@ readonly BLUE='\033[0;34m'
 readonly CYAN='\033[0;36m'
 readonly NC='\033[0m' # No Color
 
+# Project layout, overridden by the "layout" section of .liquibase-tower.json when present
+readonly PROJECT_CONFIG=".liquibase-tower.json"
+CATEGORIES=("tables" "views" "materialized_views" "procedures" "sequences")
+ROOT_CHANGELOG="changelog-SIO2-all.xml"
+CATEGORY_CHANGELOG="changelog-{version}-{CATEGORY}.xml"
+DEFAULT_AUTHOR="SIO2"
+
 # Constants
-readonly CATEGORIES=("tables" "views" "materialized_views" "procedures" "sequences")
 readonly XML_SCHEMA="http://www.liquibase.org/xml/ns/dbchangelog"
 readonly XML_XSI="http://www.w3.org/2001/XMLSchema-instance"
 readonly XML_LOCATION="http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd"
@@ -48,6 +54,51 @@ validate_input() {
     return 0
 }
 
+load_layout() {
+    if [ ! -f "$PROJECT_CONFIG" ]; then
+        return 0
+    fi
+
+    if ! command -v node > /dev/null; then
+        log_warning "node not found, ignoring $PROJECT_CONFIG and using the default layout"
+        return 0
+    fi
+
+    # Standalone categories have their own root changelog and are left to the UI
+    local layout
+    if ! layout=$(node -e '
+        const layout = JSON.parse(require("fs").readFileSync(process.argv[1], "utf-8")).layout || {};
+        if (layout.rootChangelog) console.log(`ROOT_CHANGELOG ${layout.rootChangelog}`);
+        if (layout.categoryChangelog) console.log(`CATEGORY_CHANGELOG ${layout.categoryChangelog}`);
+        if (layout.defaultAuthor) console.log(`DEFAULT_AUTHOR ${layout.defaultAuthor}`);
+        if (layout.categories) console.log(`CATEGORIES ${layout.categories.filter(c => !c.standalone).map(c => c.name).join(" ")}`);
+    ' "$PROJECT_CONFIG"); then
+        log_error "Could not read $PROJECT_CONFIG"
+        return 1
+    fi
+
+    local key value
+    while read -r key value; do
+        case "$key" in
+            ROOT_CHANGELOG) ROOT_CHANGELOG=$value ;;
+            CATEGORY_CHANGELOG) CATEGORY_CHANGELOG=$value ;;
+            DEFAULT_AUTHOR) DEFAULT_AUTHOR=$value ;;
+            CATEGORIES) read -ra CATEGORIES <<< "$value" ;;
+        esac
+    done <<< "$layout"
+
+    log_info "Using project layout from $PROJECT_CONFIG"
+}
+
+# Expand {version}, {CATEGORY} and {category} in the category changelog template
+category_changelog_name() {
+    local version=$1
+    local category=$2
+    local name=${CATEGORY_CHANGELOG//\{version\}/$version}
+    name=${name//\{CATEGORY\}/${category^^}}
+    echo "${name//\{category\}/$category}"
+}
+
 create_xml_file() {
     local file_path=$1
     local author=$2
@@ -87,7 +138,8 @@ process_sql_files() {
     local version=$3
     local -a sql_files=()
     local category_upper=${category^^}
-    local master_changelog="changelog-$version-${category_upper}.xml"
+    local master_changelog
+    master_changelog=$(category_changelog_name "$version" "$category")
     
     print_header "SQL Files for $category_upper"
     echo -e "${CYAN}Enter SQL file names one by one${NC}"
@@ -216,8 +268,8 @@ create_structure() {
 get_version_from_tag() {
     if [ -f "tag-database.xml" ]; then
         local version
-        # Get the version and remove .0.0 suffix
-        version=$(grep -oP '<tagDatabase tag="\K[^"]+' tag-database.xml | sed 's/\.0\.0$//')
+        # The last release tag is the current version; trailing .0 parts are dropped (49.1.0 -> 49.1)
+        version=$(grep -oP '<tagDatabase tag="\K[0-9]+(\.[0-9]+){0,2}(?=")' tag-database.xml | tail -n 1 | sed -E 's/(\.0)+$//')
         echo "$version"
         return 0
     fi
@@ -228,6 +280,11 @@ get_version_from_tag() {
 create_tag_database() {
     local author=$1
     local version=$2
+    local tag major minor patch
+
+    # Tags are always major.minor.patch
+    IFS=. read -r major minor patch <<< "$version"
+    tag="${major}.${minor:-0}.${patch:-0}"
     
     if [ ! -f "tag-database.xml" ]; then
         cat > "tag-database.xml" << EOL
@@ -237,8 +294,8 @@ create_tag_database() {
   xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
                       http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
                       
-  <changeSet author="$author" id="tag-database">
-    <tagDatabase tag="$version.0.0"/>
+  <changeSet author="$author" id="tag-database-$tag">
+    <tagDatabase tag="$tag"/>
   </changeSet>
 </databaseChangeLog>
 EOL
@@ -249,7 +306,7 @@ EOL
 # Add this new function
 update_main_changelog() {
     local version=$1
-    local main_changelog="changelog-SIO2-all.xml"
+    local main_changelog=$ROOT_CHANGELOG
     
     # Create or truncate the main changelog file
     cat > "$main_changelog" << EOL
@@ -268,7 +325,8 @@ EOL
     
     # Add existing changelog files
     for category in "${CATEGORIES[@]}"; do
-        local category_changelog="changelog-$version-${category^^}.xml"
+        local category_changelog
+        category_changelog=$(category_changelog_name "$version" "$category")
         if [ -f "$category_changelog" ]; then
             echo "  <include relativeToChangelogFile=\"true\" file=\"$category_changelog\"/>" >> "$main_changelog"
             log_success "Added $category_changelog to main changelog"
@@ -285,11 +343,16 @@ main() {
     print_header "Liquibase Changelog Generator"
     
     local author version
+
+    if ! load_layout; then
+        exit 1
+    fi
     
     # Get and validate author
     while true; do
-        echo -e "\n${CYAN}Please enter the author name:${NC}"
+        echo -e "\n${CYAN}Please enter the author name [${DEFAULT_AUTHOR}]:${NC}"
         read -rp $'\033[0;36m>\033[0m ' author
+        author=${author:-$DEFAULT_AUTHOR}
         if validate_input "$author" "Author name"; then
             break
         fi
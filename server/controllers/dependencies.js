@@ -0,0 +1,148 @@
+import { resolve } from 'path';
+import { parseChangelog, resolveChangelogPath } from '../utils/changelog.js';
+import { getCategoryChangelog } from '../utils/projectConfig.js';
+import { findCreatedObject, findCycles, linkDependencies, orderByDependencies } from '../utils/sqlDependencies.js';
+import { reorderIncludes } from '../utils/xml.js';
+
+// A changelog as the plan has it, or null when it is missing or not valid XML
+const readPlannedChangelog = async (plan, path) => {
+  const content = await plan.read(path);
+  if (content === null) {
+    return null;
+  }
+  try {
+    return await parseChangelog(content);
+  } catch {
+    return null;
+  }
+};
+
+// Includes of a changelog as { file, path }: the file attribute as written and where it resolves
+const listIncludes = (plan, changelogPath, changelog) => changelog.includes
+  .filter(include => include.file)
+  .map(include => ({
+    file: include.file,
+    path: resolveChangelogPath(plan.rootDirectory, changelogPath, include.file, include.relativeToChangelogFile)
+  }));
+
+// The forward SQL of an object changelog, all its sqlFiles together
+const readObjectSql = async (plan, xmlPath, changelog) => {
+  const scripts = [];
+  for (const sqlFile of changelog.changeSets.flatMap(changeSet => changeSet.sqlFiles)) {
+    const content = await plan.read(resolveChangelogPath(plan.rootDirectory, xmlPath, sqlFile.path || '', sqlFile.relativeToChangelogFile));
+    if (content !== null) {
+      scripts.push(content);
+    }
+  }
+  return scripts.join('\n');
+};
+
+// Include order of a changelog with every include after the ones it depends on
+const proposeOrder = (includes, dependenciesOf) => orderByDependencies(includes.map(include => ({
+  ...include,
+  key: include.path,
+  dependsOn: dependenciesOf(include.path)
+}))).ordered.map(include => include.file);
+
+/**
+ * Analyze the object dependencies of a release: the objects included by its category changelogs,
+ * the objects whose SQL references them, and the include order that deploys every object after
+ * the ones it references. Inside a category changelog objects are ordered among themselves; in
+ * the root changelog the category changelogs are ordered by the dependencies between them.
+ *
+ * Returns { objects, cycles, outOfOrder, changelogs } with project paths: `objects` as
+ * { file, category, objectName, dependsOn }, `cycles` as groups of files that depend on each
+ * other, `outOfOrder` as { file, dependsOn } pairs deployed the wrong way round, and `changelogs`
+ * as { file, current, proposed } include lists.
+ */
+export const analyzeDependencies = async (plan, layout, version) => {
+  const rootPath = resolve(plan.rootDirectory, layout.rootChangelog);
+  const categoryChangelogs = [];
+  for (const category of layout.categories) {
+    const path = resolve(plan.rootDirectory, getCategoryChangelog(layout, category.name, version));
+    const changelog = await readPlannedChangelog(plan, path);
+    if (changelog) {
+      categoryChangelogs.push({ path, category: category.name, includes: listIncludes(plan, path, changelog) });
+    }
+  }
+
+  const items = [];
+  for (const changelog of categoryChangelogs) {
+    for (const include of changelog.includes.filter(entry => entry.path.endsWith('.xml'))) {
+      const object = await readPlannedChangelog(plan, include.path);
+      if (!object) continue;
+
+      const content = await readObjectSql(plan, include.path, object);
+      items.push({
+        key: include.path,
+        changelogPath: changelog.path,
+        category: changelog.category,
+        objectName: findCreatedObject(content)?.objectName || null,
+        content
+      });
+    }
+  }
+  const objects = linkDependencies(items);
+  const byPath = new Map(objects.map(object => [object.key, object]));
+  const dependenciesOf = (path) => byPath.get(path)?.dependsOn || [];
+
+  // A category changelog depends on the changelogs holding what its objects reference
+  const changelogDependencies = (path) => [...new Set(objects
+    .filter(object => object.changelogPath === path)
+    .flatMap(object => object.dependsOn.map(dependency => byPath.get(dependency).changelogPath))
+    .filter(dependency => dependency !== path))];
+
+  const changelogs = categoryChangelogs.map(changelog => ({
+    path: changelog.path,
+    current: changelog.includes.map(include => include.file),
+    proposed: proposeOrder(changelog.includes, dependenciesOf)
+  }));
+  const root = await readPlannedChangelog(plan, rootPath);
+  if (root) {
+    const includes = listIncludes(plan, rootPath, root);
+    changelogs.unshift({
+      path: rootPath,
+      current: includes.map(include => include.file),
+      proposed: proposeOrder(includes, changelogDependencies)
+    });
+  }
+
+  // Deployment order today: the root changelog's includes, then standalone category changelogs
+  const rootIncludes = root ? listIncludes(plan, rootPath, root).map(include => include.path) : [];
+  const deployed = [
+    ...rootIncludes.filter(path => categoryChangelogs.some(changelog => changelog.path === path)),
+    ...categoryChangelogs.map(changelog => changelog.path).filter(path => !rootIncludes.includes(path))
+  ].flatMap(path => categoryChangelogs.find(changelog => changelog.path === path).includes.map(include => include.path));
+  const position = (path) => deployed.indexOf(path);
+
+  const cycles = findCycles(objects);
+  const inSameCycle = (a, b) => cycles.some(cycle => cycle.includes(a) && cycle.includes(b));
+  const outOfOrder = objects.flatMap(object => object.dependsOn
+    .filter(dependency => position(dependency) > position(object.key) && !inSameCycle(object.key, dependency))
+    .map(dependency => ({ file: plan.toProjectPath(object.key), dependsOn: plan.toProjectPath(dependency) })));
+
+  return {
+    objects: objects.map(object => ({
+      file: plan.toProjectPath(object.key),
+      category: object.category,
+      objectName: object.objectName,
+      dependsOn: object.dependsOn.map(plan.toProjectPath)
+    })),
+    cycles: cycles.map(cycle => cycle.map(plan.toProjectPath)),
+    outOfOrder,
+    changelogs: changelogs.map(({ path, current, proposed }) => ({ file: plan.toProjectPath(path), current, proposed }))
+  };
+};
+
+// Rewrite the changelogs whose includes aren't in dependency order
+export const planReorder = async (plan, analysis) => {
+  for (const changelog of analysis.changelogs) {
+    if (changelog.proposed.every((file, index) => file === changelog.current[index])) continue;
+
+    const updated = reorderIncludes(await plan.read(changelog.file), changelog.proposed);
+    if (!updated) {
+      throw new Error(`Cannot reorder the includes of ${changelog.file}`);
+    }
+    await plan.write(changelog.file, updated);
+  }
+};
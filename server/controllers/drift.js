@@ -0,0 +1,50 @@
+import { isAbsolute, relative } from 'path';
+import { executeLiquibaseCommand } from './liquibase.js';
+import { parseChangeSetLines } from '../utils/liquibaseOutput.js';
+
+// Attribute a changeset to the layout category whose directory holds its changelog
+const getCategory = (layout, workingDirectory, changelog) => {
+  const path = isAbsolute(changelog) ? relative(workingDirectory, changelog) : changelog;
+  const [directory] = path.split(/[\\/]/);
+  return layout.categories.some(cat => cat.name === directory) ? directory : 'system';
+};
+
+const lastError = (result) =>
+  [...result.logs].reverse().find(line => /error|exception/i.test(line)) || result.error;
+
+/**
+ * Compare the local changelogs with the target's DATABASECHANGELOG using read-only commands:
+ * `status --verbose` (pending), `unexpectedChangesets --verbose` (deployed but missing locally)
+ * and `validate` (checksum mismatches, i.e. modified after deploy).
+ * Commands run one after the other so only one Liquibase JVM talks to the database at a time.
+ */
+export const detectDrift = async ({ workingDirectory, environment, layout }) => {
+  const run = (command, options) => executeLiquibaseCommand(workingDirectory, command, options, environment);
+  const withCategory = (changeSet) => ({
+    ...changeSet,
+    category: getCategory(layout, workingDirectory, changeSet.changelog)
+  });
+
+  const status = await run('status', { verbose: true });
+  if (!status.success) {
+    throw new Error(`status failed: ${lastError(status)}`);
+  }
+
+  const unexpected = await run('unexpectedChangesets', { verbose: true });
+  if (!unexpected.success) {
+    throw new Error(`unexpectedChangesets failed: ${lastError(unexpected)}`);
+  }
+
+  // validate exits non-zero on checksum errors, so only fail when it reported none
+  const validate = await run('validate');
+  const modified = parseChangeSetLines(validate.logs).filter(changeSet => changeSet.deployedChecksum);
+  if (!validate.success && modified.length === 0) {
+    throw new Error(`validate failed: ${lastError(validate)}`);
+  }
+
+  return {
+    pending: parseChangeSetLines(status.logs).map(withCategory),
+    unexpected: parseChangeSetLines(unexpected.logs).map(withCategory),
+    modified: modified.map(withCategory)
+  };
+};
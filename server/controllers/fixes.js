@@ -0,0 +1,225 @@
+import { basename, dirname, extname, join, resolve } from 'path';
+import { parseChangelog, resolveChangelogPath } from '../utils/changelog.js';
+import { createFilePlan } from '../utils/filePlan.js';
+import { getCategoryChangelog, readProjectConfig } from '../utils/projectConfig.js';
+import { TAG_CHANGELOG, addTagChangeSet, formatTag, getCurrentRelease, parseVersion } from '../utils/releases.js';
+import { addIncludeToChangelog, addRollbackToChangelog, createChangelogXML, getRollbackPath } from '../utils/xml.js';
+import { analyzeDependencies, planReorder } from './dependencies.js';
+
+// Parse a changelog as it will be once the earlier steps of the plan are applied
+const readPlannedChangelog = async (plan, file) => {
+  const content = await plan.read(file);
+  if (content === null) {
+    throw new Error(`Changelog file ${plan.toProjectPath(resolve(plan.rootDirectory, file))} does not exist`);
+  }
+  try {
+    return { content, ...await parseChangelog(content) };
+  } catch (error) {
+    throw new Error(`Cannot update ${file}: ${error.message.split('\n')[0]}`);
+  }
+};
+
+// Include `file` in a changelog unless it is already there
+const includeInChangelog = async (plan, changelogFile, file) => {
+  const changelog = await readPlannedChangelog(plan, changelogFile);
+  if (changelog.includes.some(include => include.file === file)) {
+    return;
+  }
+
+  const updated = addIncludeToChangelog(changelog.content, file);
+  if (!updated) {
+    throw new Error(`Cannot update ${changelogFile}: missing closing tag`);
+  }
+  await plan.write(changelogFile, updated);
+};
+
+const sqlTemplate = (name) => `-- Add your SQL here for ${name}`;
+const rollbackTemplate = (name) => `-- Add the SQL that undoes ${name} here`;
+
+// A per-object changelog and its SQL script, laid out like the Generator creates them;
+// files that already exist are kept as they are
+const createObjectFiles = async (plan, xmlPath, author, attributes = {}) => {
+  const name = basename(xmlPath, '.xml');
+  if (!await plan.exists(xmlPath)) {
+    await plan.write(xmlPath, createChangelogXML(author, name, { attributes }));
+  }
+
+  const sqlPath = join(dirname(xmlPath), 'sql', `${name}.sql`);
+  if (!await plan.exists(sqlPath)) {
+    await plan.write(sqlPath, sqlTemplate(name));
+  }
+};
+
+const getCurrentVersion = async (workingDirectory) => {
+  try {
+    return (await getCurrentRelease(workingDirectory))?.version ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Fix actions offered by the Checker. Each one records its writes in a file plan,
+ * so the same code produces the preview and the change.
+ */
+const FIXES = {
+  'create-directory': {
+    fields: ['directory'],
+    plan: async (plan, { directory, changelogFile }) => {
+      if (!changelogFile) {
+        plan.mkdir(directory);
+        return;
+      }
+
+      // An includeAll path resolves like Liquibase does, relative to the changelog when flagged so
+      const changelog = await readPlannedChangelog(plan, changelogFile);
+      const entry = changelog.includeAll.find(includeAll => includeAll.path === directory);
+      const changelogPath = resolve(plan.rootDirectory, changelogFile);
+      plan.mkdir(resolveChangelogPath(plan.rootDirectory, changelogPath, directory, entry?.relativeToChangelogFile ?? false));
+    }
+  },
+
+  'create-tag-database': {
+    fields: ['version'],
+    plan: async (plan, { version, author }, layout) => {
+      if (await plan.exists(TAG_CHANGELOG)) {
+        throw new Error(`${TAG_CHANGELOG} already exists`);
+      }
+      const parts = parseVersion(version);
+      if (!parts) {
+        throw new Error(`Invalid version: ${version}`);
+      }
+      await plan.write(TAG_CHANGELOG, addTagChangeSet(null, author || layout.defaultAuthor, formatTag(parts)));
+    }
+  },
+
+  'create-xml-and-reference': {
+    fields: ['sqlFile', 'category'],
+    plan: async (plan, { sqlFile, category }, layout) => {
+      const baseName = basename(sqlFile, '.sql');
+      const defaults = layout.categories.find(cat => cat.name === category)?.changeSetDefaults;
+      await createObjectFiles(plan, join(category, `${baseName}.xml`), layout.defaultAuthor, defaults);
+
+      // Declare it in the current release's category changelog when there is one
+      const version = await getCurrentVersion(plan.rootDirectory);
+      const changelogFile = version && getCategoryChangelog(layout, category, version);
+      if (changelogFile && await plan.exists(changelogFile)) {
+        await includeInChangelog(plan, changelogFile, `${category}/${baseName}.xml`);
+      }
+    }
+  },
+
+  'create-referenced-file': {
+    fields: ['file', 'changelogFile'],
+    plan: async (plan, { file, changelogFile }, layout) => {
+      const changelog = await readPlannedChangelog(plan, changelogFile);
+      const include = changelog.includes.find(entry => entry.file === file);
+      const filePath = resolveChangelogPath(
+        plan.rootDirectory,
+        resolve(plan.rootDirectory, changelogFile),
+        file,
+        include?.relativeToChangelogFile ?? false
+      );
+
+      switch (extname(filePath).toLowerCase()) {
+        case '.xml':
+          await createObjectFiles(plan, filePath, layout.defaultAuthor);
+          break;
+        case '.sql':
+          if (!await plan.exists(filePath)) {
+            await plan.write(filePath, sqlTemplate(basename(filePath, '.sql')));
+          }
+          break;
+        default:
+          throw new Error(`Cannot create ${file}: only .xml and .sql files are supported`);
+      }
+    }
+  },
+
+  'create-sql-file': {
+    fields: ['sqlFile', 'xmlFile'],
+    plan: async (plan, { sqlFile, xmlFile }) => {
+      const changelog = await readPlannedChangelog(plan, xmlFile);
+      const xmlPath = resolve(plan.rootDirectory, xmlFile);
+
+      for (const changeSet of changelog.changeSets) {
+        const forward = changeSet.sqlFiles.find(entry => entry.path === sqlFile);
+        const rollback = changeSet.rollback?.sqlFiles.find(entry => entry.path === sqlFile);
+        const entry = forward || rollback;
+        if (entry) {
+          const sqlPath = resolveChangelogPath(plan.rootDirectory, xmlPath, sqlFile, entry.relativeToChangelogFile);
+          const name = basename(sqlPath, '.sql');
+          await plan.write(sqlPath, forward ? sqlTemplate(name) : rollbackTemplate(name));
+          return;
+        }
+      }
+      throw new Error(`${xmlFile} does not reference ${sqlFile}`);
+    }
+  },
+
+  'add-rollback': {
+    fields: ['xmlFile', 'changeSetId'],
+    plan: async (plan, { xmlFile, changeSetId }) => {
+      const changelog = await readPlannedChangelog(plan, xmlFile);
+      const changeSet = changelog.changeSets.find(cs => cs.id === changeSetId);
+      if (!changeSet) {
+        throw new Error(`Could not find changeSet '${changeSetId}' in ${xmlFile}`);
+      }
+      if (changeSet.rollback) {
+        return;
+      }
+
+      // The rollback script is named after the object, like its forward script
+      const name = basename(xmlFile, '.xml');
+      const rollbackPath = join(dirname(xmlFile), getRollbackPath(name));
+      if (!await plan.exists(rollbackPath)) {
+        await plan.write(rollbackPath, rollbackTemplate(name));
+      }
+
+      const updated = addRollbackToChangelog(changelog.content, changeSet.id, name);
+      if (!updated) {
+        throw new Error(`Could not find changeSet '${changeSetId}' in ${xmlFile}`);
+      }
+      await plan.write(xmlFile, updated);
+    }
+  },
+
+  'add-to-changelog': {
+    fields: ['xmlFile', 'changelogFile'],
+    plan: async (plan, { xmlFile, changelogFile }) => {
+      await includeInChangelog(plan, changelogFile, xmlFile);
+    }
+  },
+
+  'add-to-main-changelog': {
+    fields: ['changelogFile'],
+    plan: async (plan, { changelogFile, mainChangelog }, layout) => {
+      await includeInChangelog(plan, mainChangelog || layout.rootChangelog, changelogFile);
+    }
+  },
+
+  // Includes of the current release in dependency order, see controllers/dependencies.js
+  'reorder-includes': {
+    fields: [],
+    plan: async (plan, details, layout) => {
+      const version = await getCurrentVersion(plan.rootDirectory);
+      if (!version) {
+        throw new Error('No release in tag-database.xml');
+      }
+      await planReorder(plan, await analyzeDependencies(plan, layout, version));
+    }
+  }
+};
+
+export const isFixAction = (action) => Object.hasOwn(FIXES, action);
+
+export const getMissingFixFields = (action, details = {}) =>
+  ['workingDirectory', ...FIXES[action].fields].filter(field => !details[field]);
+
+// Work out the file changes of a fix without writing anything
+export const planFix = async (action, details) => {
+  const { layout } = await readProjectConfig(details.workingDirectory);
+  const plan = createFilePlan(details.workingDirectory);
+  await FIXES[action].plan(plan, details, layout);
+  return plan;
+};
@@ -0,0 +1,164 @@
+import { promises as fs, existsSync } from 'fs';
+import { basename, join, relative, resolve, sep } from 'path';
+import { findCreatedObject, findCycles, linkDependencies, orderByDependencies } from '../utils/sqlDependencies.js';
+import { resolveInsideDirectory } from '../utils/workspace.js';
+
+// Layout category each kind of object goes to when the layout has it
+const OBJECT_CATEGORIES = {
+  TABLE: 'tables',
+  VIEW: 'views',
+  'MATERIALIZED VIEW': 'materialized_views',
+  PROCEDURE: 'procedures',
+  FUNCTION: 'procedures',
+  PACKAGE: 'procedures',
+  'PACKAGE BODY': 'procedures',
+  SEQUENCE: 'sequences'
+};
+
+// Names become <category>/<name>.xml and <category>/sql/<name>.sql
+const NAME_PATTERN = /^[A-Za-z0-9_$#-]+$/;
+
+const IGNORED_DIRECTORIES = ['.git', 'node_modules'];
+
+const listSqlFiles = async (directory) => {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const path = join(directory, entry.name);
+    if (entry.isDirectory() && !IGNORED_DIRECTORIES.includes(entry.name)) {
+      files.push(...await listSqlFiles(path));
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.sql')) {
+      files.push(path);
+    }
+  }
+  return files;
+};
+
+// `file` relative to the source folder, or null when it resolves outside it
+// Symlinks are followed, so a link in the source folder can't pull in files from elsewhere
+const resolveSourceFile = (sourceDirectory, file) => {
+  try {
+    const path = resolveInsideDirectory(sourceDirectory, file);
+    return path !== resolve(sourceDirectory) ? path : null;
+  } catch {
+    return null;
+  }
+};
+
+// Give each script the scripts creating the objects it references
+const withDependencies = (files, contents) => linkDependencies(
+  files.map(file => ({ ...file, key: file.file, content: contents.get(file.file) }))
+).map(({ key, content, ...file }) => file);
+
+/**
+ * Scan a folder of SQL scripts for the import wizard. Each script is classified by the first
+ * object it creates: { file, name, objectType, objectName, category, dependsOn, exists }, where
+ * `file` is relative to the folder, `category` is null when no layout category fits,
+ * `dependsOn` lists the scripts creating objects it references and `exists` tells an object
+ * of that name is already in the category.
+ */
+export const scanImportSource = async (workingDirectory, sourceDirectory, layout) => {
+  if (!sourceDirectory || !existsSync(sourceDirectory)) {
+    throw new Error(`Source folder not found: ${sourceDirectory}`);
+  }
+
+  const categoryNames = layout.categories.map(category => category.name);
+  const contents = new Map();
+  const files = [];
+
+  for (const path of await listSqlFiles(sourceDirectory)) {
+    const file = relative(sourceDirectory, path).split(sep).join('/');
+    const content = await fs.readFile(path, 'utf-8');
+    contents.set(file, content);
+
+    const object = findCreatedObject(content);
+    const category = categoryNames.includes(OBJECT_CATEGORIES[object?.objectType])
+      ? OBJECT_CATEGORIES[object.objectType]
+      : null;
+    const name = basename(path).replace(/\.sql$/i, '');
+    files.push({
+      file,
+      name,
+      objectType: object?.objectType || null,
+      objectName: object?.objectName || null,
+      category,
+      exists: Boolean(category) && existsSync(join(workingDirectory, category, `${name}.xml`))
+    });
+  }
+
+  files.sort((a, b) => a.file.localeCompare(b.file));
+  return withDependencies(files, contents);
+};
+
+// Returns an error message, or null when the selection can be imported
+export const validateImport = (sourceDirectory, files, layout) => {
+  if (!sourceDirectory) {
+    return 'sourceDirectory is required';
+  }
+  if (!Array.isArray(files) || files.length === 0) {
+    return 'Select at least one script to import';
+  }
+
+  const categoryNames = layout.categories.map(category => category.name);
+  const targets = new Set();
+  for (const file of files) {
+    if (typeof file.file !== 'string' || !resolveSourceFile(sourceDirectory, file.file)) {
+      return `${file.file} is outside the source folder`;
+    }
+    if (!categoryNames.includes(file.category)) {
+      return `${file.file}: choose a category`;
+    }
+    if (!NAME_PATTERN.test(file.name || '')) {
+      return `${file.file}: names may only contain letters, numbers, _, -, $ and #`;
+    }
+    const target = `${file.category}/${file.name}`;
+    if (targets.has(target)) {
+      return `${file.file}: another script is also imported as ${target}`;
+    }
+    targets.add(target);
+  }
+  return null;
+};
+
+/**
+ * Read the selected scripts (call validateImport first) and turn them into a build config, with
+ * every script after the scripts it depends on. Categories follow the layout order, so a script
+ * can only come after scripts of its own or earlier categories; `warnings` reports the
+ * dependencies that can't be honoured that way and the scripts caught in a dependency cycle.
+ */
+export const planImport = async (sourceDirectory, files, layout) => {
+  const contents = new Map();
+  for (const file of files) {
+    contents.set(file.file, await fs.readFile(resolveSourceFile(sourceDirectory, file.file), 'utf-8'));
+  }
+
+  const classified = files.map(file => ({
+    file: file.file,
+    name: file.name,
+    category: file.category,
+    objectName: findCreatedObject(contents.get(file.file))?.objectName || null
+  }));
+  const analyzed = withDependencies(classified, contents);
+  const items = analyzed.map(file => ({ ...file, key: file.file }));
+  const { ordered } = orderByDependencies(items);
+
+  const categoryIndex = (name) => layout.categories.findIndex(category => category.name === name);
+  const byFile = new Map(analyzed.map(file => [file.file, file]));
+  const warnings = [
+    ...findCycles(items).map(cycle => `${cycle.join(', ')} depend on each other; check their order in the changelog`),
+    ...analyzed.flatMap(file => file.dependsOn
+      .filter(dependency => categoryIndex(byFile.get(dependency).category) > categoryIndex(file.category))
+      .map(dependency => `${file.file} (${file.category}) depends on ${dependency} (${byFile.get(dependency).category}), which is deployed after it`))
+  ];
+
+  const categories = layout.categories
+    .map(category => ({
+      name: category.name,
+      files: ordered
+        .filter(file => file.category === category.name)
+        .map(file => ({ name: file.name, content: contents.get(file.file) }))
+    }))
+    .filter(category => category.files.length > 0);
+
+  return { categories, warnings };
+};
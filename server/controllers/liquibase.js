@@ -1,62 +1,288 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { join } from 'path';
-import { access } from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { ENVIRONMENT_FIELDS } from '../utils/projectConfig.js';
+import { LIQUIBASE_COMMANDS, validateCommandOptions } from '../utils/liquibaseCommands.js';
+import { getExecutor } from '../utils/liquibaseExecutors.js';
+import { parseLiquibaseOutput } from '../utils/liquibaseOutput.js';
+import { readPropertiesFile, serializeProperties } from '../utils/properties.js';
+import { acquireTarget, getTargetState, leaveQueue } from '../utils/targetQueue.js';
 
-const execAsync = promisify(exec);
+// Runs that are waiting or still going, keyed by run id, so they can be cancelled
+const activeRuns = new Map();
 
-export const executeLiquibaseCommand = async (workingDirectory, command, options = {}) => {
-  try {
-    // Build the command with options
-    let fullCommand = `liquibase --defaultsFile=${join(workingDirectory, 'liquibase.properties')}`;
-    
-    // Add any additional options
-    if (options.tag) {
-      fullCommand += ` --tag="${options.tag}"`;
+// A database lock this old, with no run of ours on the target, is taken as left by a crash.
+// A profile's staleLockMinutes and lockTimeZone override these server-wide defaults; the zone
+// is the one of the JVM that writes and lists the lock (where Liquibase runs), not the server's
+const STALE_LOCK_MINUTES = Number(process.env.TOWER_STALE_LOCK_MINUTES) || 5;
+const LOCK_TIME_ZONE = process.env.TOWER_LOCK_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Offset in ms of a time zone from UTC at a given instant
+const getZoneOffset = (time, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(time).map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (time - time % 1000);
+};
+
+// The instant of a local date-time (see parseLockTime in utils/liquibaseOutput.js) in a time zone
+const toInstant = (localTime, timeZone) => {
+  const wallClock = Date.parse(`${localTime}Z`);
+  // The second pass settles times next to a daylight saving change
+  const guess = wallClock - getZoneOffset(wallClock, timeZone);
+  return wallClock - getZoneOffset(guess, timeZone);
+};
+
+const getDefaultsFile = (workingDirectory) => join(workingDirectory, 'liquibase.properties');
+
+// The project's liquibase.properties with the environment profile, if any, layered over it
+const readTargetProperties = async (workingDirectory, environment) => {
+  const properties = await readPropertiesFile(getDefaultsFile(workingDirectory));
+  for (const field of ENVIRONMENT_FIELDS) {
+    if (environment?.[field]) {
+      properties.set(field, environment[field]);
     }
-    if (options.count) {
-      fullCommand += ` --count=${options.count}`;
+  }
+  return properties;
+};
+
+// Runs queue per database account; without a URL, per project and environment
+const getTargetKey = (workingDirectory, environment, properties) => (properties.get('url')
+  ? `${properties.get('username') || ''}@${properties.get('url')}`
+  : `${workingDirectory}#${environment?.name || 'liquibase.properties'}`);
+
+// The executor writes the layered properties to a throwaway defaults file where Liquibase runs
+const buildEnvironmentDefaults = async (workingDirectory, environment) => {
+  const properties = await readTargetProperties(workingDirectory, environment);
+
+  // Passwords never live in the profile, only the name of the variable holding them
+  if (environment.passwordEnv) {
+    const password = process.env[environment.passwordEnv];
+    if (password === undefined) {
+      throw new Error(`Environment variable ${environment.passwordEnv} is not set for ${environment.name}`);
     }
-    
-    // Add the main command
-    fullCommand += ` ${command}`;
+    properties.set('password', password);
+  }
 
-    const { stdout, stderr } = await execAsync(fullCommand, { cwd: workingDirectory });
+  return {
+    defaults: { content: serializeProperties(properties) },
+    url: properties.get('url') || null,
+    key: getTargetKey(workingDirectory, environment, properties)
+  };
+};
 
+const resolveTarget = async (workingDirectory, environment) => {
+  if (environment) {
     return {
-      success: true,
-      logs: stdout.split('\n').filter(Boolean),
-      command: fullCommand
-    };
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-      logs: error.stderr?.split('\n').filter(Boolean),
-      command: error.cmd
+      environment: environment.name,
+      generated: true,
+      defaultsFile: null,
+      ...await buildEnvironmentDefaults(workingDirectory, environment)
     };
   }
+
+  const defaultsFile = getDefaultsFile(workingDirectory);
+  const properties = await readPropertiesFile(defaultsFile);
+  return {
+    environment: null,
+    generated: false,
+    defaultsFile,
+    defaults: { file: defaultsFile },
+    url: properties.get('url') || null,
+    key: getTargetKey(workingDirectory, null, properties)
+  };
 };
 
-export const validateLiquibaseSetup = async (workingDirectory) => {
-  try {
-    console.log('Validating Liquibase setup for directory:', workingDirectory);
-    const liquibasePath = 'c:\\Users\\efetouak\\Downloads\\liquibase-4.31.0\\liquibase.bat';
-    
-    // Just check if liquibase is available
-    console.log('Checking Liquibase version...');
-    const { stdout: version } = await execAsync(`${liquibasePath} --version`);
-    console.log('Liquibase version:', version.trim());
+/**
+ * Start a Liquibase command through the executor of the environment and report its output line
+ * by line. Resolves as soon as the command is started; `done` resolves once it exits.
+ * When an environment profile is given it replaces the project's liquibase.properties for this run.
+ * Runs against a database another run holds wait for their turn, reported through
+ * onQueued({ runId, position, holder }); one cancelled while waiting resolves with `command`
+ * null and a cancelled result. The result's `started` is false when Liquibase never ran.
+ */
+export const runLiquibaseCommand = async ({
+  workingDirectory,
+  command,
+  options = {},
+  environment = null,
+  user = null,
+  onLine = () => {},
+  onQueued = () => {}
+}) => {
+  const invalid = validateCommandOptions(command, options);
+  if (invalid) {
+    throw new Error(invalid);
+  }
 
-    return {
-      success: true,
-      version: version.trim()
-    };
+  const runId = uuidv4();
+  const executor = getExecutor(environment);
+  const { defaults, key, ...target } = await resolveTarget(workingDirectory, environment);
+  const queuedAt = Date.now();
+  const logs = [];
+  // stdout as printed, blank lines included, for the parsers of generated SQL
+  const output = [];
+
+  const run = { runId, execution: null, cancelled: false };
+  activeRuns.set(runId, run);
+
+  let releaseTarget = () => {};
+  if (!LIQUIBASE_COMMANDS[command].concurrent) {
+    try {
+      releaseTarget = await acquireTarget(
+        key,
+        { runId, user, command, environment: target.environment },
+        (queued) => onQueued({ runId, ...queued })
+      );
+    } catch (error) {
+      activeRuns.delete(runId);
+      return {
+        runId,
+        command: null,
+        startedAt: queuedAt,
+        target: { ...target, executor: executor.name },
+        done: Promise.resolve({
+          runId,
+          success: false,
+          exitCode: null,
+          signal: null,
+          cancelled: true,
+          started: false,
+          durationMs: Date.now() - queuedAt,
+          command: null,
+          logs,
+          output,
+          error: error.message
+        })
+      };
+    }
+  }
+
+  const startedAt = Date.now();
+  let execution;
+  try {
+    execution = await executor.run({
+      workingDirectory,
+      command,
+      options,
+      defaults,
+      onLine: ({ stream, line }) => {
+        if (stream === 'stdout') output.push(line);
+        if (!line.trim()) return;
+        logs.push(line);
+        onLine({ stream, line });
+      }
+    });
   } catch (error) {
-    console.error('Liquibase validation error:', error);
+    activeRuns.delete(runId);
+    releaseTarget();
+    throw error;
+  }
+
+  run.execution = execution;
+  // Cancelled between its turn coming and the process starting
+  if (run.cancelled) {
+    execution.cancel();
+  }
+
+  const done = execution.done.then(({ exitCode, signal, error, spawned }) => {
+    activeRuns.delete(runId);
+    releaseTarget();
+    const success = exitCode === 0 && !run.cancelled;
+
     return {
-      success: false,
-      error: error.message
+      runId,
+      success,
+      exitCode,
+      signal,
+      cancelled: run.cancelled,
+      // Remote runs only report it when the service knows, so anything else counts as started
+      started: spawned !== false,
+      durationMs: Date.now() - startedAt,
+      command: execution.commandLine,
+      logs,
+      output,
+      error: success ? undefined : (
+        (run.cancelled ? 'Command cancelled' : error)
+        || `Command exited with code ${exitCode}`
+      )
     };
+  });
+
+  return {
+    runId,
+    command: execution.commandLine,
+    startedAt,
+    target: { ...target, executor: executor.name },
+    done
+  };
+};
+
+export const cancelLiquibaseCommand = (runId) => {
+  const run = activeRuns.get(runId);
+  if (!run) {
+    return false;
   }
-};
\ No newline at end of file
+
+  run.cancelled = true;
+  if (run.execution) {
+    run.execution.cancel();
+  } else {
+    leaveQueue(runId);
+  }
+  return true;
+};
+
+export const executeLiquibaseCommand = async (workingDirectory, command, options = {}, environment = null) => {
+  const { done } = await runLiquibaseCommand({ workingDirectory, command, options, environment });
+  return done;
+};
+
+// The run holding the environment's database and the runs waiting for it
+export const getTargetRuns = async (workingDirectory, environment = null) => {
+  const properties = await readTargetProperties(workingDirectory, environment);
+  return getTargetState(getTargetKey(workingDirectory, environment, properties));
+};
+
+/**
+ * The runs queued on the environment's database and the DATABASECHANGELOGLOCK as `listLocks`
+ * reports it, each `grantedAt` read in the profile's lock time zone and returned as ISO. The
+ * lock is `stale` when no run of ours holds the database and it was granted at least
+ * staleLockMinutes ago, or at a time Liquibase printed in a form we can't read.
+ */
+export const getTargetLocks = async (workingDirectory, environment = null) => {
+  const result = await executeLiquibaseCommand(workingDirectory, 'listLocks', {}, environment);
+  const { result: parsed, errors } = parseLiquibaseOutput('listLocks', result);
+  const { holder, waiting } = await getTargetRuns(workingDirectory, environment);
+
+  const timeZone = environment?.lockTimeZone || LOCK_TIME_ZONE;
+  const staleMs = (environment?.staleLockMinutes ?? STALE_LOCK_MINUTES) * 60 * 1000;
+  const locks = parsed?.locks.map(lock => {
+    const time = lock.grantedAt === null ? NaN : toInstant(lock.grantedAt, timeZone);
+    return { ...lock, grantedAt: Number.isNaN(time) ? null : new Date(time).toISOString() };
+  }) ?? null;
+  // An unreadable grant time can't prove the lock is recent, so it counts as old
+  const isOld = (lock) => lock.grantedAt === null || Date.now() - Date.parse(lock.grantedAt) >= staleMs;
+  return {
+    holder,
+    waiting,
+    locks,
+    stale: Boolean(locks?.length) && !holder && locks.every(isOld),
+    error: result.success ? null : result.error,
+    errors
+  };
+};
+
+// Check that the executor the environment runs on can start Liquibase
+export const validateLiquibaseSetup = async (environment = null) => {
+  const executor = getExecutor(environment);
+  const health = await executor.health();
+  return { ...health, executor: executor.name };
+};
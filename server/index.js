@@ -1,15 +1,83 @@
 import express from 'express';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 import { promises as fs, existsSync } from 'fs';
 import xmlFormatter from 'xml-formatter';
 import { exec } from 'child_process';
 import { promisify } from 'util';
-import { createChangelogXML } from './utils/xml.js';
+import { userInfo } from 'os';
+import {
+  addRollbackToChangelog,
+  createChangelogXML,
+  getRollbackPath,
+  setChangeSetAttributes,
+  setChangeSetPreconditions,
+  validateChangeSetAttributes
+} from './utils/xml.js';
+import {
+  PRECONDITION_ACTIONS,
+  checkPreconditions,
+  listPreconditionTemplates,
+  validatePrecondition
+} from './utils/preconditions.js';
+import {
+  createChangelogModel,
+  parseChangelog,
+  resolveChangelogPath,
+  summarizeTree
+} from './utils/changelog.js';
+import { readPropertiesFile } from './utils/properties.js';
 import { basename } from 'path';
-import { executeLiquibaseCommand, validateLiquibaseSetup } from './controllers/liquibase.js';
-import prettier from 'prettier';
-import xml2js from 'xml2js';
+import {
+  runLiquibaseCommand,
+  cancelLiquibaseCommand,
+  getTargetLocks,
+  getTargetRuns,
+  validateLiquibaseSetup
+} from './controllers/liquibase.js';
+import { detectDrift } from './controllers/drift.js';
+import { getMissingFixFields, isFixAction, planFix } from './controllers/fixes.js';
+import { planImport, scanImportSource, validateImport } from './controllers/import.js';
+import { analyzeDependencies } from './controllers/dependencies.js';
+import { saveRun, getRun, listRuns } from './utils/runHistory.js';
+import { createFilePlan } from './utils/filePlan.js';
+import { applyPlan, checkUndo, getOperation, listOperations, undoOperation } from './utils/journal.js';
+import { commitChanges, getGitDiff, getGitStatus } from './utils/git.js';
+import { lintSql } from './utils/sqlLint.js';
+import { formatSqlScript, validateSqlFormat } from './utils/sqlFormat.js';
+import {
+  readProjectConfig,
+  getCategoryChangelog,
+  getCategoryChangelogPattern,
+  validateLayout,
+  saveLayout,
+  saveSqlFormat,
+  getEnvironment,
+  validateEnvironment,
+  saveEnvironment,
+  deleteEnvironment
+} from './utils/projectConfig.js';
+import {
+  checkPolicy,
+  checkProfileChange,
+  consumePreview,
+  getPolicyTarget,
+  recordPreview,
+  restorePreview,
+  isDestructiveCommand
+} from './utils/policy.js';
+import { describeCommands, validateCommandOptions } from './utils/liquibaseCommands.js';
+import { parseLiquibaseOutput } from './utils/liquibaseOutput.js';
+import { WORKSPACE_ROOTS, validateFileName, validateProjectPath, validateWorkspacePath } from './utils/workspace.js';
+import {
+  RELEASE_PARTS,
+  TAG_CHANGELOG,
+  addRelease,
+  createRelease,
+  getCurrentRelease,
+  isTagChangelog,
+  listReleases
+} from './utils/releases.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const execAsync = promisify(exec);
@@ -29,6 +97,66 @@ app.use((req, res, next) => {
   next();
 });
 
+// Directories a request may name, checked against the workspace roots (see utils/workspace.js);
+// the fix endpoint carries its working directory in `details`
+const WORKSPACE_FIELDS = ['workingDirectory', 'sourceDirectory'];
+// Values every endpoint joins into file paths as a single name
+const FILE_NAME_FIELDS = ['category', 'version'];
+// Files named relative to the working directory, e.g. by the fixes
+const PROJECT_PATH_FIELDS = ['file', 'xmlFile', 'changelogFile'];
+// Endpoints that work without a project; every other one reads or writes its workingDirectory
+const PROJECT_FREE_PATHS = [
+  /^\/(validate|browse)-directory$/,
+  /^\/precondition-templates$/,
+  /^\/liquibase\/(commands|health|runs)$/,
+  /^\/liquibase\/runs\/[^/]+$/,
+  /^\/liquibase\/[^/]+\/cancel$/,
+  /^\/journal\/[^/]+\/undo$/
+];
+
+const requestValues = (req, field) => [req.query[field], req.body?.[field], req.body?.details?.[field]]
+  .filter(value => value !== undefined && value !== '');
+
+// Refuse, and log, requests whose paths would leave the workspace
+app.use('/api', (req, res, next) => {
+  const reject = (status, error) => {
+    console.warn(`Rejected ${req.method} ${req.path} from ${req.ip}: ${error}`);
+    res.status(status).json({ error });
+  };
+
+  if (req.method !== 'OPTIONS' && requestValues(req, 'workingDirectory').length === 0
+    && !PROJECT_FREE_PATHS.some(pattern => pattern.test(req.path))) {
+    return reject(400, 'workingDirectory is required');
+  }
+  for (const field of WORKSPACE_FIELDS) {
+    for (const value of requestValues(req, field)) {
+      const error = validateWorkspacePath(value);
+      if (error) {
+        return reject(403, `${field} ${error}`);
+      }
+    }
+  }
+  for (const field of FILE_NAME_FIELDS) {
+    for (const value of requestValues(req, field)) {
+      const error = validateFileName(value);
+      if (error) {
+        return reject(400, `${field}: ${error}`);
+      }
+    }
+  }
+  for (const field of PROJECT_PATH_FIELDS) {
+    for (const value of [].concat(...requestValues(req, field))) {
+      const error = validateProjectPath(value);
+      if (error) {
+        return reject(400, `${field}: ${error}`);
+      }
+    }
+  }
+  next();
+});
+
+console.log('Workspace roots:', WORKSPACE_ROOTS.join(', '));
+
 // XML Configuration
 const XML_CONFIG = {
   schema: 'http://www.liquibase.org/xml/ns/dbchangelog',
@@ -36,20 +164,143 @@ const XML_CONFIG = {
   location: 'http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd',
 };
 
-// Helper function to read existing changelog includes
-const getExistingIncludes = async (filePath) => {
+// Parse a changelog as a file plan will leave it; it is about to be rewritten, so it must parse
+const readPlannedChangelog = async (plan, filePath) => {
   try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    const matches = content.match(/<include.*?file=".*?\.xml".*?\/>/g) || [];
-    return matches.map(include => {
-      const match = include.match(/file="([^"]+)"/);
-      return match ? match[1] : null;
-    }).filter(Boolean);
+    return await parseChangelog(await plan.read(filePath));
   } catch (error) {
-    return [];
+    // Rewriting a changelog we could not parse would silently drop its content
+    throw new Error(`Cannot update ${basename(filePath)}: ${error.message.split('\n')[0]}`);
+  }
+};
+
+// Helper function to read existing changelog includes, as written in the file
+const getExistingIncludes = async (plan, filePath) => {
+  const changelog = await readPlannedChangelog(plan, filePath);
+  return changelog.includes.map(include => include.file).filter(Boolean);
+};
+
+// Root changelog Liquibase would start from: the environment profile, then liquibase.properties
+const getRootChangelog = async (workingDirectory, environment) => {
+  if (environment?.changeLogFile) {
+    return environment.changeLogFile;
+  }
+  const properties = await readPropertiesFile(join(workingDirectory, 'liquibase.properties'));
+  if (properties.get('changeLogFile')) {
+    return properties.get('changeLogFile');
+  }
+  const { layout } = await readProjectConfig(workingDirectory);
+  return layout.rootChangelog;
+};
+
+// Wire sql/rollback/<name>.sql into the changeSet of an existing per-object XML, unless it has a rollback already
+const attachRollback = async (plan, xmlPath, name, changeSetId = name) => {
+  const changelog = await readPlannedChangelog(plan, xmlPath);
+  const changeSet = changelog.changeSets.find(cs => cs.id === changeSetId) || changelog.changeSets[0];
+  if (!changeSet) {
+    throw new Error(`${basename(xmlPath)} has no changeSet to attach a rollback to`);
+  }
+  if (changeSet.rollback) {
+    return false;
+  }
+
+  const updated = addRollbackToChangelog(await plan.read(xmlPath), changeSet.id, name);
+  if (!updated) {
+    throw new Error(`Could not find changeSet '${changeSet.id}' in ${basename(xmlPath)}`);
+  }
+  await plan.write(xmlPath, updated);
+  return true;
+};
+
+// Set the attributes edited in the Generator on the changeSet of an existing per-object XML
+const updateChangeSetAttributes = async (plan, xmlPath, name, attributes) => {
+  const changelog = await readPlannedChangelog(plan, xmlPath);
+  const changeSet = changelog.changeSets.find(cs => cs.id === name) || changelog.changeSets[0];
+  const updated = changeSet && setChangeSetAttributes(await plan.read(xmlPath), changeSet.id, attributes);
+  if (!updated) {
+    throw new Error(`Could not find the changeSet and sqlFile of ${name} in ${basename(xmlPath)}`);
+  }
+  await plan.write(xmlPath, updated);
+};
+
+// Replace the preconditions of the changeSet of an existing per-object XML
+const updatePreconditions = async (plan, xmlPath, name, precondition) => {
+  const changelog = await readPlannedChangelog(plan, xmlPath);
+  const changeSet = changelog.changeSets.find(cs => cs.id === name) || changelog.changeSets[0];
+  const updated = changeSet && setChangeSetPreconditions(await plan.read(xmlPath), changeSet.id, precondition);
+  if (!updated) {
+    throw new Error(`Could not find the changeSet of ${name} in ${basename(xmlPath)}`);
   }
+  await plan.write(xmlPath, updated);
 };
 
+const writeCategoryChangelog = async (plan, changelogPath, includes) => {
+  await plan.write(changelogPath, `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog
+    xmlns="http://www.liquibase.org/xml/ns/dbchangelog"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
+                      http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
+
+${includes.map(file => `    <include file="${file}" relativeToChangelogFile="true"/>\n`).join('')}</databaseChangeLog>`);
+};
+
+// Append the category changelogs the root changelog doesn't include yet, creating it if needed
+const addToRootChangelog = async (plan, layout, categoryChangelogs) => {
+  const mainChangelogPath = join(plan.rootDirectory, layout.rootChangelog);
+  let mainChangelogContent;
+
+  if (await plan.exists(mainChangelogPath)) {
+    // Read existing content
+    const existingContent = await plan.read(mainChangelogPath);
+    
+    // Find the closing tag position
+    const closingTagIndex = existingContent.lastIndexOf('</databaseChangeLog>');
+    if (closingTagIndex === -1) {
+      throw new Error(`Cannot update ${layout.rootChangelog}: missing closing tag`);
+    }
+
+    // Get content without the closing tag
+    const contentWithoutClosing = existingContent.substring(0, closingTagIndex);
+    
+    // Get existing includes to avoid duplicates
+    const existingIncludes = new Set(await getExistingIncludes(plan, mainChangelogPath));
+
+    const newIncludes = categoryChangelogs
+      .filter(file => !existingIncludes.has(file))
+      .map(file => `    <include file="${file}" relativeToChangelogFile="true"/>`)
+      .join('\n');
+
+    // Only add newIncludes if there are any
+    mainChangelogContent = `${contentWithoutClosing}${newIncludes ? newIncludes + '\n' : ''}</databaseChangeLog>`;
+  } else {
+    mainChangelogContent = `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog
+    xmlns="http://www.liquibase.org/xml/ns/dbchangelog"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
+                      http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
+
+    <!-- Definition de la version -->
+    <!-- -->
+    <include file="${TAG_CHANGELOG}" relativeToChangelogFile="true"/>
+
+    <!-- Ajouter tous les version à installer -->
+${categoryChangelogs
+        .filter(file => file !== TAG_CHANGELOG)
+        .map(file => `    <include file="${file}" relativeToChangelogFile="true"/>`)
+        .join('\n')}
+</databaseChangeLog>`;
+  }
+  await plan.write(mainChangelogPath, mainChangelogContent);
+};
+
+const invalidXmlLog = (category, file, error) => ({
+  type: 'error',
+  category,
+  message: `Invalid XML format in file '${file}': ${error}`
+});
+
 // Directory validation endpoint
 app.post('/api/validate-directory', async (req, res) => {
   try {
@@ -61,6 +312,12 @@ app.post('/api/validate-directory', async (req, res) => {
       return res.json({ valid: false, error: 'No directory path provided' });
     }
 
+    const outside = validateWorkspacePath(path);
+    if (outside) {
+      console.warn('Rejected directory outside the workspace:', outside);
+      return res.json({ valid: false, error: `The directory ${outside}` });
+    }
+
     // Print detailed debugging information
     console.log('Current working directory:', process.cwd());
     console.log('Path to validate:', path);
@@ -144,7 +401,7 @@ app.post('/api/check-structure', async (req, res) => {
     });
 
     // Check for tag-database.xml
-    const tagPath = join(workingDirectory, 'tag-database.xml');
+    const tagPath = join(workingDirectory, TAG_CHANGELOG);
     try {
       await fs.access(tagPath);
       results.push({
@@ -161,7 +418,8 @@ app.post('/api/check-structure', async (req, res) => {
     }
 
     // Check for required directories
-    const requiredDirs = ['tables', 'views', 'materialized_views', 'procedures', 'sequences'];
+    const { layout } = await readProjectConfig(workingDirectory);
+    const requiredDirs = layout.categories.filter(cat => !cat.standalone).map(cat => cat.name);
     
     results.push({
       type: 'info',
@@ -420,25 +678,22 @@ async function useDirectAPIApproach(res) {
 app.post('/api/get-version', async (req, res) => {
   try {
     const { workingDirectory } = req.body;
-    const tagPath = join(workingDirectory, 'tag-database.xml');
+    const tagPath = join(workingDirectory, TAG_CHANGELOG);
 
-    try {
-      // Read the tag-database.xml file
-      const content = await fs.readFile(tagPath, 'utf8');
+    if (existsSync(tagPath)) {
+      // The last release tagged is the current version
+      const release = await getCurrentRelease(workingDirectory);
       
-      // Try to find the version number
-      const match = content.match(/<tagDatabase\s+tag="(\d+)\.0\.0"/);
-      
-      if (match && match[1]) {
+      if (release) {
         // Successfully found version number
-        console.log('Found version:', match[1]);
-        res.json({ version: match[1] });
+        console.log('Found version:', release.version);
+        res.json({ version: release.version, tag: release.tag });
       } else {
         // File exists but couldn't find version
         console.log('Version pattern not found in tag-database.xml');
         res.status(404).json({ error: 'Version not found in tag-database.xml' });
       }
-    } catch (error) {
+    } else {
       // File doesn't exist
       console.log('tag-database.xml not found');
       res.status(404).json({ error: 'tag-database.xml not found' });
@@ -455,19 +710,19 @@ app.post('/api/check-orphaned', async (req, res) => {
   let errors = 0;
 
   try {
-    const masterChangelog = `changelog-${version}-${category.toUpperCase()}.xml`;
+    const model = createChangelogModel(workingDirectory);
+    const { layout } = await readProjectConfig(workingDirectory);
+    const masterChangelog = getCategoryChangelog(layout, category, version);
     const masterPath = join(workingDirectory, masterChangelog);
     
     // Get all declared files from master changelog first
-    let declaredFiles = new Set();
-    if (await fs.access(masterPath).then(() => true).catch(() => false)) {
-      const content = await fs.readFile(masterPath, 'utf-8');
-      const matches = content.match(/file="[^"]+"/g) || [];
-      declaredFiles = new Set(matches.map(m => {
-        const match = m.match(/file="([^"]+)"/);
-        return match ? match[1] : null;
-      }).filter(Boolean));
+    const master = await model.read(masterPath);
+    if (master.error) {
+      logs.push(invalidXmlLog(category, masterChangelog, master.error));
+      errors++;
+      return res.json({ errors, logs });
     }
+    const declaredFiles = await model.declaredFiles(masterPath);
 
     // Check for XML files that exist but aren't declared in changelog
     const categoryDir = join(workingDirectory, category);
@@ -477,10 +732,8 @@ app.post('/api/check-orphaned', async (req, res) => {
       
       for (const xmlFile of xmlFiles) {
         const relativePath = `${category}/${xmlFile}`;
-        const shortPath = xmlFile;
         
-        // Check if either the full path or short path is declared
-        if (!declaredFiles.has(relativePath) && !declaredFiles.has(shortPath)) {
+        if (!declaredFiles.has(resolve(categoryDir, xmlFile))) {
           logs.push({
             type: 'error',
             category,
@@ -522,56 +775,70 @@ app.post('/api/check-references', async (req, res) => {
   const { workingDirectory, category, version } = req.body;
   const logs = [];
   let errors = 0;
+  const fileExists = (filePath) => fs.access(filePath).then(() => true).catch(() => false);
 
   try {
-    const masterChangelog = `changelog-${version}-${category.toUpperCase()}.xml`;
+    const model = createChangelogModel(workingDirectory);
+    const { layout } = await readProjectConfig(workingDirectory);
+    const masterChangelog = getCategoryChangelog(layout, category, version);
     const masterPath = join(workingDirectory, masterChangelog);
 
     // Check files referenced in master changelog
-    if (await fs.access(masterPath).then(() => true).catch(() => false)) {
-      const content = await fs.readFile(masterPath, 'utf-8');
-      const references = content.match(/file="[^"]+"/g) || [];
-      
-      for (const ref of references) {
-        const file = ref.match(/file="([^"]+)"/)?.[1];
-        if (file) {
-          // Handle both relative and full paths
-          const filePath = file.includes('/') 
-            ? join(workingDirectory, file)
-            : join(workingDirectory, category, file);
-            
-          if (!await fs.access(filePath).then(() => true).catch(() => false)) {
-            logs.push({
-              type: 'error',
-              category,
-              message: `File '${file}' referenced in ${masterChangelog} does not exist`
-            });
-            errors++;
-          }
+    const master = await model.read(masterPath);
+    if (master.error) {
+      logs.push(invalidXmlLog(category, masterChangelog, master.error));
+      errors++;
+    }
+
+    for (const entry of master.entries) {
+      if (entry.type === 'include') {
+        const filePath = resolveChangelogPath(workingDirectory, masterPath, entry.file, entry.relativeToChangelogFile);
+        if (!await fileExists(filePath)) {
+          logs.push({
+            type: 'error',
+            category,
+            message: `File '${entry.file}' referenced in ${masterChangelog} does not exist`
+          });
+          errors++;
+        }
+      } else if (entry.type === 'includeAll') {
+        const dirPath = resolveChangelogPath(workingDirectory, masterPath, entry.path, entry.relativeToChangelogFile);
+        if (!await fileExists(dirPath)) {
+          logs.push({
+            type: 'error',
+            category,
+            message: `Directory '${entry.path}' referenced in ${masterChangelog} does not exist`
+          });
+          errors++;
         }
       }
     }
 
-    // Check SQL files referenced in XML changesets
+    // Check SQL files referenced in XML changesets, including their rollback blocks
     const categoryDir = join(workingDirectory, category);
-    if (await fs.access(categoryDir).then(() => true).catch(() => false)) {
+    if (await fileExists(categoryDir)) {
       const xmlFiles = (await fs.readdir(categoryDir))
         .filter(f => f.endsWith('.xml') && !f.startsWith('changelog-'));
 
       for (const xmlFile of xmlFiles) {
         const xmlPath = join(categoryDir, xmlFile);
-        const content = await fs.readFile(xmlPath, 'utf-8');
-        const sqlRefs = content.match(/path="[^"]+"/g) || [];
-
-        for (const ref of sqlRefs) {
-          const sqlPath = ref.match(/path="([^"]+)"/)?.[1];
-          if (sqlPath) {
-            const fullSqlPath = join(categoryDir, sqlPath);
-            if (!await fs.access(fullSqlPath).then(() => true).catch(() => false)) {
+        const changelog = await model.read(xmlPath);
+        if (changelog.error) {
+          logs.push(invalidXmlLog(category, `${category}/${xmlFile}`, changelog.error));
+          errors++;
+          continue;
+        }
+
+        for (const changeSet of changelog.changeSets) {
+          const sqlFiles = [...changeSet.sqlFiles, ...(changeSet.rollback?.sqlFiles || [])];
+          for (const sqlFile of sqlFiles) {
+            if (!sqlFile.path) continue;
+            const fullSqlPath = resolveChangelogPath(workingDirectory, xmlPath, sqlFile.path, sqlFile.relativeToChangelogFile);
+            if (!await fileExists(fullSqlPath)) {
               logs.push({
                 type: 'error',
                 category,
-                message: `SQL file '${sqlPath}' referenced in '${category}/${xmlFile}' does not exist`
+                message: `SQL file '${sqlFile.path}' referenced in '${category}/${xmlFile}' does not exist`
               });
               errors++;
             }
@@ -586,427 +853,497 @@ app.post('/api/check-references', async (req, res) => {
   }
 });
 
-app.post('/api/check-main-changelog', async (req, res) => {
-  const { workingDirectory, version } = req.body;
+app.post('/api/check-rollbacks', async (req, res) => {
+  const { workingDirectory, category } = req.body;
   const logs = [];
   let errors = 0;
 
   try {
-    const mainChangelogPath = join(workingDirectory, 'changelog-SIO2-all.xml');
-    const orderManagersChangelogPath = join(workingDirectory, 'changelog-Order-Managers-Param-DATA.xml');
-    
-    let mainChangelog = 'changelog-SIO2-all.xml'; // Default changelog
-    
-    if (await fs.access(orderManagersChangelogPath).then(() => true).catch(() => false)) {
-      mainChangelog = 'changelog-Order-Managers-Param-DATA.xml'; // Change to special case
-    }
-
-    const mainChangelogPathToCheck = join(workingDirectory, mainChangelog);
-    
-    if (!await fs.access(mainChangelogPathToCheck).then(() => true).catch(() => false)) {
-      logs.push({
-        type: 'error',
-        category: 'system',
-        message: `Main changelog file not found: ${mainChangelog}`
-      });
-      errors++;
+    const categoryDir = join(workingDirectory, category);
+    if (!await fs.access(categoryDir).then(() => true).catch(() => false)) {
       return res.json({ errors, logs });
     }
 
-    const content = await fs.readFile(mainChangelogPathToCheck, 'utf-8');
+    const model = createChangelogModel(workingDirectory);
+    const xmlFiles = (await fs.readdir(categoryDir))
+      .filter(f => f.endsWith('.xml') && !f.startsWith('changelog-'));
 
-    if (mainChangelog === 'changelog-SIO2-all.xml') {
-      const categories = ['TABLES', 'VIEWS', 'MATERIALIZED_VIEWS', 'PROCEDURES', 'SEQUENCES'];
-      for (const category of categories) {
-        const categoryChangelog = `changelog-${version}-${category}.xml`;
-        const changelogPath = join(workingDirectory, categoryChangelog);
-        
-        if (await fs.access(changelogPath).then(() => true).catch(() => false)) {
-          if (!content.includes(`file="${categoryChangelog}"`)) {
-            logs.push({
-              type: 'error',
-              category: 'main_changelog',
-              message: `Existing changelog '${categoryChangelog}' is not declared in changelog-SIO2-all.xml`
-            });
-            errors++;
-          }
+    // Invalid files are already reported by check-references
+    for (const xmlFile of xmlFiles) {
+      const changelog = await model.read(join(categoryDir, xmlFile));
+      for (const changeSet of changelog.changeSets) {
+        if (!changeSet.rollback && !changeSet.autoRollback) {
+          logs.push({
+            type: 'warning',
+            category,
+            message: `Changeset '${changeSet.id}' in '${category}/${xmlFile}' has no rollback block, so rollback will fail`
+          });
         }
       }
-    } else if (mainChangelog === 'changelog-Order-Managers-Param-DATA.xml') {
-      const categoryChangelog = 'changelog-Order-Managers-Param-DATA.xml';
-      // Check if 'data' is included in the main changelog, if not, log an error
-      if (!content.includes(`file="${categoryChangelog}"`)) {
-        logs.push({
-          type: 'error',
-          category: 'main_changelog',
-          message: `Changelog '${categoryChangelog}' is not declared in changelog-Order-Managers-Param-DATA.xml`
-        });
-        errors++;
-      }
     }
 
     res.json({ errors, logs });
   } catch (error) {
-    console.error('Error checking main changelog:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/build-structure', async (req, res) => {
-  const { workingDirectory, config } = req.body;
-  // if (category.name.toLowerCase() === 'data') {
-  //   console.log('Building data structure...');
-  // }
+app.post('/api/check-preconditions', async (req, res) => {
+  const { workingDirectory, category } = req.body;
+  const logs = [];
+  let errors = 0;
 
   try {
-    // Create tag-database.xml if it doesn't exist
-    const tagPath = join(workingDirectory, 'tag-database.xml');
-    if (!existsSync(tagPath)) {
-      const tagContent = `<?xml version="1.0" encoding="UTF-8"?>
-<databaseChangeLog
-  xmlns="http://www.liquibase.org/xml/ns/dbchangelog"
-  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-  xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
-                      http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
-                      
-  <changeSet author="${config.author}" id="tag-database">
-    <tagDatabase tag="${config.version}.0.0"/>
-  </changeSet>
-</databaseChangeLog>`;
-      await fs.writeFile(tagPath, tagContent);
+    const categoryDir = join(workingDirectory, category);
+    if (!await fs.access(categoryDir).then(() => true).catch(() => false)) {
+      return res.json({ errors, logs });
     }
-    let isDataCategory = false;
-    // Process categories with files
-    for (const category of config.categories) {
-      if (category.files && category.files.length > 0) {
-        const categoryPath = join(workingDirectory, category.name);
-        const categorySqlPath = join(categoryPath, 'sql');
-        
-        await fs.mkdir(categoryPath, { recursive: true });
-        await fs.mkdir(categorySqlPath, { recursive: true });
-
-        // Create or update category changelog
-        console.log(category.name.toLowerCase());
-        const categoryChangelogPath = category.name.toLowerCase() === 'data'
-  ? join(workingDirectory, 'changelog-Order-Managers-Param-DATA.xml')
-  : join(workingDirectory, `changelog-${config.version}-${category.name.toUpperCase()}.xml`);
-
-        let categoryChangelogContent = '';
-        let existingIncludes = [];
-
-        if (existsSync(categoryChangelogPath)) {
-          // Read existing changelog
-          const existingContent = await fs.readFile(categoryChangelogPath, 'utf8');
-          // Extract existing includes
-          const includeRegex = /<include .*?file="(.*?)".*?\/>/g;
-          let match;
-          while ((match = includeRegex.exec(existingContent)) !== null) {
-            existingIncludes.push(match[1]);
-          }
-        }
-        
-        // Create individual XML files with proper indentation
-        for (const file of category.files) {
-          const xmlPath = join(categoryPath, `${file.name}.xml`);
-          const fileSqlPath = join(categorySqlPath, `${file.name}.sql`);
-           isDataCategory = `${category.name}`.toLowerCase() === 'data';
-
-          if (!existsSync(xmlPath)) {
-            const xmlContent = `<?xml version="1.0" encoding="UTF-8"?>
-<databaseChangeLog
-    xmlns="http://www.liquibase.org/xml/ns/dbchangelog"
-    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-    xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
-                      http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
 
-    <changeSet id="${file.name}" author="${config.author}">
-        <sqlFile path="sql/${file.name}.sql" relativeToChangelogFile="true"/>
-    </changeSet>
-</databaseChangeLog>`;
-            await fs.writeFile(xmlPath, xmlContent);
-          }
+    const model = createChangelogModel(workingDirectory);
+    const xmlFiles = (await fs.readdir(categoryDir))
+      .filter(f => f.endsWith('.xml') && !f.startsWith('changelog-'));
 
-          // Always write the SQL content, whether the file exists or not
-          const sqlContent = file.content || `-- Add your SQL here for ${file.name}`;
-          await fs.writeFile(fileSqlPath, sqlContent);
+    // Invalid files are already reported by check-references
+    for (const xmlFile of xmlFiles) {
+      const changelog = await model.read(join(categoryDir, xmlFile));
+      for (const changeSet of changelog.changeSets) {
+        if (!changeSet.preConditions) continue;
 
-          // Add to includes if not already present
-          const includePath = `${category.name}/${file.name}.xml`;
-          if (!existingIncludes.includes(includePath)) {
-            existingIncludes.push(includePath);
-          }
+        for (const problem of checkPreconditions(changeSet.preConditions)) {
+          logs.push({
+            type: 'error',
+            category,
+            message: `Precondition of changeset '${changeSet.id}' in '${category}/${xmlFile}' is invalid: ${problem}`
+          });
+          errors++;
         }
-
-        // Write updated category changelog with proper indentation
-        categoryChangelogContent = `<?xml version="1.0" encoding="UTF-8"?>
-<databaseChangeLog
-    xmlns="http://www.liquibase.org/xml/ns/dbchangelog"
-    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-    xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
-                      http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
-
-${existingIncludes.map(file => `    <include file="${file}" relativeToChangelogFile="true"/>`).join('\n')}
-</databaseChangeLog>`;
-
-        await fs.writeFile(categoryChangelogPath, categoryChangelogContent);
       }
     }
 
-    // Update main changelog (changelog-SIO2-all.xml)
-    const mainChangelogPath = isDataCategory
-      ? join(workingDirectory, 'changelog-Order-Managers-Param-DATA.xml')  // Data updates this file instead
-      : join(workingDirectory, 'changelog-SIO2-all.xml');
-    let mainChangelogContent;
-
-    if (existsSync(mainChangelogPath)) {
-      // Read existing content
-      const existingContent = await fs.readFile(mainChangelogPath, 'utf-8');
-      
-      // Find the closing tag position
-      const closingTagIndex = existingContent.lastIndexOf('</databaseChangeLog>');
-      
-      if (closingTagIndex !== -1) {
-        // Get content without the closing tag
-        const contentWithoutClosing = existingContent.substring(0, closingTagIndex);
-        
-        // Get existing includes to avoid duplicates
-        const includeRegex = /<include.*?file="(.*?)".*?\/>/g;
-        const existingIncludes = new Set();
-        let match;
-        
-        while ((match = includeRegex.exec(existingContent)) !== null) {
-          existingIncludes.add(match[1]);
-        }
-
-        // Add only new category changelogs
-        // const newIncludes = config.categories
-        //   .filter(cat => cat.files && cat.files.length > 0)
-        //   .map(cat => `changelog-${config.version}-${cat.name.toUpperCase()}.xml`)
-        //   .filter(file => !existingIncludes.has(file))
-        //   .map(file => `    <include file="${file}" relativeToChangelogFile="true"/>`)
-        //   .join('\n');
+    res.json({ errors, logs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        const newIncludes = config.categories
-            .filter(cat => cat.files && cat.files.length > 0 && cat.name.toLowerCase() !== 'data')  // 
-            .map(cat => `changelog-${config.version}-${cat.name.toUpperCase()}.xml`)
-            .filter(file => !existingIncludes.has(file))
-            .map(file => `    <include file="${file}" relativeToChangelogFile="true"/>`)
-            .join('\n');
+app.post('/api/check-sql', async (req, res) => {
+  const { workingDirectory, category } = req.body;
+  const logs = [];
+  let errors = 0;
 
+  try {
+    const sqlDir = join(workingDirectory, category, 'sql');
+    if (!await fs.access(sqlDir).then(() => true).catch(() => false)) {
+      return res.json({ errors, logs });
+    }
 
-        // Only add newIncludes if there are any
-        mainChangelogContent = `${contentWithoutClosing}${newIncludes ? '\n' + newIncludes : ''}\n</databaseChangeLog>`;
+    // splitStatements and endDelimiter of the <sqlFile> that runs each script; Liquibase splits by default
+    const model = createChangelogModel(workingDirectory);
+    const lintOptionsBySql = new Map();
+    const xmlFiles = (await fs.readdir(join(workingDirectory, category)))
+      .filter(f => f.endsWith('.xml') && !f.startsWith('changelog-'));
+    for (const xmlFile of xmlFiles) {
+      const xmlPath = join(workingDirectory, category, xmlFile);
+      const changelog = await model.read(xmlPath);
+      for (const sqlFile of changelog.changeSets.flatMap(changeSet => changeSet.sqlFiles)) {
+        const sqlPath = resolveChangelogPath(workingDirectory, xmlPath, sqlFile.path || '', sqlFile.relativeToChangelogFile);
+        lintOptionsBySql.set(sqlPath, {
+          splitStatements: sqlFile.attributes.splitStatements?.toLowerCase() !== 'false',
+          endDelimiter: sqlFile.attributes.endDelimiter || null
+        });
       }
-    } else {
-      // Create new main changelog if it doesn't exist
-      if (isDataCategory) {
-        mainChangelogContent = `<?xml version="1.0" encoding="UTF-8"?>
-    <databaseChangeLog
-        xmlns="http://www.liquibase.org/xml/ns/dbchangelog"
-        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-        xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
-                          http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
-    
-        <include file="tag-database.xml" relativeToChangelogFile="true"/>
-    
-        <!-- DML Inserts -->
-        ${category.files.map(file => `    <include relativeToChangelogFile="true" file="data/${file}"/>`).join('\n')}
-    </databaseChangeLog>`;
     }
-    else {
-      mainChangelogContent = `<?xml version="1.0" encoding="UTF-8"?>
-<databaseChangeLog
-    xmlns="http://www.liquibase.org/xml/ns/dbchangelog"
-    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-    xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
-                      http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
 
-    <!-- Definition de la version -->
-    <!-- -->
-    <include file="tag-database.xml" relativeToChangelogFile="true"/>
+    const sqlFiles = (await fs.readdir(sqlDir)).filter(f => f.endsWith('.sql'));
+    for (const sqlFile of sqlFiles) {
+      const sqlPath = join(sqlDir, sqlFile);
+      const content = await fs.readFile(sqlPath, 'utf8');
+      const problems = lintSql(content, lintOptionsBySql.get(resolve(sqlPath)));
 
-    <!-- Ajouter tous les version à installer -->
-${config.categories
-        .filter(cat => cat.files && cat.files.length > 0)
-        .map(cat => `    <include file="changelog-${config.version}-${cat.name.toUpperCase()}.xml" relativeToChangelogFile="true"/>`)
-        .join('\n')}
-</databaseChangeLog>`;
+      for (const problem of problems) {
+        logs.push({
+          type: problem.severity,
+          category,
+          message: `'${category}/sql/${sqlFile}' line ${problem.line}: ${problem.message} (${problem.rule})`
+        });
+        if (problem.severity === 'error') errors++;
+      }
     }
-  }
-    await fs.writeFile(mainChangelogPath, mainChangelogContent);
 
-    res.json({ success: true });
+    res.json({ errors, logs });
   } catch (error) {
-    console.error('Error building structure:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/check-sql-exists', async (req, res) => {
-  const { workingDirectory, sqlFile } = req.body;
-  const fullPath = join(workingDirectory, sqlFile);
-  
+// Object dependencies of a release and the include order they call for
+app.get('/api/dependencies', async (req, res) => {
+  const { workingDirectory, version } = req.query;
+
+  if (!version) {
+    return res.status(400).json({ error: 'version is required' });
+  }
+
   try {
-    const exists = await fs.access(fullPath)
-      .then(() => true)
-      .catch(() => false);
-    
-    res.json({ exists });
+    const { layout } = await readProjectConfig(workingDirectory);
+    res.json(await analyzeDependencies(createFilePlan(workingDirectory), layout, version));
   } catch (error) {
+    console.error('Error analyzing dependencies:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/apply-fix', async (req, res) => {
-  const { action, details } = req.body;
-  
-  console.log('Received fix request:', { action, details });
-  
-  try {
-    switch (action) {
-      case 'create-xml-and-reference': {
-        const { sqlFile, xmlFile, category, workingDirectory } = details;
-        
-        if (!sqlFile || !category || !workingDirectory) {
-          console.error('Missing required fields:', { sqlFile, category, workingDirectory });
-          return res.status(400).json({ error: 'Missing required fields' });
-        }
-
-        console.log('Creating XML file with details:', { sqlFile, xmlFile, category });
+app.post('/api/check-dependencies', async (req, res) => {
+  const { workingDirectory, version } = req.body;
+  const logs = [];
+  let errors = 0;
 
-        // Extract the base name without extension
-        const baseName = basename(sqlFile, '.sql');
-        
-        // Create paths
-        const xmlPath = join(workingDirectory, category, `${baseName}.xml`);
-        const sqlPath = join(workingDirectory, category, 'sql', `${baseName}.sql`);
-        
-        console.log('Creating files at:', { xmlPath, sqlPath });
+  if (!version) {
+    return res.json({ errors, logs });
+  }
 
-        try {
-          // Create XML file with proper content
-          const xmlContent = `<?xml version="1.0" encoding="UTF-8"?>
-<databaseChangeLog
-    xmlns="http://www.liquibase.org/xml/ns/dbchangelog"
-    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-    xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
-    http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
-    
-    <changeSet id="${baseName}" author="system">
-        <sqlFile path="sql/${baseName}.sql" relativeToChangelogFile="true"/>
-    </changeSet>
-</databaseChangeLog>`;
+  try {
+    const { layout } = await readProjectConfig(workingDirectory);
+    const { cycles, outOfOrder } = await analyzeDependencies(createFilePlan(workingDirectory), layout, version);
 
-          await fs.writeFile(xmlPath, xmlContent);
-          
-          // Add to changelog if it exists
-          const changelogPath = join(workingDirectory, `changelog-49-${category.toUpperCase()}.xml`);
-          if (await fs.access(changelogPath).then(() => true).catch(() => false)) {
-            let changelogContent = await fs.readFile(changelogPath, 'utf8');
-            const insertPoint = changelogContent.lastIndexOf('</databaseChangeLog>');
-            const newEntry = `    <include file="${category}/${baseName}.xml" relativeToChangelogFile="true"/>\n`;
-            changelogContent = changelogContent.slice(0, insertPoint) + newEntry + changelogContent.slice(insertPoint);
-            await fs.writeFile(changelogPath, changelogContent);
-          }
+    for (const { file, dependsOn } of outOfOrder) {
+      logs.push({
+        type: 'error',
+        category: 'dependencies',
+        message: `'${file}' is deployed before '${dependsOn}', which it depends on`
+      });
+      errors++;
+    }
+    // No order fixes a cycle; Oracle compiles such objects invalid until the last one exists
+    for (const cycle of cycles) {
+      logs.push({
+        type: 'warning',
+        category: 'dependencies',
+        message: `${cycle.map(file => `'${file}'`).join(', ')} depend on each other`
+      });
+    }
 
-          console.log('Successfully created XML file and updated changelog');
-          res.json({ success: true });
-        } catch (fileError) {
-          console.error('File operation error:', fileError);
-          throw fileError;
-        }
-        break;
-      }
+    res.json({ errors, logs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      case 'add-to-changelog': {
-        const { xmlFile, changelogFile, workingDirectory } = details;
-        
-        if (!xmlFile || !changelogFile || !workingDirectory) {
-          console.error('Missing required fields:', { xmlFile, changelogFile, workingDirectory });
-          return res.status(400).json({ error: 'Missing required fields' });
-        }
+// Precondition templates the Generator offers, and the onFail/onError choices
+app.get('/api/precondition-templates', (req, res) => {
+  res.json({ templates: listPreconditionTemplates(), actions: PRECONDITION_ACTIONS });
+});
 
-        console.log('Adding XML to changelog:', { xmlFile, changelogFile });
+app.post('/api/check-main-changelog', async (req, res) => {
+  const { workingDirectory, version } = req.body;
+  const logs = [];
+  let errors = 0;
 
-        try {
-          const changelogPath = join(workingDirectory, changelogFile);
-          
-          // Check if changelog exists
-          if (!(await fs.access(changelogPath).then(() => true).catch(() => false))) {
-            throw new Error(`Changelog file ${changelogFile} does not exist`);
-          }
+  try {
+    const { layout } = await readProjectConfig(workingDirectory);
+    const mainChangelog = layout.rootChangelog;
+    const mainChangelogPath = join(workingDirectory, mainChangelog);
+    const model = createChangelogModel(workingDirectory);
+    const main = await model.read(mainChangelogPath);
+    
+    if (!main.exists) {
+      logs.push({
+        type: 'error',
+        category: 'system',
+        message: `Main changelog file not found: ${mainChangelog}`
+      });
+      errors++;
+      return res.json({ errors, logs });
+    }
 
-          // Read current changelog content
-          let changelogContent = await fs.readFile(changelogPath, 'utf-8');
-          
-          // Check if the XML is already included
-          if (changelogContent.includes(`file="${xmlFile}"`)) {
-            return res.json({ success: true, message: 'XML already included in changelog' });
-          }
+    if (main.error) {
+      logs.push(invalidXmlLog('main_changelog', mainChangelog, main.error));
+      errors++;
+      return res.json({ errors, logs });
+    }
+
+    const declaredFiles = await model.declaredFiles(mainChangelogPath);
 
-          // Add the new include before the closing tag
-          const insertPoint = changelogContent.lastIndexOf('</databaseChangeLog>');
-          if (insertPoint === -1) {
-            throw new Error('Invalid changelog format: missing closing tag');
+    // Standalone categories are deployed through their own changelog, not the root one
+    for (const category of layout.categories.filter(cat => !cat.standalone)) {
+      const categoryChangelog = getCategoryChangelog(layout, category.name, version);
+      const changelogPath = join(workingDirectory, categoryChangelog);
+      
+      if (await fs.access(changelogPath).then(() => true).catch(() => false)) {
+        if (!declaredFiles.has(resolve(changelogPath))) {
+          logs.push({
+            type: 'error',
+            category: 'main_changelog',
+            message: `Existing changelog '${categoryChangelog}' is not declared in ${mainChangelog}`
+          });
+          errors++;
+        }
+      }
+    }
+
+    res.json({ errors, logs });
+  } catch (error) {
+    console.error('Error checking main changelog:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Plan the writes of a build: each file's XML and SQL, the category changelogs including them
+ * in the order given, and the root changelog. `config` is { author, version, categories: [{ name, files }] }.
+ */
+const planBuild = async (plan, config) => {
+  const workingDirectory = plan.rootDirectory;
+
+  // Tag the first release if tag-database.xml doesn't exist
+  if (!await plan.exists(TAG_CHANGELOG)) {
+    await addRelease(plan, config.version, config.author);
+  }
+  const { layout } = await readProjectConfig(workingDirectory);
+  const isStandalone = (categoryName) =>
+    Boolean(layout.categories.find(cat => cat.name === categoryName)?.standalone);
+  const getChangeSetDefaults = (categoryName) =>
+    layout.categories.find(cat => cat.name === categoryName)?.changeSetDefaults || {};
+
+  // Process categories with files
+  for (const category of config.categories) {
+    if (category.files && category.files.length > 0) {
+      const categoryPath = join(workingDirectory, category.name);
+      const categorySqlPath = join(categoryPath, 'sql');
+      
+      plan.mkdir(categorySqlPath);
+
+      // Create or update category changelog
+      const categoryChangelogPath = join(
+        workingDirectory,
+        getCategoryChangelog(layout, category.name, config.version)
+      );
+
+      let existingIncludes = [];
+
+      if (await plan.exists(categoryChangelogPath)) {
+        // Keep the includes already declared in the changelog
+        existingIncludes = await getExistingIncludes(plan, categoryChangelogPath);
+      } else if (isStandalone(category.name)) {
+        // A standalone changelog is deployed on its own, so it carries the version tag itself
+        existingIncludes.push(TAG_CHANGELOG);
+      }
+      
+      // Create individual XML files with proper indentation
+      for (const file of category.files) {
+        const xmlPath = join(categoryPath, `${file.name}.xml`);
+        const fileSqlPath = join(categorySqlPath, `${file.name}.sql`);
+
+        // A rollback script is attached when the file carries one, even an empty one
+        const hasRollback = typeof file.rollback === 'string';
+
+        if (!await plan.exists(xmlPath)) {
+          await plan.write(xmlPath, createChangelogXML(config.author, file.name, {
+            rollback: hasRollback,
+            attributes: { ...getChangeSetDefaults(category.name), ...file.attributes },
+            precondition: file.precondition
+          }));
+        } else {
+          // An existing changeSet only changes when its attributes or precondition were edited
+          if (file.attributes) {
+            await updateChangeSetAttributes(plan, xmlPath, file.name, file.attributes);
+          }
+          if (file.precondition) {
+            await updatePreconditions(plan, xmlPath, file.name, file.precondition);
+          }
+          if (hasRollback) {
+            await attachRollback(plan, xmlPath, file.name);
           }
+        }
 
-          const newEntry = `    <include file="${xmlFile}" relativeToChangelogFile="true"/>\n`;
-          changelogContent = changelogContent.slice(0, insertPoint) + newEntry + changelogContent.slice(insertPoint);
+        // Always write the SQL content, whether the file exists or not; the journal keeps the old one
+        const sqlContent = file.content || `-- Add your SQL here for ${file.name}`;
+        await plan.write(fileSqlPath, sqlContent);
 
-          // Format the XML content
-          const formattedContent = xmlFormatter(changelogContent, {
-            indentation: '    ',
-            collapseContent: true,
-            lineSeparator: '\n'
-          });
+        if (hasRollback) {
+          const rollbackPath = join(categoryPath, getRollbackPath(file.name));
+          await plan.write(rollbackPath, file.rollback || `-- Add the SQL that undoes ${file.name} here`);
+        }
 
-          // Write back to file
-          await fs.writeFile(changelogPath, formattedContent);
-          console.log('Successfully added XML to changelog');
-          res.json({ success: true });
-        } catch (fileError) {
-          console.error('File operation error:', fileError);
-          throw fileError;
+        // Add to includes if not already present
+        const includePath = `${category.name}/${file.name}.xml`;
+        if (!existingIncludes.includes(includePath)) {
+          existingIncludes.push(includePath);
         }
-        break;
       }
-      
-      default:
-        console.error('Unknown action type:', action);
-        res.status(400).json({ error: 'Unknown action type' });
+
+      // Write updated category changelog with proper indentation
+      await writeCategoryChangelog(plan, categoryChangelogPath, existingIncludes);
+    }
+  }
+
+  // Update the root changelog with the category changelogs it doesn't include yet
+  const categoryChangelogs = config.categories
+    .filter(cat => cat.files && cat.files.length > 0 && !isStandalone(cat.name))
+    .map(cat => getCategoryChangelog(layout, cat.name, config.version));
+
+  if (categoryChangelogs.length > 0) {
+    await addToRootChangelog(plan, layout, categoryChangelogs);
+  }
+};
+
+app.post('/api/build-structure', async (req, res) => {
+  const { workingDirectory, config, dryRun = false } = req.body;
+
+  // Versions, categories and script names all end up in file paths
+  const invalidName = [config?.version, ...(config?.categories || []).flatMap(category => [
+    category.name,
+    ...(category.files || []).map(file => file.name)
+  ])].map(validateFileName).find(Boolean);
+  if (invalidName) {
+    console.warn('Rejected build:', invalidName);
+    return res.status(400).json({ error: invalidName });
+  }
+
+  for (const file of (config?.categories || []).flatMap(category => category.files || [])) {
+    const fileError = validateChangeSetAttributes(file.attributes) || validatePrecondition(file.precondition);
+    if (fileError) {
+      return res.status(400).json({ error: `${file.name}: ${fileError}` });
     }
+  }
+
+  try {
+    // Every write goes through the plan, then lands as one journaled operation
+    const plan = createFilePlan(workingDirectory);
+    await planBuild(plan, config);
+
+    // A dry run reports what the build would write, as diffs, without touching the disk
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, changes: plan.changes() });
+    }
+
+    const operation = await applyPlan(plan, { type: 'build', summary: `Build version ${config.version}` });
+    res.json({ success: true, operation });
   } catch (error) {
-    console.error('Server error while applying fix:', error);
-    res.status(500).json({
-      error: error.message,
-      details: error.stack
+    console.error('Error building structure:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Classify the SQL scripts of a folder for the import wizard
+app.post('/api/import/scan', async (req, res) => {
+  const { workingDirectory, sourceDirectory } = req.body;
+
+  try {
+    const { layout } = await readProjectConfig(workingDirectory);
+    const files = await scanImportSource(workingDirectory, sourceDirectory, layout);
+    res.json({ files });
+  } catch (error) {
+    console.error('Error scanning import folder:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Build the selected scripts, ordered by dependency, as one journaled build
+app.post('/api/import', async (req, res) => {
+  const { workingDirectory, sourceDirectory, author, version, files, dryRun = false } = req.body;
+
+  if (!author?.trim() || !version) {
+    return res.status(400).json({ error: 'author and version are required' });
+  }
+
+  try {
+    const { layout } = await readProjectConfig(workingDirectory);
+    const validationError = validateImport(sourceDirectory, files, layout);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { categories, warnings } = await planImport(sourceDirectory, files, layout);
+    const plan = createFilePlan(workingDirectory);
+    await planBuild(plan, { author, version, categories });
+
+    const order = categories.flatMap(category => category.files.map(file => `${category.name}/${file.name}`));
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, changes: plan.changes(), order, warnings });
+    }
+
+    const operation = await applyPlan(plan, {
+      type: 'build',
+      summary: `Import ${files.length} SQL file(s) into version ${version}`
     });
+    console.log(`Imported ${files.length} SQL file(s) from ${sourceDirectory}`);
+    res.json({ success: true, operation, order, warnings });
+  } catch (error) {
+    console.error('Error importing SQL files:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/check-sql-exists', async (req, res) => {
+  const { workingDirectory, sqlFile } = req.body;
+
+  const invalidPath = validateProjectPath(sqlFile);
+  if (invalidPath) {
+    console.warn('Rejected SQL file path:', invalidPath);
+    return res.status(400).json({ error: `sqlFile ${invalidPath}` });
+  }
+  const fullPath = join(workingDirectory, sqlFile);
+  
+  try {
+    const exists = await fs.access(fullPath)
+      .then(() => true)
+      .catch(() => false);
+    
+    res.json({ exists });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/apply-fix', async (req, res) => {
+  const { action, details = {}, preview = false } = req.body;
+  
+  console.log('Received fix request:', { action, details, preview });
+
+  if (!isFixAction(action)) {
+    console.error('Unknown action type:', action);
+    return res.status(400).json({ error: 'Unknown action type' });
+  }
+
+  const missingFields = getMissingFixFields(action, details);
+  if (missingFields.length > 0) {
+    console.error('Missing required fields:', missingFields);
+    return res.status(400).json({ error: `Missing required fields: ${missingFields.join(', ')}` });
+  }
+  
+  try {
+    // The preview and the fix come from the same plan, so what is shown is what gets written
+    const plan = await planFix(action, details);
+    const changes = plan.changes();
+
+    let operation = null;
+    if (!preview) {
+      operation = await applyPlan(plan, { type: 'fix', summary: action });
+      console.log(`Applied ${action}:`, changes.map(change => change.file));
+    }
+    res.json({ success: true, applied: !preview, changes, operation });
+  } catch (error) {
+    console.error('Server error while applying fix:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
 // Add function to get version from tag-database.xml
 async function getVersionFromTag(workingDirectory) {
   try {
-    const tagPath = join(workingDirectory, 'tag-database.xml');
-    const content = await fs.readFile(tagPath, 'utf8');
-    const match = content.match(/tag="([^"]+)"/);
-    return match ? match[1].split('.')[0] : null;
+    const release = await getCurrentRelease(workingDirectory);
+    return release ? release.version : null;
   } catch (error) {
     console.error('Error reading tag-database.xml:', error);
     return null;
   }
 }
 
-// Add function to get author from package.json or use default
-async function getAuthor() {
-  try {
-    const packagePath = join(process.cwd(), 'package.json');
-    const packageJson = JSON.parse(await fs.readFile(packagePath, 'utf8'));
-    return packageJson.author || 'SIO2';
-  } catch (error) {
-    console.error('Error reading package.json:', error);
-    return 'SIO2'; // Default author
-  }
+// Fallback author from the project layout
+async function getAuthor(workingDirectory) {
+  const { layout } = await readProjectConfig(workingDirectory);
+  return layout.defaultAuthor;
 }
 
 app.post('/api/get-config', async (req, res) => {
@@ -1015,7 +1352,7 @@ app.post('/api/get-config', async (req, res) => {
   try {
     const [version, author] = await Promise.all([
       getVersionFromTag(workingDirectory),
-      getAuthor()
+      getAuthor(workingDirectory)
     ]);
 
     if (!version) {
@@ -1029,15 +1366,110 @@ app.post('/api/get-config', async (req, res) => {
   }
 });
 
+// Whether the executor of an environment (or the server default) can start Liquibase
+app.get('/api/liquibase/health', async (req, res) => {
+  const { workingDirectory, environment: environmentName } = req.query;
+
+  try {
+    const environment = workingDirectory ? await getEnvironment(workingDirectory, environmentName) : null;
+    res.json(await validateLiquibaseSetup(environment));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Who is running against the environment's database, who waits, and its DATABASECHANGELOGLOCK
+app.get('/api/liquibase/locks', async (req, res) => {
+  const { workingDirectory, environment: environmentName } = req.query;
+
+  if (!workingDirectory) {
+    return res.status(400).json({ error: 'workingDirectory is required' });
+  }
+
+  let environment;
+  try {
+    environment = await getEnvironment(workingDirectory, environmentName);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await getTargetLocks(workingDirectory, environment));
+  } catch (error) {
+    console.error('Error listing locks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The command registry the Installer renders its forms from
+app.get('/api/liquibase/commands', (req, res) => {
+  res.json({ commands: describeCommands() });
+});
+
 app.post('/api/liquibase', async (req, res) => {
-  const { command, workingDirectory, options } = req.body;
-  
-  console.log('Received liquibase request:', { command, workingDirectory, options });
+  const {
+    command,
+    workingDirectory,
+    options,
+    user,
+    sessionId,
+    environment: environmentName,
+    confirmEnvironment
+  } = req.body;
   
+  console.log('Received liquibase request:', { command, workingDirectory, options, environment: environmentName });
+
+  const invalid = validateCommandOptions(command, options);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // The stream opens when the run starts, or earlier when it has to wait for its database
+  const openStream = () => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+    }
+  };
+
+  const runUser = user || userInfo().username;
+  let queuedRunId = null;
+  let run;
+  let environment;
+  let policyTarget;
+  // Taken before the run so a second request can't use it too, given back if Liquibase never runs
+  let previewConsumed = false;
+
+  // A client that goes away before the end event takes its run with it: a queued run leaves
+  // the queue and a running one is stopped, rather than going on with nobody watching
+  let clientGone = false;
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    clientGone = true;
+    const runId = run?.runId || queuedRunId;
+    if (runId && cancelLiquibaseCommand(runId)) {
+      console.log(`Client disconnected, cancelled run ${runId}`);
+    }
+  });
   try {
-    // First validate the Liquibase setup
+    try {
+      environment = await getEnvironment(workingDirectory, environmentName);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Then check that the executor the environment runs on can start Liquibase
     console.log('Validating Liquibase setup...');
-    const validation = await validateLiquibaseSetup(workingDirectory);
+    const validation = await validateLiquibaseSetup(environment);
     console.log('Validation result:', validation);
     
     if (!validation.success) {
@@ -1048,34 +1480,504 @@ app.post('/api/liquibase', async (req, res) => {
       });
     }
 
-    // Execute the command
-    console.log('Executing Liquibase command...');
-    const result = await executeLiquibaseCommand(workingDirectory, command, options);
-    
-    if (!result.success) {
-      console.log('Command failed:', result.error);
-      return res.status(500).json({
-        error: result.error,
-        logs: result.logs,
-        command: result.command
-      });
+    // Protected environments need confirmation and a preview before destructive commands
+    const { policy } = await readProjectConfig(workingDirectory);
+    policyTarget = getPolicyTarget(policy, environment);
+    const violation = checkPolicy({
+      policy,
+      environment: policyTarget,
+      command,
+      options,
+      sessionId,
+      confirmation: confirmEnvironment
+    });
+    if (violation) {
+      console.log('Policy refused command:', violation.error);
+      return res.status(403).json(violation);
+    }
+    // Only a lock none of our runs holds can be stale; releasing a live one lets a second run in
+    if (command === 'releaseLocks') {
+      const { holder } = await getTargetRuns(workingDirectory, environment);
+      if (holder) {
+        console.log('Refused releaseLocks while a run holds the target:', holder.runId);
+        return res.status(409).json({
+          error: `${holder.user}'s ${holder.command} is running against this database, so its lock is not stale`
+        });
+      }
     }
 
-    console.log('Command succeeded');
-    res.json({
-      success: true,
-      logs: result.logs,
-      command: result.command
+    if (policyTarget.protected && isDestructiveCommand(command)) {
+      consumePreview(sessionId, policyTarget, command, options);
+      previewConsumed = true;
+    }
+
+    console.log('Executing Liquibase command...');
+    run = await runLiquibaseCommand({
+      workingDirectory,
+      command,
+      options,
+      environment,
+      user: runUser,
+      onLine: (line) => sendEvent('log', line),
+      onQueued: (queued) => {
+        queuedRunId = queued.runId;
+        if (clientGone) {
+          cancelLiquibaseCommand(queued.runId);
+          return;
+        }
+        openStream();
+        sendEvent('queued', queued);
+      }
     });
   } catch (error) {
     console.error('Unexpected error:', error);
-    res.status(500).json({
+    if (previewConsumed) {
+      restorePreview(sessionId, policyTarget, command, options);
+    }
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+    // Failed once its turn came, after the client was told it was queued
+    sendEvent('end', {
+      runId: queuedRunId,
+      success: false,
+      exitCode: null,
+      cancelled: false,
+      durationMs: 0,
       error: error.message,
-      logs: error.stderr?.split('\n').filter(Boolean)
+      result: null,
+      errors: []
     });
+    return res.end();
+  }
+
+  // Gone while the setup was checked
+  if (clientGone) {
+    cancelLiquibaseCommand(run.runId);
+  }
+
+  // Stream the command output as server-sent events
+  openStream();
+  sendEvent('start', {
+    runId: run.runId,
+    command: run.command,
+    environment: run.target.environment,
+    executor: run.target.executor
+  });
+
+  // Record the run before it finishes so a crashed server still leaves a trace
+  const record = {
+    id: run.runId,
+    user: runUser,
+    command,
+    options: options || {},
+    workingDirectory,
+    target: {
+      environment: run.target.environment,
+      defaultsFile: run.target.defaultsFile,
+      url: run.target.url,
+      executor: run.target.executor
+    },
+    commandLine: run.command,
+    startedAt: new Date(run.startedAt).toISOString(),
+    endedAt: null,
+    status: 'running',
+    exitCode: null,
+    logs: []
+  };
+  await saveRun(record).catch(error => console.error('Failed to record run:', error));
+
+  const result = await run.done;
+  console.log(`Run ${result.runId} finished with exit code ${result.exitCode} in ${result.durationMs}ms`);
+
+  if (result.success) {
+    recordPreview(sessionId, policyTarget, command, options);
+  } else if (previewConsumed && !result.started) {
+    restorePreview(sessionId, policyTarget, command, options);
+  }
+
+  // Tables for the Installer, and the errors it can explain
+  const { result: parsed, errors } = parseLiquibaseOutput(command, result);
+
+  await saveRun({
+    ...record,
+    endedAt: new Date(run.startedAt + result.durationMs).toISOString(),
+    status: result.success ? 'success' : result.cancelled ? 'cancelled' : 'failed',
+    exitCode: result.exitCode,
+    durationMs: result.durationMs,
+    error: result.error,
+    errors,
+    logs: result.logs
+  }).catch(error => console.error('Failed to record run:', error));
+
+  sendEvent('end', {
+    runId: result.runId,
+    success: result.success,
+    exitCode: result.exitCode,
+    cancelled: result.cancelled,
+    durationMs: result.durationMs,
+    error: result.error,
+    result: parsed,
+    errors
+  });
+  res.end();
+});
+
+app.get('/api/environments', async (req, res) => {
+  const { workingDirectory } = req.query;
+
+  try {
+    const { environments, policy } = await readProjectConfig(workingDirectory);
+    res.json({ environments, defaultProtected: policy.protectDefault === true });
+  } catch (error) {
+    console.error('Error reading environments:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
+app.post('/api/environments', async (req, res) => {
+  const { workingDirectory, environment, confirmation } = req.body;
+
+  const validationError = validateEnvironment(environment);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { environments: saved } = await readProjectConfig(workingDirectory);
+    const violation = checkProfileChange({
+      current: saved.find(env => env.name === environment.name),
+      updated: environment,
+      confirmation
+    });
+    if (violation) {
+      console.log('Policy refused environment change:', violation.error);
+      return res.status(403).json(violation);
+    }
+
+    const environments = await saveEnvironment(workingDirectory, environment);
+    console.log('Saved environment:', environment.name);
+    res.json({ success: true, environments });
+  } catch (error) {
+    console.error('Error saving environment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/environments/delete', async (req, res) => {
+  const { workingDirectory, name, confirmation } = req.body;
+
+  try {
+    const { environments: saved } = await readProjectConfig(workingDirectory);
+    const violation = checkProfileChange({
+      current: saved.find(env => env.name === name),
+      updated: null,
+      confirmation
+    });
+    if (violation) {
+      console.log('Policy refused environment deletion:', violation.error);
+      return res.status(403).json(violation);
+    }
+
+    const environments = await deleteEnvironment(workingDirectory, name);
+    console.log('Deleted environment:', name);
+    res.json({ success: true, environments });
+  } catch (error) {
+    console.error('Error deleting environment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/project-config', async (req, res) => {
+  const { workingDirectory } = req.query;
+
+  try {
+    const { layout, policy, sqlFormat } = await readProjectConfig(workingDirectory);
+    res.json({ layout, policy, sqlFormat });
+  } catch (error) {
+    console.error('Error reading project config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/project-config/layout', async (req, res) => {
+  const { workingDirectory, layout } = req.body;
+
+  const validationError = validateLayout(layout);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    await saveLayout(workingDirectory, layout);
+    console.log('Saved project layout for', workingDirectory);
+    res.json({ success: true, layout });
+  } catch (error) {
+    console.error('Error saving project layout:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/project-config/sql-format', async (req, res) => {
+  const { workingDirectory, sqlFormat } = req.body;
+
+  const validationError = validateSqlFormat(sqlFormat);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const saved = await saveSqlFormat(workingDirectory, sqlFormat);
+    console.log('Saved SQL format settings for', workingDirectory);
+    res.json({ success: true, sqlFormat: saved });
+  } catch (error) {
+    console.error('Error saving SQL format settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Format SQL being edited in the Generator with the project's settings
+app.post('/api/format-sql', async (req, res) => {
+  const { workingDirectory, content } = req.body;
+
+  if (typeof content !== 'string') {
+    return res.status(400).json({ error: 'content is required' });
+  }
+
+  try {
+    const { sqlFormat } = await readProjectConfig(workingDirectory);
+    res.json({ content: formatSqlScript(content, sqlFormat) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Format every script under <category>/sql and <category>/sql/rollback. A file the formatter
+// can't parse is reported and left as it is; with dryRun nothing is written.
+app.post('/api/format-project-sql', async (req, res) => {
+  const { workingDirectory, dryRun } = req.body;
+
+  try {
+    const { layout, sqlFormat } = await readProjectConfig(workingDirectory);
+    const plan = createFilePlan(workingDirectory);
+    const changed = [];
+    const failed = [];
+    let unchanged = 0;
+
+    for (const category of layout.categories) {
+      for (const directory of [join(category.name, 'sql'), join(category.name, 'sql', 'rollback')]) {
+        const files = await fs.readdir(join(workingDirectory, directory)).catch(() => []);
+        for (const file of files.filter(f => f.endsWith('.sql'))) {
+          const sqlPath = join(directory, file);
+          const content = await plan.read(sqlPath);
+          const projectPath = sqlPath.split('\\').join('/');
+          try {
+            const formatted = formatSqlScript(content, sqlFormat);
+            if (formatted === content) {
+              unchanged++;
+            } else {
+              await plan.write(sqlPath, formatted);
+              changed.push(projectPath);
+            }
+          } catch (error) {
+            failed.push({ file: projectPath, error: error.message });
+          }
+        }
+      }
+    }
+
+    const report = { changed, unchanged, failed };
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, report, changes: plan.changes() });
+    }
+
+    const operation = await applyPlan(plan, { type: 'format', summary: `Format ${changed.length} SQL file(s)` });
+    console.log(`Formatted ${changed.length} SQL file(s) in ${workingDirectory}`);
+    res.json({ success: true, report, operation });
+  } catch (error) {
+    console.error('Error formatting SQL files:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/releases', async (req, res) => {
+  const { workingDirectory } = req.query;
+
+  try {
+    const releases = await listReleases(workingDirectory);
+    res.json({ releases });
+  } catch (error) {
+    console.error('Error listing releases:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tag the next release and start its category changelogs; earlier ones stay included
+app.post('/api/releases', async (req, res) => {
+  const { workingDirectory, part, author } = req.body;
+
+  if (!RELEASE_PARTS.includes(part)) {
+    return res.status(400).json({ error: `part must be one of ${RELEASE_PARTS.join(', ')}` });
+  }
+
+  try {
+    const { layout } = await readProjectConfig(workingDirectory);
+    const plan = createFilePlan(workingDirectory);
+    const release = await createRelease(plan, part, author || layout.defaultAuthor);
+
+    // Standalone categories keep a single changelog across releases
+    const categoryChangelogs = layout.categories
+      .filter(cat => !cat.standalone)
+      .map(cat => getCategoryChangelog(layout, cat.name, release.version));
+
+    const created = [];
+    for (const changelog of categoryChangelogs) {
+      const changelogPath = join(workingDirectory, changelog);
+      if (!await plan.exists(changelogPath)) {
+        await writeCategoryChangelog(plan, changelogPath, []);
+        created.push(changelog);
+      }
+    }
+    // The release's tag goes right before its changelogs, after everything already deployed
+    await addToRootChangelog(plan, layout, [release.changelog, ...categoryChangelogs]);
+
+    const operation = await applyPlan(plan, { type: 'release', summary: `Release ${release.tag}` });
+    console.log(`Created release ${release.tag} in`, workingDirectory);
+    res.json({ release, created, operation });
+  } catch (error) {
+    console.error('Error creating release:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Builds, releases, fixes and config changes written to the project, newest first
+app.get('/api/journal', async (req, res) => {
+  const { workingDirectory, type, limit } = req.query;
+
+  try {
+    const operations = await listOperations({
+      workingDirectory,
+      type,
+      limit: limit ? parseInt(limit) : undefined
+    });
+    res.json({ operations });
+  } catch (error) {
+    console.error('Error listing journal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/journal/:operationId/undo', async (req, res) => {
+  const operation = await getOperation(req.params.operationId);
+
+  if (!operation) {
+    return res.status(404).json({ error: `Operation ${req.params.operationId} not found` });
+  }
+
+  try {
+    const conflict = await checkUndo(operation);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+
+    const undone = await undoOperation(operation);
+    console.log(`Undid ${operation.type} operation:`, operation.summary);
+    res.json({ operation: undone });
+  } catch (error) {
+    console.error('Error undoing operation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/git/status', async (req, res) => {
+  const { workingDirectory } = req.query;
+
+  if (!workingDirectory) {
+    return res.status(400).json({ error: 'workingDirectory is required' });
+  }
+
+  try {
+    res.json({ status: await getGitStatus(workingDirectory) });
+  } catch (error) {
+    console.error('Error reading git status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?file= may be repeated to limit the diff to some of the changed files
+app.get('/api/git/diff', async (req, res) => {
+  const { workingDirectory, file } = req.query;
+
+  if (!workingDirectory) {
+    return res.status(400).json({ error: 'workingDirectory is required' });
+  }
+
+  try {
+    const files = file === undefined ? [] : [].concat(file);
+    res.json({ changes: await getGitDiff(workingDirectory, files) });
+  } catch (error) {
+    console.error('Error reading git diff:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/git/commit', async (req, res) => {
+  const { workingDirectory, message, files } = req.body;
+
+  if (!workingDirectory || !message?.trim()) {
+    return res.status(400).json({ error: 'workingDirectory and message are required' });
+  }
+  if (files !== undefined && !Array.isArray(files)) {
+    return res.status(400).json({ error: 'files must be an array' });
+  }
+
+  try {
+    const commit = await commitChanges(workingDirectory, message.trim(), files);
+    console.log(`Committed ${commit.hash} in`, workingDirectory);
+    res.json({ commit });
+  } catch (error) {
+    console.error('Error committing changes:', error);
+    res.status(500).json({ error: error.stderr?.trim() || error.message });
+  }
+});
+
+app.get('/api/liquibase/runs', async (req, res) => {
+  const { workingDirectory, command, limit } = req.query;
+
+  try {
+    const runs = await listRuns({
+      workingDirectory,
+      command,
+      limit: limit ? parseInt(limit) : undefined
+    });
+    res.json({ runs });
+  } catch (error) {
+    console.error('Error listing runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/liquibase/runs/:runId', async (req, res) => {
+  const run = await getRun(req.params.runId);
+
+  if (!run) {
+    return res.status(404).json({ error: `Run ${req.params.runId} not found` });
+  }
+
+  res.json({ run });
+});
+
+app.post('/api/liquibase/:runId/cancel', (req, res) => {
+  const { runId } = req.params;
+
+  if (!cancelLiquibaseCommand(runId)) {
+    return res.status(404).json({ error: `No running command with id ${runId}` });
+  }
+
+  console.log('Cancelled run:', runId);
+  res.json({ success: true });
+});
+
 app.post('/api/check-changelog-declarations', async (req, res) => {
   const { workingDirectory, version } = req.body;
   const logs = [];
@@ -1083,42 +1985,48 @@ app.post('/api/check-changelog-declarations', async (req, res) => {
 
   try {
     // Read main changelog
-    const mainChangelogPath = join(workingDirectory, 'changelog-SIO2-all.xml');
+    const { layout } = await readProjectConfig(workingDirectory);
+    const mainChangelog = layout.rootChangelog;
+    const mainChangelogPath = join(workingDirectory, mainChangelog);
     if (!existsSync(mainChangelogPath)) {
       logs.push({
         type: 'error',
         category: 'system',
-        message: 'Main changelog (changelog-SIO2-all.xml) not found'
+        message: `Main changelog (${mainChangelog}) not found`
       });
       errors++;
       return res.json({ logs, errors });
     }
 
-    const mainContent = await fs.readFile(mainChangelogPath, 'utf8');
-    
-    // Extract all declared changelogs
-    const includeRegex = /<include.*?file="(changelog-\d+-[A-Z_]+\.xml)".*?\/>/g;
-    const declaredChangelogs = new Set();
-    let match;
-    
-    while ((match = includeRegex.exec(mainContent)) !== null) {
-      declaredChangelogs.add(match[1]);
+    const model = createChangelogModel(workingDirectory);
+    const main = await model.read(mainChangelogPath);
+    if (main.error) {
+      logs.push(invalidXmlLog('system', mainChangelog, main.error));
+      errors++;
+      return res.json({ logs, errors });
     }
 
+    // Extract all declared changelogs, including those pulled in by includeAll
+    const declaredChangelogs = await model.declaredFiles(mainChangelogPath);
+
     // Check for existing changelog files that should be declared
     const files = await fs.readdir(workingDirectory);
-    const changelogPattern = new RegExp(`changelog-${version}-[A-Z_]+\\.xml$`);
+    const changelogPattern = getCategoryChangelogPattern(layout, version);
+    const standaloneChangelogs = layout.categories
+      .filter(cat => cat.standalone)
+      .map(cat => getCategoryChangelog(layout, cat.name, version));
     
     for (const file of files) {
-      if (file !== 'changelog-SIO2-all.xml' && 
-          file !== 'tag-database.xml' && 
+      if (file !== mainChangelog && 
+          !isTagChangelog(file) && 
+          !standaloneChangelogs.includes(file) &&
           changelogPattern.test(file)) {
         
-        if (!declaredChangelogs.has(file)) {
+        if (!declaredChangelogs.has(resolve(workingDirectory, file))) {
           logs.push({
             type: 'error',
             category: 'system',
-            message: `Changelog file '${file}' exists but is not declared in changelog-SIO2-all.xml`
+            message: `Changelog file '${file}' exists but is not declared in ${mainChangelog}`
           });
           errors++;
         }
@@ -1148,6 +2056,92 @@ app.post('/api/check-changelog-declarations', async (req, res) => {
   }
 });
 
+app.post('/api/check-drift', async (req, res) => {
+  const { workingDirectory, environment: environmentName } = req.body;
+  const logs = [];
+  let errors = 0;
+
+  let environment;
+  try {
+    environment = await getEnvironment(workingDirectory, environmentName);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Quoted in every message so the suggested fixes know which database to act on
+  const target = environment?.name || 'liquibase.properties';
+
+  try {
+    const { layout } = await readProjectConfig(workingDirectory);
+    const drift = await detectDrift({ workingDirectory, environment, layout });
+
+    logs.push({
+      type: 'info',
+      category: 'drift',
+      message: `Drift check against '${target}': ${drift.modified.length} modified after deploy, `
+        + `${drift.unexpected.length} missing locally, ${drift.pending.length} pending`
+    });
+
+    for (const category of [...layout.categories.map(cat => cat.name), 'system']) {
+      const inCategory = (changeSet) => changeSet.category === category;
+
+      for (const changeSet of drift.modified.filter(inCategory)) {
+        logs.push({
+          type: 'error',
+          category,
+          message: `Changeset '${changeSet.id}' by ${changeSet.author} in '${changeSet.changelog}' was modified after it was deployed to '${target}' (checksum ${changeSet.deployedChecksum}, now ${changeSet.localChecksum})`
+        });
+        errors++;
+      }
+      for (const changeSet of drift.unexpected.filter(inCategory)) {
+        logs.push({
+          type: 'error',
+          category,
+          message: `Changeset '${changeSet.id}' by ${changeSet.author} from '${changeSet.changelog}' is deployed to '${target}' but missing locally`
+        });
+        errors++;
+      }
+      for (const changeSet of drift.pending.filter(inCategory)) {
+        logs.push({
+          type: 'warning',
+          category,
+          message: `Changeset '${changeSet.id}' by ${changeSet.author} in '${changeSet.changelog}' is pending on '${target}'`
+        });
+      }
+    }
+
+    res.json({ errors, logs });
+  } catch (error) {
+    console.error('Error checking drift:', error);
+    logs.push({
+      type: 'error',
+      category: 'drift',
+      message: `Drift check against '${target}' failed: ${error.message}`
+    });
+    res.json({ errors: errors + 1, logs });
+  }
+});
+
+app.post('/api/changelog-graph', async (req, res) => {
+  const { workingDirectory, environment: environmentName } = req.body;
+
+  let environment;
+  try {
+    environment = await getEnvironment(workingDirectory, environmentName);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const rootChangelog = await getRootChangelog(workingDirectory, environment);
+    const tree = await createChangelogModel(workingDirectory).loadTree(rootChangelog);
+    res.json({ rootChangelog, tree, summary: summarizeTree(tree) });
+  } catch (error) {
+    console.error('Error building changelog graph:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
 });
\ No newline at end of file
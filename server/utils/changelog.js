@@ -0,0 +1,323 @@
+import { promises as fs } from 'fs';
+import { dirname, join, isAbsolute, resolve, relative, extname } from 'path';
+import xml2js from 'xml2js';
+import { validateWorkspacePath } from './workspace.js';
+
+// Changelog formats Liquibase accepts through include/includeAll
+const CHANGELOG_EXTENSIONS = ['.xml', '.sql', '.yaml', '.yml', '.json'];
+
+const createParser = () => new xml2js.Parser({
+  explicitChildren: true,
+  preserveChildrenOrder: true,
+  charsAsChildren: false,
+  tagNameProcessors: [xml2js.processors.stripPrefix]
+});
+
+// Convert xml2js output into { name, attributes, text, children } so callers don't deal with `$`/`$$`
+const toElement = (node) => ({
+  name: node['#name'],
+  attributes: node.$ || {},
+  text: typeof node._ === 'string' ? node._.trim() : '',
+  children: (node.$$ || []).map(toElement)
+});
+
+const isTrue = (value) => String(value).toLowerCase() === 'true';
+
+const toSqlFile = (element) => ({
+  path: element.attributes.path,
+  relativeToChangelogFile: isTrue(element.attributes.relativeToChangelogFile),
+  attributes: element.attributes
+});
+
+// Change types Liquibase can roll back without a <rollback> block
+const AUTO_ROLLBACK_CHANGES = new Set([
+  'addColumn',
+  'addDefaultValue',
+  'addForeignKeyConstraint',
+  'addLookupTable',
+  'addNotNullConstraint',
+  'addPrimaryKey',
+  'addUniqueConstraint',
+  'createIndex',
+  'createSequence',
+  'createTable',
+  'createView',
+  'renameColumn',
+  'renameTable',
+  'renameView',
+  'tagDatabase'
+]);
+
+const toChangeSet = (element) => {
+  const rollback = element.children.find(child => child.name === 'rollback');
+  const changes = element.children.filter(child =>
+    !['rollback', 'preConditions', 'comment', 'validCheckSum'].includes(child.name));
+
+  return {
+    id: element.attributes.id,
+    author: element.attributes.author,
+    attributes: element.attributes,
+    changes: changes.map(change => change.name),
+    sqlFiles: changes.filter(change => change.name === 'sqlFile').map(toSqlFile),
+    preConditions: element.children.find(child => child.name === 'preConditions') || null,
+    autoRollback: changes.every(change => AUTO_ROLLBACK_CHANGES.has(change.name)),
+    rollback: rollback ? {
+      empty: !rollback.text && rollback.children.length === 0,
+      sqlFiles: rollback.children.filter(child => child.name === 'sqlFile').map(toSqlFile)
+    } : null,
+    element
+  };
+};
+
+/**
+ * Parse changelog XML into the entries Liquibase cares about, in document order.
+ * Comments are dropped by the parser, so commented-out includes are not reported.
+ */
+export const parseChangelog = async (content) => {
+  const result = await createParser().parseStringPromise(content);
+  const rootNode = result?.databaseChangeLog;
+  if (!rootNode) {
+    throw new Error('Root element is not <databaseChangeLog>');
+  }
+
+  const root = toElement(rootNode);
+  const entries = [];
+
+  for (const child of root.children) {
+    switch (child.name) {
+      case 'include':
+        entries.push({
+          type: 'include',
+          file: child.attributes.file,
+          relativeToChangelogFile: isTrue(child.attributes.relativeToChangelogFile)
+        });
+        break;
+      case 'includeAll':
+        entries.push({
+          type: 'includeAll',
+          path: child.attributes.path,
+          relativeToChangelogFile: isTrue(child.attributes.relativeToChangelogFile)
+        });
+        break;
+      case 'changeSet':
+        entries.push({ type: 'changeSet', ...toChangeSet(child) });
+        break;
+    }
+  }
+
+  return {
+    root,
+    entries,
+    includes: entries.filter(entry => entry.type === 'include'),
+    includeAll: entries.filter(entry => entry.type === 'includeAll'),
+    changeSets: entries.filter(entry => entry.type === 'changeSet')
+  };
+};
+
+// Tags declared with <tagDatabase> in a parsed changelog, in document order
+export const listDatabaseTags = (changelog) => changelog.changeSets.flatMap(changeSet =>
+  changeSet.element.children
+    .filter(child => child.name === 'tagDatabase' && child.attributes.tag)
+    .map(child => ({ tag: child.attributes.tag, changeSetId: changeSet.id, author: changeSet.author })));
+
+/**
+ * Read and parse a changelog file. Never throws: a missing file has `exists: false`
+ * and a malformed one carries the parser message in `error`.
+ */
+export const readChangelog = async (filePath) => {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch {
+    return { path: filePath, exists: false, error: null, entries: [], includes: [], includeAll: [], changeSets: [] };
+  }
+
+  try {
+    return { path: filePath, exists: true, error: null, ...await parseChangelog(content) };
+  } catch (error) {
+    return {
+      path: filePath,
+      exists: true,
+      error: error.message.split('\n')[0],
+      entries: [],
+      includes: [],
+      includeAll: [],
+      changeSets: []
+    };
+  }
+};
+
+/**
+ * Resolve a path found in a changelog the way Liquibase does: relative to the changelog
+ * when relativeToChangelogFile is set, otherwise relative to the search path (project root).
+ */
+export const resolveChangelogPath = (rootDirectory, changelogPath, file, relativeToChangelogFile) => {
+  if (isAbsolute(file)) {
+    return resolve(file);
+  }
+  return resolve(relativeToChangelogFile ? dirname(changelogPath) : rootDirectory, file);
+};
+
+/**
+ * Shared view over a project's changelogs. Each file is parsed at most once per model,
+ * so create one per request and pass it to every check that needs it.
+ */
+export const createChangelogModel = (rootDirectory) => {
+  const cache = new Map();
+
+  const read = (filePath) => {
+    const absolutePath = resolve(rootDirectory, filePath);
+    if (!cache.has(absolutePath)) {
+      cache.set(absolutePath, readChangelog(absolutePath));
+    }
+    return cache.get(absolutePath);
+  };
+
+  const toProjectPath = (absolutePath) => relative(rootDirectory, absolutePath).split('\\').join('/');
+
+  // Files picked up by includeAll, sorted alphabetically as Liquibase does
+  const listIncludeAll = async (directory) => {
+    try {
+      const files = await fs.readdir(directory);
+      return files
+        .filter(file => CHANGELOG_EXTENSIONS.includes(extname(file).toLowerCase()))
+        .sort()
+        .map(file => join(directory, file));
+    } catch {
+      return null;
+    }
+  };
+
+  // Absolute paths of everything a changelog pulls in directly, through include and includeAll
+  const declaredFiles = async (changelogPath) => {
+    const changelog = await read(changelogPath);
+    const declared = new Set();
+
+    for (const entry of changelog.entries) {
+      if (entry.type === 'include' && entry.file) {
+        declared.add(resolveChangelogPath(rootDirectory, changelog.path, entry.file, entry.relativeToChangelogFile));
+      } else if (entry.type === 'includeAll' && entry.path) {
+        const directory = resolveChangelogPath(rootDirectory, changelog.path, entry.path, entry.relativeToChangelogFile);
+        (await listIncludeAll(directory) || []).forEach(file => declared.add(file));
+      }
+    }
+
+    return declared;
+  };
+
+  /**
+   * Walk the include tree from a root changelog. Each node reports its status:
+   * `ok`, `missing`, `invalid` (parse error), `cycle` (includes one of its ancestors),
+   * `duplicate` (already included elsewhere in the tree, not expanded again) or `outside`
+   * (outside the workspace roots, see utils/workspace.js, so it is not read).
+   */
+  const loadTree = async (rootChangelog) => {
+    const seen = new Set();
+
+    const visit = async (absolutePath, ancestors, via) => {
+      const node = {
+        file: toProjectPath(absolutePath),
+        path: absolutePath,
+        via,
+        kind: extname(absolutePath).toLowerCase() === '.xml' ? 'changelog' : 'file',
+        status: 'ok',
+        error: null,
+        changeSets: [],
+        children: []
+      };
+
+      if (validateWorkspacePath(absolutePath)) {
+        return { ...node, status: 'outside', error: 'Outside the workspace roots' };
+      }
+      if (ancestors.includes(absolutePath)) {
+        return { ...node, status: 'cycle', error: `Include cycle: ${[...ancestors, absolutePath].map(toProjectPath).join(' -> ')}` };
+      }
+      if (seen.has(absolutePath)) {
+        return { ...node, status: 'duplicate', error: 'Already included elsewhere in the tree' };
+      }
+      seen.add(absolutePath);
+
+      if (node.kind !== 'changelog') {
+        const exists = await fs.access(absolutePath).then(() => true).catch(() => false);
+        return exists ? node : { ...node, status: 'missing', error: 'File not found' };
+      }
+
+      const changelog = await read(absolutePath);
+      if (!changelog.exists) {
+        return { ...node, status: 'missing', error: 'File not found' };
+      }
+      if (changelog.error) {
+        return { ...node, status: 'invalid', error: changelog.error };
+      }
+
+      const path = [...ancestors, absolutePath];
+      for (const entry of changelog.entries) {
+        if (entry.type === 'include') {
+          const target = resolveChangelogPath(rootDirectory, absolutePath, entry.file || '', entry.relativeToChangelogFile);
+          node.children.push(await visit(target, path, { type: 'include', value: entry.file }));
+        } else if (entry.type === 'includeAll') {
+          const directory = resolveChangelogPath(rootDirectory, absolutePath, entry.path || '', entry.relativeToChangelogFile);
+          const outside = Boolean(validateWorkspacePath(directory));
+          const files = outside ? null : await listIncludeAll(directory);
+          if (files === null) {
+            node.children.push({
+              file: toProjectPath(directory),
+              path: directory,
+              via: { type: 'includeAll', value: entry.path },
+              kind: 'directory',
+              status: outside ? 'outside' : 'missing',
+              error: outside ? 'Outside the workspace roots' : 'Directory not found',
+              changeSets: [],
+              children: []
+            });
+            continue;
+          }
+          for (const file of files) {
+            node.children.push(await visit(file, path, { type: 'includeAll', value: entry.path }));
+          }
+        } else if (entry.type === 'changeSet') {
+          node.changeSets.push({
+            id: entry.id,
+            author: entry.author,
+            sqlFiles: await Promise.all(entry.sqlFiles.map(async (sqlFile) => {
+              const sqlPath = resolveChangelogPath(rootDirectory, absolutePath, sqlFile.path || '', sqlFile.relativeToChangelogFile);
+              return {
+                path: sqlFile.path,
+                file: toProjectPath(sqlPath),
+                exists: await fs.access(sqlPath).then(() => true).catch(() => false)
+              };
+            }))
+          });
+        }
+      }
+
+      return node;
+    };
+
+    return visit(resolve(rootDirectory, rootChangelog), [], null);
+  };
+
+  return { rootDirectory, read, declaredFiles, loadTree, toProjectPath };
+};
+
+// Counts over a tree returned by loadTree, for the graph header
+export const summarizeTree = (tree) => {
+  const summary = { changelogs: 0, files: 0, changeSets: 0, broken: 0 };
+
+  const visit = (node) => {
+    if (node.status === 'ok') {
+      if (node.kind === 'changelog') summary.changelogs++;
+      if (node.kind === 'file') summary.files++;
+    } else if (node.status !== 'duplicate') {
+      summary.broken++;
+    }
+    summary.changeSets += node.changeSets.length;
+    summary.broken += node.changeSets
+      .flatMap(changeSet => changeSet.sqlFiles)
+      .filter(sqlFile => !sqlFile.exists).length;
+    node.children.forEach(visit);
+  };
+
+  visit(tree);
+  return summary;
+};
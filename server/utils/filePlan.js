@@ -0,0 +1,101 @@
+import { promises as fs, existsSync } from 'fs';
+import { relative } from 'path';
+import { createTwoFilesPatch } from 'diff';
+import { resolveInsideDirectory } from './workspace.js';
+
+/**
+ * Collects the writes of an operation so they can be shown as diffs before anything
+ * touches the disk. Reads go through the plan, so later steps see earlier steps' output.
+ * Files outside the root directory read as missing, and writing there is refused.
+ */
+export const createFilePlan = (rootDirectory) => {
+  // absolute path -> { before, after }; `before` is null for new files
+  const files = new Map();
+  const directories = new Set();
+
+  const toProjectPath = (absolutePath) => relative(rootDirectory, absolutePath).split('\\').join('/');
+
+  // Absolute path of a file of the project, or null when it resolves outside
+  const locate = (filePath) => {
+    try {
+      return resolveInsideDirectory(rootDirectory, filePath);
+    } catch {
+      return null;
+    }
+  };
+
+  const toAbsolutePath = (filePath) => {
+    const absolutePath = locate(filePath);
+    if (!absolutePath) {
+      console.warn(`Rejected write outside ${rootDirectory}:`, filePath);
+      throw new Error(`${filePath} is outside the working directory`);
+    }
+    return absolutePath;
+  };
+
+  const read = async (filePath) => {
+    const absolutePath = locate(filePath);
+    if (!absolutePath) {
+      return null;
+    }
+    if (files.has(absolutePath)) {
+      return files.get(absolutePath).after;
+    }
+    try {
+      return await fs.readFile(absolutePath, 'utf-8');
+    } catch {
+      return null;
+    }
+  };
+
+  const exists = async (filePath) => {
+    const absolutePath = locate(filePath);
+    return absolutePath !== null && (files.has(absolutePath) || directories.has(absolutePath) || existsSync(absolutePath));
+  };
+
+  const write = async (filePath, content) => {
+    const absolutePath = toAbsolutePath(filePath);
+    if (files.has(absolutePath)) {
+      files.get(absolutePath).after = content;
+    } else {
+      files.set(absolutePath, { before: await read(absolutePath), after: content });
+    }
+  };
+
+  const mkdir = (directoryPath) => {
+    const absolutePath = toAbsolutePath(directoryPath);
+    if (!existsSync(absolutePath)) {
+      directories.add(absolutePath);
+    }
+  };
+
+  // What the plan would do, as { file, type: 'directory' | 'create' | 'modify', diff }
+  const changes = () => [
+    ...[...directories].map(absolutePath => ({ file: toProjectPath(absolutePath), type: 'directory', diff: '' })),
+    ...[...files]
+      .filter(([, { before, after }]) => before !== after)
+      .map(([absolutePath, { before, after }]) => {
+        const file = toProjectPath(absolutePath);
+        return {
+          file,
+          type: before === null ? 'create' : 'modify',
+          diff: createTwoFilesPatch(
+            before === null ? '/dev/null' : `a/${file}`,
+            `b/${file}`,
+            before ?? '',
+            after
+          )
+        };
+      })
+  ];
+
+  // Writes to perform, applied through utils/journal.js so they can be undone
+  const entries = () => ({
+    directories: [...directories],
+    files: [...files]
+      .filter(([, { before, after }]) => before !== after)
+      .map(([absolutePath, { after }]) => ({ path: absolutePath, after }))
+  });
+
+  return { rootDirectory, read, exists, write, mkdir, changes, entries, toProjectPath };
+};
@@ -0,0 +1,147 @@
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { extname, join, relative } from 'path';
+import { createTwoFilesPatch } from 'diff';
+
+const execFileAsync = promisify(execFile);
+
+// Only the files the tool generates and checks are shown and committed
+const TRACKED_EXTENSIONS = ['.xml', '.sql'];
+
+// Porcelain status letters, index side first
+const STATUS_NAMES = {
+  M: 'modified',
+  T: 'modified',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'added',
+  U: 'conflicted',
+  '?': 'untracked'
+};
+
+// Arguments go straight to git, never through a shell
+const git = async (workingDirectory, args) => {
+  const { stdout } = await execFileAsync('git', ['-C', workingDirectory, ...args], { maxBuffer: 10 * 1024 * 1024 });
+  return stdout;
+};
+
+const tryGit = (workingDirectory, args) => git(workingDirectory, args).catch(() => null);
+
+export const getRepositoryRoot = async (workingDirectory) => {
+  const root = await tryGit(workingDirectory, ['rev-parse', '--show-toplevel']);
+  return root ? root.trim() : null;
+};
+
+const hasHead = async (workingDirectory) =>
+  (await tryGit(workingDirectory, ['rev-parse', '--verify', '--quiet', 'HEAD'])) !== null;
+
+/**
+ * Changelog and SQL files under the working directory that differ from HEAD, with paths
+ * relative to the working directory. `isRepo` is false when it is not inside a git repository.
+ */
+export const getGitStatus = async (workingDirectory) => {
+  const root = await getRepositoryRoot(workingDirectory);
+  if (!root) {
+    return { isRepo: false, branch: null, files: [] };
+  }
+
+  const branch = await tryGit(workingDirectory, ['symbolic-ref', '--short', 'HEAD']);
+  const output = await git(workingDirectory, ['status', '--porcelain=v1', '-z', '--untracked-files=all', '--', '.']);
+
+  // -z separates entries with NUL, and a rename is followed by its original path
+  const toProjectPath = (repositoryPath) => relative(workingDirectory, join(root, repositoryPath)).split('\\').join('/');
+  const entries = output.split('\0').filter(Boolean);
+  const files = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const [indexStatus, worktreeStatus] = entry;
+    const original = indexStatus === 'R' || indexStatus === 'C' ? entries[++i] : null;
+    const from = indexStatus === 'R' ? toProjectPath(original) : null;
+
+    const file = toProjectPath(entry.slice(3));
+    if (!TRACKED_EXTENSIONS.includes(extname(file).toLowerCase())) {
+      continue;
+    }
+
+    const letter = indexStatus === ' ' || indexStatus === '?' ? worktreeStatus : indexStatus;
+    files.push({
+      file,
+      status: STATUS_NAMES[letter] || 'modified',
+      staged: indexStatus !== ' ' && indexStatus !== '?',
+      ...(from && { from })
+    });
+  }
+
+  return { isRepo: true, branch: branch ? branch.trim() : null, files };
+};
+
+// Keep requests to files the status lists, so nothing outside the project can be read or committed
+const selectFiles = (status, files) => {
+  if (!files || files.length === 0) {
+    return status.files;
+  }
+
+  const unknown = files.filter(file => !status.files.some(entry => entry.file === file));
+  if (unknown.length > 0) {
+    throw new Error(`No changes to ${unknown.join(', ')}`);
+  }
+  return status.files.filter(entry => files.includes(entry.file));
+};
+
+/**
+ * Diffs against HEAD as { file, type, diff }, the shape file plans use (see utils/filePlan.js).
+ * Untracked files, and every file before the first commit, are shown as new.
+ */
+export const getGitDiff = async (workingDirectory, files) => {
+  const status = await getGitStatus(workingDirectory);
+  if (!status.isRepo) {
+    throw new Error(`${workingDirectory} is not a git repository`);
+  }
+
+  const withHead = await hasHead(workingDirectory);
+  const changes = [];
+  for (const { file, status: fileStatus } of selectFiles(status, files)) {
+    if (withHead && fileStatus !== 'untracked') {
+      changes.push({
+        file,
+        type: fileStatus === 'deleted' ? 'delete' : fileStatus === 'modified' ? 'modify' : 'create',
+        diff: await git(workingDirectory, ['diff', '--no-color', 'HEAD', '--', file])
+      });
+    } else {
+      const content = await fs.readFile(join(workingDirectory, file), 'utf-8').catch(() => '');
+      changes.push({ file, type: 'create', diff: createTwoFilesPatch('/dev/null', `b/${file}`, '', content) });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Commit the given changed files (all listed ones by default). Only these paths are
+ * committed, whatever else is staged in the repository.
+ */
+export const commitChanges = async (workingDirectory, message, files) => {
+  const status = await getGitStatus(workingDirectory);
+  if (!status.isRepo) {
+    throw new Error(`${workingDirectory} is not a git repository`);
+  }
+
+  const selected = selectFiles(status, files);
+  if (selected.length === 0) {
+    throw new Error('No changelog or SQL changes to commit');
+  }
+
+  // --only takes tracked paths from the working tree, new files have to be added first
+  const untracked = selected.filter(entry => entry.status === 'untracked').map(entry => entry.file);
+  if (untracked.length > 0) {
+    await git(workingDirectory, ['add', '--', ...untracked]);
+  }
+
+  // A rename is committed together with the removal of its original path
+  const paths = selected.flatMap(entry => entry.from ? [entry.file, entry.from] : [entry.file]);
+  await git(workingDirectory, ['commit', '-m', message, '--only', '--', ...paths]);
+
+  const hash = (await git(workingDirectory, ['rev-parse', 'HEAD'])).trim();
+  return { hash, subject: message.split('\n')[0], files: paths };
+};
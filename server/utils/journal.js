@@ -0,0 +1,162 @@
+import { promises as fs, existsSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash, randomUUID } from 'crypto';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// One JSON file per operation, next to the run history
+const JOURNAL_DIR = join(process.env.TOWER_DATA_DIR || join(__dirname, '..', 'data'), 'journal');
+
+const OPERATION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+const operationPath = (id) => join(JOURNAL_DIR, `${id}.json`);
+
+const hash = (content) => createHash('sha256').update(content).digest('hex');
+
+const readCurrent = (absolutePath) => fs.readFile(absolutePath, 'utf-8').catch(() => null);
+
+const saveOperation = async (operation) => {
+  await fs.mkdir(JOURNAL_DIR, { recursive: true });
+  await fs.writeFile(operationPath(operation.id), JSON.stringify(operation, null, 2));
+};
+
+// What the API returns: the saved contents stay on the server
+const summarize = ({ files, ...operation }) => ({
+  ...operation,
+  files: files.map(({ file, before }) => ({ file, created: before === null }))
+});
+
+/**
+ * Write a file plan to disk as one journaled operation. The content each file had just
+ * before the write is kept so the whole operation can be undone.
+ * Returns the operation summary, or null when the plan changes nothing.
+ */
+export const applyPlan = async (plan, { type, summary }) => {
+  const { directories, files } = plan.entries();
+  if (directories.length === 0 && files.length === 0) {
+    return null;
+  }
+
+  const operation = {
+    id: randomUUID(),
+    workingDirectory: plan.rootDirectory,
+    type,
+    summary,
+    createdAt: new Date().toISOString(),
+    undoneAt: null,
+    directories: [],
+    files: []
+  };
+
+  // Record every directory mkdir creates, outermost first, so undo can remove them again
+  const createDirectory = async (absolutePath) => {
+    const created = [];
+    let current = absolutePath;
+    while (!existsSync(current)) {
+      created.unshift(current);
+      current = dirname(current);
+    }
+    await fs.mkdir(absolutePath, { recursive: true });
+    operation.directories.push(...created.map(plan.toProjectPath));
+  };
+
+  try {
+    for (const absolutePath of directories) {
+      await createDirectory(absolutePath);
+    }
+    for (const { path: absolutePath, after } of files) {
+      const before = await readCurrent(absolutePath);
+      await createDirectory(dirname(absolutePath));
+      await fs.writeFile(absolutePath, after);
+      operation.files.push({ file: plan.toProjectPath(absolutePath), before, afterHash: hash(after) });
+    }
+  } finally {
+    // Journal what was written even when a later write failed, so it can still be undone
+    if (operation.files.length > 0 || operation.directories.length > 0) {
+      await saveOperation(operation);
+    }
+  }
+
+  return summarize(operation);
+};
+
+export const getOperation = async (id) => {
+  if (!OPERATION_ID_PATTERN.test(id)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(operationPath(id), 'utf-8'));
+  } catch {
+    return null;
+  }
+};
+
+// List operations newest first, without the saved file contents
+export const listOperations = async ({ workingDirectory, type, limit = 50 } = {}) => {
+  let entries = [];
+  try {
+    entries = (await fs.readdir(JOURNAL_DIR)).filter(f => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+
+  const operations = [];
+  for (const entry of entries) {
+    try {
+      const operation = JSON.parse(await fs.readFile(join(JOURNAL_DIR, entry), 'utf-8'));
+      if (workingDirectory && operation.workingDirectory !== workingDirectory) continue;
+      if (type && operation.type !== type) continue;
+      operations.push(summarize(operation));
+    } catch (error) {
+      console.error(`Skipping unreadable journal entry ${entry}:`, error.message);
+    }
+  }
+
+  return operations
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+};
+
+/**
+ * Returns null when the operation can be undone, otherwise the reason it can't:
+ * undo never overwrites a file that changed after the operation wrote it.
+ */
+export const checkUndo = async (operation) => {
+  if (operation.undoneAt) {
+    return `Operation was already undone on ${operation.undoneAt}`;
+  }
+
+  const changedSince = [];
+  for (const { file, afterHash } of operation.files) {
+    const current = await readCurrent(resolve(operation.workingDirectory, file));
+    if (current === null || hash(current) !== afterHash) {
+      changedSince.push(file);
+    }
+  }
+  return changedSince.length > 0
+    ? `Files changed since the operation, revert them by hand first: ${changedSince.join(', ')}`
+    : null;
+};
+
+// Put back the files of an operation as they were before it ran; call checkUndo first
+export const undoOperation = async (operation) => {
+  const root = operation.workingDirectory;
+  for (const { file, before } of [...operation.files].reverse()) {
+    if (before === null) {
+      await fs.unlink(resolve(root, file));
+    } else {
+      await fs.writeFile(resolve(root, file), before);
+    }
+  }
+
+  // Only directories left empty are removed; anything added to them since is kept
+  for (const directory of [...operation.directories].reverse()) {
+    await fs.rmdir(resolve(root, directory)).catch(() => {});
+  }
+
+  operation.undoneAt = new Date().toISOString();
+  await saveOperation(operation);
+  return summarize(operation);
+};
@@ -0,0 +1,350 @@
+// The Liquibase commands the tower can run, with the parameters each one takes.
+// The backend validates requests against this registry, builds the command arguments from it
+// and serves it to the Installer, which renders its command forms from the parameter schemas.
+//
+// Parameter types: 'string' (optionally matching `pattern`), 'integer' (digits only, between `min`
+// and `max`), 'date' (YYYY-MM-DD with an optional THH:MM[:SS] time), 'enum' (one of `values`),
+// 'boolean' (a bare flag) and 'path' (relative to the working directory, without '..').
+// Strings and paths are capped at `maxLength`. Values are passed to Liquibase as arguments,
+// never through a shell, but they are still held to these schemas.
+// `suggestions: 'releases'` lets the Installer offer the project's release tags.
+// Runs against a database are queued one after the other, except `concurrent` commands,
+// which only read the lock table and can run beside them.
+
+const TAG_PARAM = {
+  name: 'tag',
+  type: 'string',
+  required: true,
+  label: 'Tag name',
+  placeholder: 'Enter tag name or pick a release',
+  pattern: /^[A-Za-z0-9][\w.-]*$/,
+  patternDescription: 'letters, numbers, ., _ and -, starting with a letter or number',
+  maxLength: 64,
+  suggestions: 'releases'
+};
+
+const COUNT_PARAM = {
+  name: 'count',
+  type: 'integer',
+  required: true,
+  label: 'Number of changesets',
+  placeholder: 'Enter number of changesets',
+  min: 1,
+  max: 10000
+};
+
+const DATE_PARAM = {
+  name: 'date',
+  type: 'date',
+  required: true,
+  label: 'Date and time'
+};
+
+const VERBOSE_PARAM = {
+  name: 'verbose',
+  type: 'boolean',
+  required: false,
+  label: 'List every changeset'
+};
+
+export const LIQUIBASE_COMMANDS = {
+  status: {
+    category: 'status',
+    label: 'Check Status',
+    description: 'Show pending changesets and current database state',
+    params: [VERBOSE_PARAM]
+  },
+  validate: {
+    category: 'status',
+    label: 'Validate Changelogs',
+    description: 'Check if changelog files are correctly formatted',
+    params: []
+  },
+  history: {
+    category: 'status',
+    label: 'History',
+    description: 'List the changesets deployed to the database',
+    params: [{
+      name: 'format',
+      type: 'enum',
+      required: false,
+      label: 'Output format',
+      values: ['TABULAR', 'TEXT']
+    }]
+  },
+  unexpectedChangesets: {
+    category: 'status',
+    label: 'Unexpected Changesets',
+    description: 'List changesets deployed to the database but missing from the changelog',
+    params: [VERBOSE_PARAM]
+  },
+  updateSQL: {
+    category: 'deployment',
+    label: 'Preview Update SQL',
+    description: 'Generate SQL for pending changes without executing them',
+    params: []
+  },
+  update: {
+    category: 'deployment',
+    label: 'Update Database',
+    description: 'Apply all pending changesets',
+    params: [],
+    destructive: true,
+    requiredPreview: 'updateSQL'
+  },
+  updateCount: {
+    category: 'deployment',
+    label: 'Update Count',
+    description: 'Apply specific number of pending changesets',
+    params: [COUNT_PARAM],
+    destructive: true,
+    requiredPreview: 'updateSQL'
+  },
+  updateToTag: {
+    category: 'deployment',
+    label: 'Update to Tag',
+    description: 'Apply pending changesets up to a tag',
+    params: [TAG_PARAM],
+    destructive: true,
+    requiredPreview: 'updateSQL'
+  },
+  tag: {
+    category: 'deployment',
+    label: 'Create Tag',
+    description: 'Create a new tag in the database for rollback purposes',
+    params: [{ ...TAG_PARAM, placeholder: 'Enter tag name (e.g., v1.0.0)', suggestions: undefined }]
+  },
+  rollbackSQL: {
+    category: 'rollback',
+    label: 'Preview Rollback SQL',
+    description: 'Generate the SQL a rollback to a tag would run, without executing it',
+    params: [TAG_PARAM]
+  },
+  rollbackCountSQL: {
+    category: 'rollback',
+    label: 'Preview Rollback Count SQL',
+    description: 'Generate the SQL rolling back a number of changesets would run',
+    params: [COUNT_PARAM]
+  },
+  futureRollbackSQL: {
+    category: 'rollback',
+    label: 'Preview Future Rollback SQL',
+    description: 'Generate the SQL that would roll back the pending changesets once deployed',
+    params: []
+  },
+  rollback: {
+    category: 'rollback',
+    label: 'Rollback to Tag',
+    description: 'Revert database changes to a specific tag',
+    params: [TAG_PARAM],
+    destructive: true,
+    requiredPreview: 'rollbackSQL'
+  },
+  rollbackCount: {
+    category: 'rollback',
+    label: 'Rollback Count',
+    description: 'Revert specific number of changesets',
+    params: [COUNT_PARAM],
+    destructive: true,
+    requiredPreview: 'rollbackCountSQL'
+  },
+  rollbackToDateSQL: {
+    category: 'rollback',
+    label: 'Preview Rollback to Date SQL',
+    description: 'Generate the SQL a rollback to a date would run, without executing it',
+    params: [DATE_PARAM]
+  },
+  rollbackToDate: {
+    category: 'rollback',
+    label: 'Rollback to Date',
+    description: 'Revert the changesets deployed after a date',
+    params: [DATE_PARAM],
+    destructive: true,
+    requiredPreview: 'rollbackToDateSQL'
+  },
+  changelogSyncSQL: {
+    category: 'maintenance',
+    label: 'Preview Changelog Sync SQL',
+    description: 'Generate the SQL that would mark every pending changeset as deployed',
+    params: []
+  },
+  changelogSync: {
+    category: 'maintenance',
+    label: 'Changelog Sync',
+    description: 'Mark every pending changeset as deployed without running it',
+    params: [],
+    destructive: true,
+    requiredPreview: 'changelogSyncSQL'
+  },
+  changelogSyncToTagSQL: {
+    category: 'maintenance',
+    label: 'Preview Changelog Sync to Tag SQL',
+    description: 'Generate the SQL that would mark pending changesets up to a tag as deployed',
+    params: [TAG_PARAM]
+  },
+  changelogSyncToTag: {
+    category: 'maintenance',
+    label: 'Changelog Sync to Tag',
+    description: 'Mark pending changesets up to a tag as deployed without running them',
+    params: [TAG_PARAM],
+    destructive: true,
+    requiredPreview: 'changelogSyncToTagSQL'
+  },
+  // Liquibase has no clearCheckSumsSQL; history lists the deployed changesets whose checksums it clears
+  clearCheckSums: {
+    category: 'maintenance',
+    label: 'Clear Checksums',
+    description: 'Clear the stored checksums so they are recomputed on the next update',
+    params: [],
+    destructive: true,
+    requiredPreview: 'history'
+  },
+  listLocks: {
+    category: 'maintenance',
+    label: 'List Locks',
+    description: 'Show who holds the Liquibase lock on the database',
+    params: [],
+    concurrent: true
+  },
+  releaseLocks: {
+    category: 'maintenance',
+    label: 'Release Locks',
+    description: 'Remove the Liquibase lock left by an interrupted run',
+    params: [],
+    destructive: true
+  },
+  dbDoc: {
+    category: 'maintenance',
+    label: 'Database Docs',
+    description: 'Generate Javadoc-style documentation of the database and changelog',
+    params: [{
+      name: 'outputDirectory',
+      type: 'path',
+      required: true,
+      label: 'Output folder',
+      placeholder: 'e.g. docs/dbdoc'
+    }]
+  }
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const DEFAULT_MAX_LENGTH = 255;
+
+// Returns an error message, or null when the value fits the parameter
+const validateParam = (param, value) => {
+  switch (param.type) {
+    case 'integer': {
+      // Number() would also take ' 12', '1e3' and '0x10'
+      const number = typeof value === 'number' ? value : /^\d+$/.test(String(value)) ? Number(value) : NaN;
+      if (!Number.isSafeInteger(number) || number < (param.min ?? 0) || number > (param.max ?? Number.MAX_SAFE_INTEGER)) {
+        return param.max === undefined
+          ? `${param.name} must be a whole number of at least ${param.min ?? 0}`
+          : `${param.name} must be a whole number from ${param.min ?? 0} to ${param.max}`;
+      }
+      return null;
+    }
+    case 'date': {
+      // Date rolls 2024-02-30 over to March, so the parts must survive the round trip
+      const match = typeof value === 'string' && DATE_PATTERN.exec(value);
+      const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0)));
+      if (!date || date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])
+        || date.getUTCHours() !== Number(match[4] || 0) || date.getUTCMinutes() !== Number(match[5] || 0)) {
+        return `${param.name} must be a date as YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS`;
+      }
+      return null;
+    }
+    case 'enum':
+      return param.values.includes(value) ? null : `${param.name} must be one of ${param.values.join(', ')}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${param.name} must be true or false`;
+    case 'path': {
+      if (typeof value !== 'string' || value.length > (param.maxLength ?? DEFAULT_MAX_LENGTH)
+        || !/^[\w./\\-]+$/.test(value) || /^[\\/-]/.test(value) || value.split(/[\\/]/).includes('..')) {
+        return `${param.name} must be a folder inside the working directory`;
+      }
+      return null;
+    }
+    default:
+      if (typeof value !== 'string') {
+        return `${param.name} must be text`;
+      }
+      if (value.length > (param.maxLength ?? DEFAULT_MAX_LENGTH)) {
+        return `${param.name} may be at most ${param.maxLength ?? DEFAULT_MAX_LENGTH} characters long`;
+      }
+      if (param.pattern && !param.pattern.test(value)) {
+        return `${param.name} may only contain ${param.patternDescription}`;
+      }
+      return null;
+  }
+};
+
+/**
+ * Check a command and its options against the registry.
+ * Returns an error message, or null when the command can run.
+ */
+export const validateCommandOptions = (command, options) => {
+  const definition = LIQUIBASE_COMMANDS[command];
+  if (!definition) {
+    return `Unknown Liquibase command: ${command}`;
+  }
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    options = {};
+  }
+
+  for (const param of definition.params) {
+    const value = options[param.name];
+    if (isEmpty(value)) {
+      if (param.required) {
+        return `${param.name} is required for ${command}`;
+      }
+      continue;
+    }
+
+    const error = validateParam(param, value);
+    if (error) {
+      return error;
+    }
+  }
+
+  const unknown = Object.keys(options).find(name => !isEmpty(options[name]) && !definition.params.some(param => param.name === name));
+  return unknown ? `${command} does not take a ${unknown} option` : null;
+};
+
+// Liquibase takes dates as yyyy-MM-dd'T'HH:mm:ss
+const formatDate = (value) => {
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00'] = DATE_PATTERN.exec(value);
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+};
+
+/**
+ * The command followed by its flags, e.g. ['rollback', '--tag=1.2'], for options
+ * that passed validateCommandOptions. Options the command doesn't declare are left out.
+ */
+export const buildCommandArguments = (command, options = {}) => {
+  const args = [command];
+  for (const param of LIQUIBASE_COMMANDS[command].params) {
+    const value = options[param.name];
+    if (isEmpty(value) || value === false) continue;
+
+    if (param.type === 'boolean') {
+      args.push(`--${param.name}`);
+    } else {
+      args.push(`--${param.name}=${param.type === 'date' ? formatDate(value) : param.type === 'integer' ? Number(value) : value}`);
+    }
+  }
+  return args;
+};
+
+// The registry as JSON for the Installer; patterns stay on the server, described in words
+export const describeCommands = () => Object.entries(LIQUIBASE_COMMANDS).map(([name, definition]) => ({
+  name,
+  category: definition.category,
+  label: definition.label,
+  description: definition.description,
+  destructive: Boolean(definition.destructive),
+  requiredPreview: definition.requiredPreview || null,
+  params: definition.params.map(({ pattern, ...param }) => param)
+}));
@@ -0,0 +1,141 @@
+import {
+  getLiquibaseVersion,
+  removeTemporaryDefaultsFile,
+  spawnLiquibase,
+  writeTemporaryDefaultsFile
+} from './liquibaseProcess.js';
+
+// Where Liquibase runs. `local` spawns the CLI on this machine; `remote` asks liquibase-service
+// to run it, which needs the working directories mounted at the same path in its container.
+// The server default comes from LIQUIBASE_EXECUTOR and an environment profile can pick another.
+//
+// An executor has `run({ workingDirectory, command, options, defaults, onLine })`, resolving once
+// the command started to { commandLine, done, cancel }, and `health()` resolving to
+// { success, version, error }. `defaults` is { file } for a defaults file inside the working
+// directory or { content } for one generated from an environment profile.
+
+export const EXECUTOR_NAMES = ['local', 'remote'];
+
+const LIQUIBASE_PATH = process.env.LIQUIBASE_PATH || 'liquibase';
+const SERVICE_URL = (process.env.LIQUIBASE_SERVICE_URL || 'http://localhost:8080').replace(/\/+$/, '');
+const DEFAULT_EXECUTOR = EXECUTOR_NAMES.includes(process.env.LIQUIBASE_EXECUTOR) ? process.env.LIQUIBASE_EXECUTOR : 'local';
+
+const HEALTH_TIMEOUT_MS = 10000;
+
+const localExecutor = {
+  name: 'local',
+
+  run: async ({ workingDirectory, command, options, defaults, onLine }) => {
+    const defaultsFile = defaults.content !== undefined
+      ? await writeTemporaryDefaultsFile(defaults.content)
+      : defaults.file;
+
+    const liquibase = spawnLiquibase({ liquibasePath: LIQUIBASE_PATH, workingDirectory, defaultsFile, command, options, onLine });
+    const done = liquibase.done.finally(() => {
+      if (defaults.content !== undefined) {
+        removeTemporaryDefaultsFile(defaultsFile);
+      }
+    });
+
+    return { commandLine: liquibase.commandLine, done, cancel: liquibase.kill };
+  },
+
+  health: async () => {
+    try {
+      return { success: true, version: await getLiquibaseVersion(LIQUIBASE_PATH) };
+    } catch (error) {
+      return { success: false, error: `${LIQUIBASE_PATH} --version failed: ${error.message}` };
+    }
+  }
+};
+
+// Read a text/event-stream body, calling onEvent(event, data) for each event
+const readServerEvents = async (body, onEvent) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      onEvent(event, data === undefined ? null : JSON.parse(data));
+    }
+  }
+};
+
+const remoteExecutor = {
+  name: 'remote',
+
+  run: async ({ workingDirectory, command, options, defaults, onLine }) => {
+    const controller = new AbortController();
+    let response;
+    try {
+      response = await fetch(`${SERVICE_URL}/execute`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          command,
+          options,
+          workingDirectory,
+          defaultsFile: defaults.file,
+          defaults: defaults.content
+        }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new Error(`liquibase-service at ${SERVICE_URL} is unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(`liquibase-service refused ${command}: ${data.error || response.statusText}`);
+    }
+
+    let markStarted;
+    const started = new Promise((resolve) => {
+      markStarted = resolve;
+    });
+    let end = null;
+
+    const done = readServerEvents(response.body, (event, data) => {
+      if (event === 'start') {
+        markStarted(data.command);
+      } else if (event === 'log') {
+        onLine(data);
+      } else if (event === 'end') {
+        end = data;
+      }
+    }).then(
+      () => end || { exitCode: null, signal: null, error: 'liquibase-service closed the stream without a result' },
+      (error) => ({ exitCode: null, signal: null, error: `liquibase-service: ${error.message}` })
+    );
+
+    // The service reports the command line once the process started; a stream that ends first has none
+    const commandLine = await Promise.race([started, done.then(() => null)]);
+
+    // Closing the stream makes the service kill the process
+    return { commandLine: commandLine || `${SERVICE_URL} ${command}`, done, cancel: () => controller.abort() };
+  },
+
+  health: async () => {
+    try {
+      const response = await fetch(`${SERVICE_URL}/health`, { signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS) });
+      const data = await response.json();
+      return response.ok
+        ? { success: true, version: data.version }
+        : { success: false, error: `liquibase-service is unhealthy: ${data.error}` };
+    } catch (error) {
+      return { success: false, error: `liquibase-service at ${SERVICE_URL} is unreachable: ${error.message}` };
+    }
+  }
+};
+
+const EXECUTORS = { local: localExecutor, remote: remoteExecutor };
+
+// The executor an environment profile asks for, else the server default
+export const getExecutor = (environment) => EXECUTORS[environment?.executor] || EXECUTORS[DEFAULT_EXECUTOR];
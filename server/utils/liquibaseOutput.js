@@ -0,0 +1,266 @@
+// Turn the text Liquibase prints into structured results: the pending changesets of `status`,
+// the deployed rows of `history`, the SQL of the *SQL commands split per changeset, the locks
+// of `listLocks`, and the errors worth recognising (lock held, checksum mismatch, ORA- codes,
+// missing driver).
+
+// `changelog::id::author`, followed by the checksums when validate reports a mismatch
+const CHANGESET_LINE = /^\s*(\S.*?)::(.+?)::(.+?)(?:\s+was:\s+(\S+)\s+but is now:\s+(\S+))?\s*$/;
+
+export const parseChangeSetLines = (logs) => logs
+  .map(line => line.match(CHANGESET_LINE))
+  .filter(Boolean)
+  .map(([, changelog, id, author, deployedChecksum, localChecksum]) => ({
+    changelog,
+    id,
+    author,
+    ...(deployedChecksum && { deployedChecksum, localChecksum })
+  }));
+
+// `3 changesets have not been applied to ...` or `... is up to date`
+const PENDING_COUNT = /(\d+)\s+change\s?sets?\s+ha(?:s|ve)\s+not been applied/i;
+const UP_TO_DATE = /\bis up to date\b/i;
+
+// Without --verbose status only prints the count, so changeSets stays empty
+const parseStatus = (lines) => {
+  const countLine = lines.find(line => PENDING_COUNT.test(line));
+  const pendingCount = countLine
+    ? Number(PENDING_COUNT.exec(countLine)[1])
+    : lines.some(line => UP_TO_DATE.test(line)) ? 0 : null;
+
+  return { type: 'status', pendingCount, changeSets: parseChangeSetLines(lines) };
+};
+
+// Headers of the TABULAR history format, as row keys
+const HISTORY_COLUMNS = {
+  'deployment id': 'deploymentId',
+  'update date': 'date',
+  'changelog path': 'changelog',
+  'changeset author': 'author',
+  'changeset id': 'id',
+  tag: 'tag',
+  'exec type': 'execType'
+};
+
+const emptyHistoryRow = () => ({
+  deploymentId: null,
+  date: null,
+  changelog: null,
+  id: null,
+  author: null,
+  tag: null,
+  execType: null
+});
+
+const tableCells = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+// `- Database updated at <date>. Applied 2 changeset(s) in 0.05s, DeploymentId: 4189830149`
+const TEXT_DEPLOYMENT = /^-\s*Database updated at (.+?)\.\s+Applied .*?DeploymentId:\s*(\S+)/i;
+
+/**
+ * Rows of `history`, in either output format. Liquibase only prints the columns it knows,
+ * so fields it leaves out (the exec type in most versions) are null.
+ */
+const parseHistory = (lines) => {
+  const headerIndex = lines.findIndex(line => /^\s*\|.*deployment id/i.test(line));
+  if (headerIndex !== -1) {
+    const keys = tableCells(lines[headerIndex]).map(header => HISTORY_COLUMNS[header.toLowerCase()] || null);
+    const rows = lines.slice(headerIndex + 1)
+      .filter(line => /^\s*\|/.test(line))
+      .map(line => {
+        const row = emptyHistoryRow();
+        tableCells(line).forEach((cell, index) => {
+          if (keys[index]) row[keys[index]] = cell || null;
+        });
+        return row;
+      });
+    return { type: 'history', rows };
+  }
+
+  const rows = [];
+  let deployment = null;
+  for (const line of lines) {
+    const match = TEXT_DEPLOYMENT.exec(line.trim());
+    if (match) {
+      deployment = { date: match[1], deploymentId: match[2] };
+      continue;
+    }
+    const [changeSet] = deployment ? parseChangeSetLines([line]) : [];
+    if (changeSet) {
+      rows.push({ ...emptyHistoryRow(), ...deployment, changelog: changeSet.changelog, id: changeSet.id, author: changeSet.author });
+    }
+  }
+  return { type: 'history', rows };
+};
+
+// Liquibase heads each changeset's SQL with a comment naming it
+const SQL_CHANGESET = /^--\s*(?:Changeset|Rolling Back ChangeSet:)\s+(.+?)\s*$/i;
+const SQL_TRAILER = /^--\s*Release Database Lock\b/i;
+const LIQUIBASE_MESSAGE = /^Liquibase command '.*' was executed/i;
+
+/**
+ * The script printed by updateSQL, the sync and the rollback previews, split per changeset. The header
+ * comments and lock statements before the first changeset are kept in `preamble`.
+ */
+const parseSql = (lines) => {
+  const preamble = [];
+  const changeSets = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (SQL_TRAILER.test(line) || LIQUIBASE_MESSAGE.test(line)) {
+      current = null;
+      continue;
+    }
+
+    const match = SQL_CHANGESET.exec(line);
+    if (match) {
+      const [changeSet] = parseChangeSetLines([match[1]]);
+      current = {
+        changelog: changeSet?.changelog || match[1],
+        id: changeSet?.id || null,
+        author: changeSet?.author || null,
+        lines: []
+      };
+      changeSets.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else if (changeSets.length === 0) {
+      preamble.push(line);
+    }
+  }
+
+  return {
+    type: 'sql',
+    preamble: preamble.join('\n').trim(),
+    changeSets: changeSets.map(({ lines: sql, ...changeSet }) => ({ ...changeSet, sql: sql.join('\n').trim() }))
+  };
+};
+
+// `Database change log locks for USER@jdbc:...`, then ` - No locks` or one
+// ` - <host> (<address>) at <date>` line per lock
+const LOCKS_HEADER = /^\s*Database change ?log locks for (.+?)\s*$/i;
+const LOCK_LINE = /^\s*-\s+(.+?)\s+at\s+(.+?)\s*$/;
+
+// Liquibase prints the grant time with the JVM's default DateFormat: `Oct 19, 2026, 8:02:33 AM`
+// in the US locale (no comma after the year before JDK 9), or ISO-like `2026-10-19 08:02:33`
+const LOCK_TIME_US = /^([A-Za-z]{3})[a-z]*\.? (\d{1,2}), (\d{4}),? (\d{1,2}):(\d{2})(?::(\d{2}))? ?([AP]M)$/i;
+const LOCK_TIME_ISO = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// The grant time as a local date-time without zone, e.g. `2026-10-19T08:02:33`: the lock table
+// holds the wall clock of the JVM that took the lock, in a zone only the caller can know.
+// null in any other format
+const parseLockTime = (text) => {
+  // Recent JDKs put a narrow no-break space before AM/PM
+  const value = text.replace(/\s+/g, ' ').trim();
+  let parts;
+  const us = LOCK_TIME_US.exec(value);
+  if (us) {
+    const hours = Number(us[4]) % 12 + (us[7].toUpperCase() === 'PM' ? 12 : 0);
+    parts = [Number(us[3]), MONTHS.indexOf(us[1].toLowerCase()), Number(us[2]), hours, Number(us[5]), Number(us[6] || 0)];
+  } else {
+    const iso = LOCK_TIME_ISO.exec(value);
+    if (!iso) return null;
+    parts = [Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]), Number(iso[4]), Number(iso[5]), Number(iso[6] || 0)];
+  }
+
+  const [year, month, day, hours, minutes, seconds] = parts;
+  const date = new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+  // Out-of-range parts roll over into the next month or day rather than failing
+  return month >= 0 && date.getUTCMonth() === month && date.getUTCDate() === day && date.getUTCHours() === hours
+    ? date.toISOString().slice(0, 19) : null;
+};
+
+/**
+ * The locks `listLocks` reports. `granted` is the date as Liquibase printed it, in the JVM's
+ * locale; `grantedAt` is that date as a local date-time when it could be read (see
+ * parseLockTime), else null.
+ */
+const parseLocks = (lines) => {
+  let target = null;
+  const locks = [];
+  for (const line of lines) {
+    const header = LOCKS_HEADER.exec(line);
+    if (header) {
+      target = header[1];
+      continue;
+    }
+
+    const match = target !== null && LOCK_LINE.exec(line);
+    if (match) {
+      locks.push({ lockedBy: match[1], granted: match[2], grantedAt: parseLockTime(match[2]) });
+    }
+  }
+  return { type: 'locks', target, locks };
+};
+
+// Reports are read from every line, like the drift check does; scripts only from stdout
+const PARSERS = {
+  status: ({ logs }) => parseStatus(logs),
+  history: ({ logs }) => parseHistory(logs),
+  updateSQL: ({ output }) => parseSql(output),
+  rollbackSQL: ({ output }) => parseSql(output),
+  rollbackCountSQL: ({ output }) => parseSql(output),
+  futureRollbackSQL: ({ output }) => parseSql(output),
+  rollbackToDateSQL: ({ output }) => parseSql(output),
+  changelogSyncSQL: ({ output }) => parseSql(output),
+  changelogSyncToTagSQL: ({ output }) => parseSql(output),
+  listLocks: ({ logs }) => parseLocks(logs)
+};
+
+// Kinds of failure the operator can act on, tried in order on every line
+const ERROR_RULES = [
+  {
+    type: 'lock-held',
+    pattern: /Could not acquire change ?log lock|Waiting for change ?log lock/i,
+    hint: 'Another run holds the DATABASECHANGELOGLOCK; wait for it, or check the database lock and release it if it is stale'
+  },
+  {
+    type: 'checksum-mismatch',
+    // Validate lists each modified changeset as `changelog::id::author was: 9:... but is now: 9:...`
+    pattern: /was:\s+\S+\s+but is now:/i,
+    hint: 'A deployed changeset was modified; restore it, add a validCheckSum or clear the checksums'
+  },
+  {
+    type: 'missing-driver',
+    pattern: /Cannot find database driver|Driver class was not specified|No suitable driver|ClassNotFoundException:.*Driver/i,
+    hint: 'Put the JDBC driver jar on the classpath and set driver in the defaults file'
+  }
+];
+
+const ORACLE_ERROR = /\b(ORA-\d{5})\b:?\s*(.*)$/;
+
+/**
+ * Recognised errors in a run's log, as { type, message, hint } with `code` for Oracle errors.
+ * Each type is reported once, Oracle errors once per code, with the first line that showed it.
+ */
+export const classifyErrors = (lines) => {
+  const errors = [];
+  const seen = new Set();
+
+  for (const line of lines) {
+    for (const rule of ERROR_RULES) {
+      if (!seen.has(rule.type) && rule.pattern.test(line)) {
+        seen.add(rule.type);
+        errors.push({ type: rule.type, message: line.trim(), hint: rule.hint });
+      }
+    }
+
+    const oracle = ORACLE_ERROR.exec(line);
+    if (oracle && !seen.has(oracle[1])) {
+      seen.add(oracle[1]);
+      errors.push({ type: 'oracle', code: oracle[1], message: oracle[2].trim() || line.trim() });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Structured view of a finished run: `result` is the parsed output of the commands that have a
+ * parser (null for the others, or when the command failed), `errors` the classified errors.
+ * `output` is what the command printed on stdout, `logs` every non-empty line of both streams.
+ */
+export const parseLiquibaseOutput = (command, run) => ({
+  result: run.success && PARSERS[command] ? PARSERS[command](run) : null,
+  errors: classifyErrors(run.logs)
+});
@@ -0,0 +1,104 @@
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { randomUUID } from 'crypto';
+import { createInterface } from 'readline';
+import { buildCommandArguments } from './liquibaseCommands.js';
+
+// Starting the Liquibase CLI, shared by the server's local executor and liquibase-service.
+// Only depends on Node and the command registry so the service image can copy it as is.
+
+const execFileAsync = promisify(execFile);
+
+// How an argument reads in a command line; only used for display and for cmd.exe below
+const quoteArgument = (arg) => (/[\s&|<>^()]/.test(arg) ? `"${arg}"` : arg);
+
+// The file to start, its argv and spawn options. Elsewhere the CLI gets its arguments as an
+// array, never through a shell. On Windows liquibase is a .bat that only cmd.exe can start,
+// and cmd parses the line again: arguments are quoted, and the characters quoting can't
+// protect are refused. Registry values can't hold them; only a path could.
+const liquibaseInvocation = (liquibasePath, args) => {
+  if (process.platform !== 'win32') {
+    return [liquibasePath, args, {}];
+  }
+
+  const unsafe = [liquibasePath, ...args].find(arg => /["%\r\n]/.test(arg));
+  if (unsafe) {
+    throw new Error(`Refusing to pass ${unsafe} to cmd.exe`);
+  }
+  const commandLine = [liquibasePath, ...args].map(quoteArgument).join(' ');
+  return ['cmd.exe', ['/d', '/s', '/c', `"${commandLine}"`], { windowsVerbatimArguments: true }];
+};
+
+// Kill the whole process tree: liquibase is a wrapper script that starts java
+export const killProcessTree = (child) => {
+  if (process.platform === 'win32') {
+    execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+    return;
+  }
+
+  try {
+    process.kill(-child.pid, 'SIGTERM');
+  } catch {
+    child.kill('SIGTERM');
+  }
+};
+
+// Generated defaults files can hold a password, so only the current user may read them
+export const writeTemporaryDefaultsFile = async (content) => {
+  const path = join(tmpdir(), `liquibase-tower-${randomUUID()}.properties`);
+  await fs.writeFile(path, content, { mode: 0o600 });
+  return path;
+};
+
+export const removeTemporaryDefaultsFile = (path) => fs.unlink(path).catch(() => {});
+
+/**
+ * Spawn `liquibase --defaultsFile=... <command> <flags>` for a command and options that passed
+ * validateCommandOptions. Every output line, blank ones included, goes to onLine({ stream, line }).
+ * Returns { commandLine, done, kill } where `done` resolves to { exitCode, signal, error, spawned };
+ * `spawned` is false when the executable could not be started. `commandLine` is for logs and display only.
+ */
+export const spawnLiquibase = ({
+  liquibasePath = 'liquibase',
+  workingDirectory,
+  defaultsFile,
+  command,
+  options = {},
+  onLine = () => {}
+}) => {
+  const args = [`--defaultsFile=${defaultsFile}`, ...buildCommandArguments(command, options)];
+  const commandLine = [liquibasePath, ...args].map(quoteArgument).join(' ');
+
+  const [file, argv, spawnOptions] = liquibaseInvocation(liquibasePath, args);
+  const child = spawn(file, argv, {
+    ...spawnOptions,
+    cwd: workingDirectory,
+    detached: process.platform !== 'win32'
+  });
+
+  for (const [stream, name] of [[child.stdout, 'stdout'], [child.stderr, 'stderr']]) {
+    createInterface({ input: stream }).on('line', (line) => onLine({ stream: name, line }));
+  }
+
+  const done = new Promise((resolve) => {
+    let spawnError = null;
+    child.on('error', (error) => {
+      spawnError = error;
+    });
+    child.on('close', (exitCode, signal) => {
+      resolve({ exitCode, signal, error: spawnError?.message, spawned: child.pid !== undefined });
+    });
+  });
+
+  return { commandLine, done, kill: () => killProcessTree(child) };
+};
+
+// `liquibase --version` prints a banner; the version line is what the UI needs
+export const getLiquibaseVersion = async (liquibasePath = 'liquibase') => {
+  const [file, argv, options] = liquibaseInvocation(liquibasePath, ['--version']);
+  const { stdout } = await execFileAsync(file, argv, options);
+  return stdout.match(/Liquibase Version:\s*(\S+)/i)?.[1] || stdout.trim();
+};
@@ -0,0 +1,144 @@
+import { LIQUIBASE_COMMANDS } from './liquibaseCommands.js';
+
+// Guardrails for commands that change a protected database.
+// A protected environment needs the operator to type its name, a preview of the exact
+// change generated earlier in the same browser session, and a bounded rollbackCount.
+// The project's liquibase.properties target is protected too when the policy sets `protectDefault`.
+
+export const DEFAULT_MAX_ROLLBACK_COUNT = 5;
+
+// What the operator types to confirm a command on the liquibase.properties target
+export const DEFAULT_TARGET_NAME = 'liquibase.properties';
+
+// Destructive command -> preview command that must have run first, from the command registry.
+// Commands without a preview, such as releaseLocks, only need the typed confirmation.
+const REQUIRED_PREVIEWS = Object.fromEntries(Object.entries(LIQUIBASE_COMMANDS)
+  .filter(([, definition]) => definition.destructive)
+  .map(([command, definition]) => [command, definition.requiredPreview || null]));
+
+const PREVIEW_COMMANDS = new Set(Object.values(REQUIRED_PREVIEWS).filter(Boolean));
+
+// `${sessionId}|${environment}` -> set of preview keys generated in that session
+const sessionPreviews = new Map();
+
+const sessionKey = (sessionId, environmentName) => `${sessionId}|${environmentName}`;
+
+// Rollback and sync previews only count for the same target, so the key includes it
+const previewKey = (command, options = {}) => {
+  switch (command) {
+    case 'rollback':
+    case 'rollbackSQL':
+      return `rollbackSQL:${options.tag}`;
+    case 'rollbackCount':
+    case 'rollbackCountSQL':
+      return `rollbackCountSQL:${options.count}`;
+    case 'rollbackToDate':
+    case 'rollbackToDateSQL':
+      return `rollbackToDateSQL:${options.date}`;
+    case 'changelogSyncToTag':
+    case 'changelogSyncToTagSQL':
+      return `changelogSyncToTagSQL:${options.tag}`;
+    default:
+      return REQUIRED_PREVIEWS[command] || command;
+  }
+};
+
+export const isDestructiveCommand = (command) => command in REQUIRED_PREVIEWS;
+
+// The target the guardrails apply to: the selected profile, or the liquibase.properties target
+export const getPolicyTarget = (policy = {}, environment) => environment
+  || { name: DEFAULT_TARGET_NAME, protected: policy.protectDefault === true };
+
+const addPreview = (sessionId, environment, command, options) => {
+  const key = sessionKey(sessionId, environment.name);
+  if (!sessionPreviews.has(key)) {
+    sessionPreviews.set(key, new Set());
+  }
+  sessionPreviews.get(key).add(previewKey(command, options));
+};
+
+export const recordPreview = (sessionId, environment, command, options) => {
+  if (!sessionId || !environment || !PREVIEW_COMMANDS.has(command)) return;
+  addPreview(sessionId, environment, command, options);
+};
+
+// A preview authorises one run; the next change needs a fresh look at the SQL
+export const consumePreview = (sessionId, environment, command, options) => {
+  sessionPreviews.get(sessionKey(sessionId, environment.name))?.delete(previewKey(command, options));
+};
+
+// Give a consumed preview back when its command never got to run
+export const restorePreview = (sessionId, environment, command, options) => {
+  if (!sessionId) return;
+  addPreview(sessionId, environment, command, options);
+};
+
+/**
+ * Returns null when the command may run, otherwise a violation object
+ * `{ error, policy }` that the route sends back with a 403.
+ */
+export const checkPolicy = ({ policy = {}, environment, command, options = {}, sessionId, confirmation }) => {
+  if (!environment?.protected || !isDestructiveCommand(command)) {
+    return null;
+  }
+
+  if (confirmation !== environment.name) {
+    return {
+      policy: 'confirmation-required',
+      error: `${environment.name} is protected: type ${environment.name} to confirm ${command}`
+    };
+  }
+
+  if (command === 'rollbackCount') {
+    const limit = environment.maxRollbackCount ?? policy.maxRollbackCount ?? DEFAULT_MAX_ROLLBACK_COUNT;
+    if (Number(options.count) > limit) {
+      return {
+        policy: 'rollback-limit',
+        error: `rollbackCount is limited to ${limit} changesets on ${environment.name}`
+      };
+    }
+  }
+
+  const preview = REQUIRED_PREVIEWS[command];
+  if (!preview) {
+    return null;
+  }
+
+  const previews = sessionPreviews.get(sessionKey(sessionId, environment.name));
+  if (!sessionId || !previews?.has(previewKey(command, options))) {
+    const target = preview === 'updateSQL' ? ''
+      : options.tag ? ` for tag ${options.tag}`
+        : options.count ? ` for ${options.count} changesets`
+          : options.date ? ` for ${options.date}` : '';
+    return {
+      policy: 'preview-required',
+      error: `${environment.name} is protected: run ${preview}${target} in this session before ${command}`
+    };
+  }
+
+  return null;
+};
+
+// Profile settings that decide which database a protected name points at, how far it can be
+// rolled back and when its lock may be released
+const GUARD_FIELDS = ['url', 'username', 'executor', 'maxRollbackCount', 'staleLockMinutes', 'lockTimeZone'];
+
+/**
+ * Saving a protected profile as unprotected, deleting it, or changing its guard fields lifts
+ * or moves its guardrails, so it takes the same typed confirmation as its destructive commands.
+ * `updated` is null for a deletion. Returns null or a violation like checkPolicy.
+ */
+export const checkProfileChange = ({ current, updated, confirmation }) => {
+  if (!current?.protected || confirmation === current.name) {
+    return null;
+  }
+
+  const changed = updated && GUARD_FIELDS.filter(field => String(current[field] ?? '') !== String(updated[field] ?? ''));
+  const action = !updated ? 'delete it'
+    : !updated.protected ? 'remove its protection'
+      : changed.length ? `change its ${changed.join(', ')}` : null;
+  return action && {
+    policy: 'confirmation-required',
+    error: `${current.name} is protected: type ${current.name} to ${action}`
+  };
+};
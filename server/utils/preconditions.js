@@ -0,0 +1,208 @@
+// What Liquibase does when a precondition fails or errors
+export const PRECONDITION_ACTIONS = ['HALT', 'CONTINUE', 'MARK_RAN', 'WARN'];
+
+const SQL_OUTPUT_ACTIONS = ['IGNORE', 'TEST', 'FAIL'];
+
+const OBJECT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_$#]*$/;
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttribute = (text) => escapeText(text).replace(/"/g, '&quot;');
+
+// Oracle dictionary lookup for objects that have no dedicated precondition
+const objectCountSql = (name, type) =>
+  `SELECT COUNT(*) FROM user_objects WHERE object_name = UPPER('${name}') AND object_type = '${type}'`;
+
+/**
+ * Preconditions the Generator offers. `categories` lists the layout categories a template is
+ * meant for (null for all of them); `lines` builds the checks put inside <preConditions>.
+ */
+const TEMPLATES = [
+  {
+    id: 'table-not-exists',
+    label: 'Table does not exist',
+    categories: ['tables'],
+    fields: ['objectName'],
+    lines: ({ objectName }) => ['<not>', `  <tableExists tableName="${objectName}"/>`, '</not>']
+  },
+  {
+    id: 'table-exists',
+    label: 'Table exists',
+    categories: ['tables', 'data'],
+    fields: ['objectName'],
+    lines: ({ objectName }) => [`<tableExists tableName="${objectName}"/>`]
+  },
+  {
+    id: 'view-not-exists',
+    label: 'View does not exist',
+    categories: ['views'],
+    fields: ['objectName'],
+    lines: ({ objectName }) => ['<not>', `  <viewExists viewName="${objectName}"/>`, '</not>']
+  },
+  {
+    id: 'materialized-view-not-exists',
+    label: 'Materialized view does not exist',
+    categories: ['materialized_views'],
+    fields: ['objectName'],
+    lines: ({ objectName }) => [
+      '<sqlCheck expectedResult="0">',
+      `  ${objectCountSql(objectName, 'MATERIALIZED VIEW')}`,
+      '</sqlCheck>'
+    ]
+  },
+  {
+    id: 'procedure-not-exists',
+    label: 'Procedure does not exist',
+    categories: ['procedures'],
+    fields: ['objectName'],
+    lines: ({ objectName }) => [
+      '<sqlCheck expectedResult="0">',
+      `  ${objectCountSql(objectName, 'PROCEDURE')}`,
+      '</sqlCheck>'
+    ]
+  },
+  {
+    id: 'sequence-not-exists',
+    label: 'Sequence does not exist',
+    categories: ['sequences'],
+    fields: ['objectName'],
+    lines: ({ objectName }) => ['<not>', `  <sequenceExists sequenceName="${objectName}"/>`, '</not>']
+  },
+  {
+    id: 'sql-check',
+    label: 'SQL check',
+    categories: null,
+    fields: ['sql', 'expectedResult'],
+    lines: ({ sql, expectedResult }) => [
+      `<sqlCheck expectedResult="${escapeAttribute(expectedResult)}">`,
+      ...sql.trim().split(/\r?\n/).map(line => `  ${escapeText(line)}`),
+      '</sqlCheck>'
+    ]
+  }
+];
+
+// Templates as the API lists them, without their builders
+export const listPreconditionTemplates = () =>
+  TEMPLATES.map(({ id, label, categories, fields }) => ({ id, label, categories, fields }));
+
+/**
+ * Returns an error message, or null when the precondition can be written. A precondition is
+ * { template, objectName | sql + expectedResult, onFail, onError }.
+ */
+export const validatePrecondition = (precondition) => {
+  if (precondition === undefined || precondition === null) {
+    return null;
+  }
+
+  const template = TEMPLATES.find(entry => entry.id === precondition.template);
+  if (!template) {
+    return `Unknown precondition template: ${precondition.template}`;
+  }
+  for (const action of ['onFail', 'onError']) {
+    if (precondition[action] !== undefined && !PRECONDITION_ACTIONS.includes(precondition[action])) {
+      return `${action} must be one of ${PRECONDITION_ACTIONS.join(', ')}`;
+    }
+  }
+  if (template.fields.includes('objectName') && !OBJECT_NAME_PATTERN.test(precondition.objectName || '')) {
+    return 'The precondition needs an object name made of letters, numbers, _, $ and #';
+  }
+  if (template.fields.includes('sql')) {
+    if (!precondition.sql?.trim()) {
+      return 'The SQL check needs a query';
+    }
+    // Liquibase compares the first column of the query's result to it as a string
+    if (!String(precondition.expectedResult ?? '').trim()) {
+      return 'The SQL check needs an expected result';
+    }
+  }
+  return null;
+};
+
+// Lines of the <preConditions> block, unindented; call validatePrecondition first
+export const createPreconditionLines = (precondition) => {
+  const template = TEMPLATES.find(entry => entry.id === precondition.template);
+  const attributes = ['onFail', 'onError']
+    .filter(action => precondition[action])
+    .map(action => ` ${action}="${precondition[action]}"`)
+    .join('');
+
+  return [
+    `<preConditions${attributes}>`,
+    ...template.lines({
+      ...precondition,
+      expectedResult: String(precondition.expectedResult ?? '').trim()
+    }).map(line => `  ${line}`),
+    '</preConditions>'
+  ];
+};
+
+const LOGICAL_PRECONDITIONS = ['and', 'or', 'not'];
+
+// Attributes each check needs; several sets mean any one of them will do
+const REQUIRED_ATTRIBUTES = {
+  dbms: [['type']],
+  runningAs: [['username']],
+  changeSetExecuted: [['id', 'author', 'changeLogFile']],
+  columnExists: [['tableName', 'columnName']],
+  tableExists: [['tableName']],
+  viewExists: [['viewName']],
+  foreignKeyConstraintExists: [['foreignKeyName']],
+  indexExists: [['indexName'], ['tableName', 'columnNames']],
+  sequenceExists: [['sequenceName']],
+  primaryKeyExists: [['primaryKeyName'], ['tableName']],
+  uniqueConstraintExists: [['constraintName'], ['tableName', 'columnNames']],
+  sqlCheck: [['expectedResult']],
+  changeLogPropertyDefined: [['property']],
+  tableIsEmpty: [['tableName']],
+  rowCount: [['tableName', 'expectedRows']],
+  customPrecondition: [['className']],
+  expectedQuotingStrategy: [['strategy']]
+};
+
+const checkCondition = (element, problems) => {
+  if (LOGICAL_PRECONDITIONS.includes(element.name)) {
+    if (element.children.length === 0) {
+      problems.push(`<${element.name}> has no condition`);
+    }
+    element.children.forEach(child => checkCondition(child, problems));
+    return;
+  }
+
+  const required = REQUIRED_ATTRIBUTES[element.name];
+  if (!required) {
+    problems.push(`<${element.name}> is not a Liquibase precondition`);
+    return;
+  }
+
+  const present = (name) => Boolean(element.attributes[name]?.trim());
+  if (!required.some(set => set.every(present))) {
+    problems.push(`<${element.name}> needs ${required.map(set => set.join(' and ')).join(' or ')}`);
+  }
+  if (element.name === 'sqlCheck' && !element.text) {
+    problems.push('<sqlCheck> has no SQL');
+  }
+};
+
+/**
+ * Problems with a parsed <preConditions> element (see utils/changelog.js): unknown checks,
+ * missing attributes, empty logical blocks and invalid onFail/onError values.
+ */
+export const checkPreconditions = (element) => {
+  const problems = [];
+
+  for (const action of ['onFail', 'onError']) {
+    const value = element.attributes[action];
+    if (value !== undefined && !PRECONDITION_ACTIONS.includes(value)) {
+      problems.push(`${action}="${value}" must be one of ${PRECONDITION_ACTIONS.join(', ')}`);
+    }
+  }
+  const sqlOutput = element.attributes.onSqlOutput;
+  if (sqlOutput !== undefined && !SQL_OUTPUT_ACTIONS.includes(sqlOutput)) {
+    problems.push(`onSqlOutput="${sqlOutput}" must be one of ${SQL_OUTPUT_ACTIONS.join(', ')}`);
+  }
+
+  if (element.children.length === 0) {
+    problems.push('<preConditions> has no condition');
+  }
+  element.children.forEach(child => checkCondition(child, problems));
+  return problems;
+};
@@ -0,0 +1,239 @@
+import { promises as fs } from 'fs';
+import { delimiter, join } from 'path';
+import { createFilePlan } from './filePlan.js';
+import { applyPlan } from './journal.js';
+import { validateChangeSetAttributes } from './xml.js';
+import { DEFAULT_SQL_FORMAT } from './sqlFormat.js';
+import { EXECUTOR_NAMES } from './liquibaseExecutors.js';
+import { validateProjectFile } from './workspace.js';
+
+// Per-project settings live next to the changelogs so they can be versioned with them
+export const PROJECT_CONFIG_FILE = '.liquibase-tower.json';
+
+// Naming conventions of the changelog tree. Templates accept {version}, {CATEGORY} and {category}.
+// A category with its own `changelog` is `standalone` when it is deployed on its own
+// rather than included from the root changelog. `changeSetDefaults` are the changeset
+// attributes new objects of the category start with (see CHANGESET_ATTRIBUTES in utils/xml.js).
+export const DEFAULT_LAYOUT = {
+  rootChangelog: 'changelog-SIO2-all.xml',
+  categoryChangelog: 'changelog-{version}-{CATEGORY}.xml',
+  categories: [
+    { name: 'tables', label: 'Tables' },
+    { name: 'views', label: 'Views', changeSetDefaults: { runOnChange: true, endDelimiter: '/' } },
+    { name: 'materialized_views', label: 'Materialized Views' },
+    { name: 'procedures', label: 'Procedures', changeSetDefaults: { runOnChange: true, endDelimiter: '/' } },
+    { name: 'sequences', label: 'Sequences' },
+    { name: 'data', label: 'Data', changelog: 'changelog-Order-Managers-Param-DATA.xml', standalone: true }
+  ],
+  defaultAuthor: 'SIO2'
+};
+
+const DEFAULT_PROJECT_CONFIG = {
+  environments: [],
+  // Limits applied to environments flagged `protected`, see utils/policy.js
+  policy: {},
+  layout: DEFAULT_LAYOUT,
+  sqlFormat: DEFAULT_SQL_FORMAT
+};
+
+// Connection settings a profile can override in the generated defaults file
+export const ENVIRONMENT_FIELDS = [
+  'url',
+  'username',
+  'driver',
+  'classpath',
+  'changeLogFile',
+  'contexts',
+  'labels'
+];
+
+const ENVIRONMENT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const CATEGORY_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+// Profile values end up on one line of a properties file
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+export const readProjectConfig = async (workingDirectory) => {
+  try {
+    const content = await fs.readFile(join(workingDirectory, PROJECT_CONFIG_FILE), 'utf-8');
+    const config = JSON.parse(content);
+    return {
+      ...DEFAULT_PROJECT_CONFIG,
+      ...config,
+      layout: { ...DEFAULT_LAYOUT, ...config.layout },
+      sqlFormat: { ...DEFAULT_SQL_FORMAT, ...config.sqlFormat }
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { ...DEFAULT_PROJECT_CONFIG };
+    }
+    throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`);
+  }
+};
+
+// Journaled like every other write to the project, so a config change can be undone
+export const writeProjectConfig = async (workingDirectory, config, summary) => {
+  const plan = createFilePlan(workingDirectory);
+  await plan.write(PROJECT_CONFIG_FILE, `${JSON.stringify(config, null, 2)}\n`);
+  return applyPlan(plan, { type: 'config', summary });
+};
+
+export const formatLayoutName = (template, { version = '', category = '' } = {}) => template
+  .replace(/\{version\}/g, version)
+  .replace(/\{CATEGORY\}/g, category.toUpperCase())
+  .replace(/\{category\}/g, category);
+
+// Changelog that includes a category's XML files for a release
+export const getCategoryChangelog = (layout, categoryName, version) => {
+  const category = layout.categories.find(cat => cat.name === categoryName);
+  return formatLayoutName(category?.changelog || layout.categoryChangelog, { version, category: categoryName });
+};
+
+// Matches category changelog names of a release, including categories not listed in the layout
+export const getCategoryChangelogPattern = (layout, version) => {
+  const [before, ...rest] = layout.categoryChangelog.split(/(\{version\}|\{CATEGORY\}|\{category\})/);
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const placeholders = {
+    '{version}': escape(String(version)),
+    '{CATEGORY}': '[A-Z0-9_]+',
+    '{category}': '[A-Za-z0-9_]+'
+  };
+  return new RegExp(`^${escape(before)}${rest.map(part => placeholders[part] ?? escape(part)).join('')}$`);
+};
+
+// Returns an error message, or null when the layout can be saved
+export const validateLayout = (layout) => {
+  if (!layout?.rootChangelog?.trim()) {
+    return 'rootChangelog is required';
+  }
+  for (const field of ['rootChangelog', 'categoryChangelog']) {
+    const fileError = layout[field] && validateProjectFile(layout[field]);
+    if (fileError) {
+      return `${field}: ${fileError}`;
+    }
+  }
+  if (!/\{(CATEGORY|category)\}/.test(layout.categoryChangelog || '')) {
+    return 'categoryChangelog must contain {CATEGORY} or {category}';
+  }
+  if (!Array.isArray(layout.categories) || layout.categories.length === 0) {
+    return 'At least one category is required';
+  }
+
+  const names = new Set();
+  for (const category of layout.categories) {
+    if (!category?.name || !CATEGORY_NAME_PATTERN.test(category.name)) {
+      return 'Category names may only contain letters, numbers and underscores';
+    }
+    if (names.has(category.name)) {
+      return `Duplicate category: ${category.name}`;
+    }
+    if (category.standalone && !category.changelog) {
+      return `Standalone category ${category.name} needs its own changelog`;
+    }
+    const changelogError = category.changelog && validateProjectFile(category.changelog);
+    if (changelogError) {
+      return `Category ${category.name} changelog: ${changelogError}`;
+    }
+    const defaultsError = validateChangeSetAttributes(category.changeSetDefaults);
+    if (defaultsError) {
+      return `Category ${category.name}: ${defaultsError}`;
+    }
+    names.add(category.name);
+  }
+  return null;
+};
+
+export const saveLayout = async (workingDirectory, layout) => {
+  const config = await readProjectConfig(workingDirectory);
+  await writeProjectConfig(workingDirectory, { ...config, layout }, 'Save project layout');
+  return layout;
+};
+
+export const saveSqlFormat = async (workingDirectory, sqlFormat) => {
+  const config = await readProjectConfig(workingDirectory);
+  const merged = { ...DEFAULT_SQL_FORMAT, ...sqlFormat };
+  await writeProjectConfig(workingDirectory, { ...config, sqlFormat: merged }, 'Save SQL format settings');
+  return merged;
+};
+
+const isTimeZone = (value) => {
+  try {
+    return typeof value === 'string' && Boolean(new Intl.DateTimeFormat('en-US', { timeZone: value }));
+  } catch {
+    return false;
+  }
+};
+
+// Returns an error message, or null when the profile can be saved
+export const validateEnvironment = (environment) => {
+  if (!environment?.name || !ENVIRONMENT_NAME_PATTERN.test(environment.name)) {
+    return 'Environment name is required and may only contain letters, numbers, underscores and hyphens';
+  }
+  for (const field of [...ENVIRONMENT_FIELDS, 'passwordEnv']) {
+    const value = environment[field];
+    if (value !== undefined && value !== null && (typeof value !== 'string' || CONTROL_CHARACTERS.test(value))) {
+      return `${field} must be a single line of text`;
+    }
+  }
+  if (!environment.url?.trim()) {
+    return `Environment ${environment.name} needs a JDBC url`;
+  }
+  // Liquibase reads these from disk where it runs, so they stay inside the workspace too
+  const files = [
+    ...(environment.classpath ? environment.classpath.split(delimiter).map(file => ['classpath', file]) : []),
+    ...(environment.changeLogFile ? [['changeLogFile', environment.changeLogFile]] : [])
+  ];
+  for (const [field, file] of files) {
+    const fileError = validateProjectFile(file);
+    if (fileError) {
+      return `${field}: ${fileError}`;
+    }
+  }
+  if (environment.executor !== undefined && !EXECUTOR_NAMES.includes(environment.executor)) {
+    return `executor must be one of ${EXECUTOR_NAMES.join(', ')}`;
+  }
+  if (environment.protected !== undefined && typeof environment.protected !== 'boolean') {
+    return 'protected must be true or false';
+  }
+  if (environment.maxRollbackCount !== undefined
+      && (!Number.isInteger(environment.maxRollbackCount) || environment.maxRollbackCount < 1)) {
+    return 'maxRollbackCount must be a positive integer';
+  }
+  if (environment.staleLockMinutes !== undefined
+      && (!Number.isInteger(environment.staleLockMinutes) || environment.staleLockMinutes < 1)) {
+    return 'staleLockMinutes must be a positive integer';
+  }
+  if (environment.lockTimeZone !== undefined && !isTimeZone(environment.lockTimeZone)) {
+    return 'lockTimeZone must be a time zone name such as Europe/Paris';
+  }
+  return null;
+};
+
+export const getEnvironment = async (workingDirectory, name) => {
+  if (!name) {
+    return null;
+  }
+
+  const { environments } = await readProjectConfig(workingDirectory);
+  const environment = environments.find(env => env.name === name);
+  if (!environment) {
+    throw new Error(`Unknown environment: ${name}`);
+  }
+  return environment;
+};
+
+export const saveEnvironment = async (workingDirectory, environment) => {
+  const config = await readProjectConfig(workingDirectory);
+  const environments = config.environments.filter(env => env.name !== environment.name);
+  const index = config.environments.findIndex(env => env.name === environment.name);
+
+  environments.splice(index === -1 ? environments.length : index, 0, environment);
+  await writeProjectConfig(workingDirectory, { ...config, environments }, `Save environment ${environment.name}`);
+  return environments;
+};
+
+export const deleteEnvironment = async (workingDirectory, name) => {
+  const config = await readProjectConfig(workingDirectory);
+  const environments = config.environments.filter(env => env.name !== name);
+  await writeProjectConfig(workingDirectory, { ...config, environments }, `Delete environment ${name}`);
+  return environments;
+};
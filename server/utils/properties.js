@@ -0,0 +1,48 @@
+import { promises as fs } from 'fs';
+
+const UNESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+const ESCAPES = { '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r', '\f': '\\f' };
+
+// Undo java.util.Properties escapes: \t \n \r \f, \uXXXX, and a backslash before any other character
+const unescapeText = (text) => text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escaped) =>
+  escaped.length === 5 ? String.fromCharCode(parseInt(escaped.slice(1), 16)) : UNESCAPES[escaped] ?? escaped);
+
+// Escape like java.util.Properties.store so Liquibase reads back exactly the string that was set:
+// separators and comment characters, whitespace that would be trimmed, and control characters
+const escapeText = (text, isKey) => String(text)
+  .replace(/[\\\t\n\r\f=:#!]/g, char => ESCAPES[char] ?? `\\${char}`)
+  .replace(/[\u0000-\u001f\u007f]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`)
+  .replace(isKey ? / /g : /^ /, '\\ ');
+
+// Minimal .properties parsing: `key=value` or `key: value`, `#` and `!` comments, escapes undone
+export const parseProperties = (content) => {
+  const properties = new Map();
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith('!')) continue;
+
+    const match = line.match(/^((?:\\.|[^=:\s\\])+)\s*[=:]\s*(.*)$/);
+    if (match) {
+      properties.set(unescapeText(match[1]), unescapeText(match[2].trim()));
+    }
+  }
+
+  return properties;
+};
+
+export const serializeProperties = (properties) =>
+  [...properties.entries()]
+    .map(([key, value]) => `${escapeText(key, true)}=${escapeText(value, false)}`)
+    .join('\n') + '\n';
+
+export const readPropertiesFile = async (filePath) => {
+  try {
+    return parseProperties(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return new Map();
+    }
+    throw error;
+  }
+};
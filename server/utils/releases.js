@@ -0,0 +1,150 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { listDatabaseTags, readChangelog } from './changelog.js';
+
+// The first release is tagged in this file, included at the top of the root changelog
+export const TAG_CHANGELOG = 'tag-database.xml';
+
+// Later releases each get their own tag changelog, included where the release starts so that
+// the tag marks the database before its changes and a rollback to it undoes only that release
+export const getReleaseChangelog = (version) => `tag-database-${version}.xml`;
+
+const RELEASE_CHANGELOG_PATTERN = /^tag-database-.+\.xml$/;
+
+export const isTagChangelog = (file) => file === TAG_CHANGELOG || RELEASE_CHANGELOG_PATTERN.test(file);
+
+export const RELEASE_PARTS = ['major', 'minor', 'patch'];
+
+const VERSION_PATTERN = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?$/;
+
+// "49", "49.1" and "49.1.0" all parse to [major, minor, patch]; null for other tags
+export const parseVersion = (value) => {
+  const match = VERSION_PATTERN.exec(String(value ?? '').trim());
+  return match ? match.slice(1).map(part => Number(part || 0)) : null;
+};
+
+// Tag written to the database, always major.minor.patch
+export const formatTag = (parts) => parts.join('.');
+
+// Version used in changelog names: trailing zero parts are dropped, so 49.0.0 stays "49"
+export const formatVersionLabel = (parts) => {
+  const label = [...parts];
+  while (label.length > 1 && label[label.length - 1] === 0) {
+    label.pop();
+  }
+  return label.join('.');
+};
+
+export const bumpVersion = ([major, minor, patch], part) => {
+  switch (part) {
+    case 'major':
+      return [major + 1, 0, 0];
+    case 'minor':
+      return [major, minor + 1, 0];
+    case 'patch':
+      return [major, minor, patch + 1];
+    default:
+      throw new Error(`Unknown release part: ${part}`);
+  }
+};
+
+const compareVersions = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+/**
+ * Releases tagged in tag-database.xml and the per-release tag changelogs, oldest first.
+ * Tags that are not release numbers (e.g. created by hand from the Installer) are skipped.
+ */
+export const listReleases = async (workingDirectory) => {
+  const files = (await fs.readdir(workingDirectory))
+    .filter(file => RELEASE_CHANGELOG_PATTERN.test(file))
+    .sort();
+
+  const releases = [];
+  for (const file of [TAG_CHANGELOG, ...files]) {
+    const changelog = await readChangelog(join(workingDirectory, file));
+    if (changelog.error) {
+      throw new Error(`Invalid ${file}: ${changelog.error}`);
+    }
+    for (const { tag, changeSetId, author } of listDatabaseTags(changelog)) {
+      const parts = parseVersion(tag);
+      if (parts) {
+        releases.push({ tag, version: formatVersionLabel(parts), changeSetId, author, parts });
+      }
+    }
+  }
+
+  return releases
+    .sort((a, b) => compareVersions(a.parts, b.parts))
+    .map(({ parts, ...release }) => release);
+};
+
+export const getCurrentRelease = async (workingDirectory) => {
+  const releases = await listReleases(workingDirectory);
+  return releases[releases.length - 1] || null;
+};
+
+const createTagChangeSet = (author, tag) => `  <changeSet author="${author}" id="tag-database-${tag}">
+    <tagDatabase tag="${tag}"/>
+  </changeSet>
+`;
+
+/**
+ * Append a release's tag changeSet to the content of a tag changelog, or start the file
+ * when `content` is null. Changesets of earlier releases are already deployed, so they are
+ * left untouched and the new one gets an id derived from its tag.
+ */
+export const addTagChangeSet = (content, author, tag) => {
+  const current = content ?? `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog
+  xmlns="http://www.liquibase.org/xml/ns/dbchangelog"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.liquibase.org/xml/ns/dbchangelog
+                      http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd">
+
+</databaseChangeLog>
+`;
+
+  const closingTagIndex = current.lastIndexOf('</databaseChangeLog>');
+  if (closingTagIndex === -1) {
+    throw new Error('Cannot update the tag changelog: missing closing tag');
+  }
+
+  let changeSet = createTagChangeSet(author, tag);
+  if (current.includes('\r\n')) {
+    changeSet = changeSet.replace(/\n/g, '\r\n');
+  }
+  return current.slice(0, closingTagIndex) + changeSet + current.slice(closingTagIndex);
+};
+
+/**
+ * Tag a release through a file plan (see utils/filePlan.js). The first one starts
+ * tag-database.xml; later ones get their own tag changelog, returned as `changelog`
+ * for the caller to include in the root changelog ahead of the release's changelogs.
+ */
+export const addRelease = async (plan, version, author) => {
+  const parts = parseVersion(version);
+  if (!parts) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+
+  const tag = formatTag(parts);
+  const label = formatVersionLabel(parts);
+  let changelog = TAG_CHANGELOG;
+  if (await plan.exists(TAG_CHANGELOG)) {
+    const releases = await listReleases(plan.rootDirectory);
+    if (releases.some(release => release.tag === tag)) {
+      throw new Error(`Release ${tag} is already tagged`);
+    }
+    changelog = getReleaseChangelog(label);
+  }
+
+  await plan.write(changelog, addTagChangeSet(await plan.read(changelog), author, tag));
+  return { tag, version: label, changeSetId: `tag-database-${tag}`, author, changelog };
+};
+
+// Tag the next major, minor or patch release after the current one
+export const createRelease = async (plan, part, author) => {
+  const current = await getCurrentRelease(plan.rootDirectory);
+  const next = bumpVersion(current ? parseVersion(current.tag) : [0, 0, 0], part);
+  return addRelease(plan, formatTag(next), author);
+};
@@ -0,0 +1,55 @@
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// One JSON file per run, kept outside the working directories so history survives project switches
+const HISTORY_DIR = join(process.env.TOWER_DATA_DIR || join(__dirname, '..', 'data'), 'runs');
+
+const RUN_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+const runPath = (runId) => join(HISTORY_DIR, `${runId}.json`);
+
+export const saveRun = async (record) => {
+  await fs.mkdir(HISTORY_DIR, { recursive: true });
+  await fs.writeFile(runPath(record.id), JSON.stringify(record, null, 2));
+};
+
+export const getRun = async (runId) => {
+  if (!RUN_ID_PATTERN.test(runId)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(runPath(runId), 'utf-8'));
+  } catch {
+    return null;
+  }
+};
+
+// List runs newest first, without their logs
+export const listRuns = async ({ workingDirectory, command, limit = 100 } = {}) => {
+  let files = [];
+  try {
+    files = (await fs.readdir(HISTORY_DIR)).filter(f => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+
+  const runs = [];
+  for (const file of files) {
+    try {
+      const { logs, ...summary } = JSON.parse(await fs.readFile(join(HISTORY_DIR, file), 'utf-8'));
+      if (workingDirectory && summary.workingDirectory !== workingDirectory) continue;
+      if (command && summary.command !== command) continue;
+      runs.push({ ...summary, logLines: logs?.length ?? 0 });
+    } catch (error) {
+      console.error(`Skipping unreadable run record ${file}:`, error.message);
+    }
+  }
+
+  return runs
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(0, limit);
+};
@@ -0,0 +1,125 @@
+import { maskSql } from './sqlLint.js';
+
+// The object a script creates: CREATE [OR REPLACE] [options] <type> [schema.]<name>
+const CREATE_OBJECT = /\bCREATE\s+(?:OR\s+REPLACE\s+)?(?:(?:NON)?EDITIONABLE\s+|(?:NO\s+)?FORCE\s+|GLOBAL\s+TEMPORARY\s+|PRIVATE\s+TEMPORARY\s+|UNIQUE\s+|BITMAP\s+|PUBLIC\s+)*(MATERIALIZED\s+VIEW|TABLE|VIEW|PROCEDURE|FUNCTION|PACKAGE\s+BODY|PACKAGE|TRIGGER|SEQUENCE|TYPE\s+BODY|TYPE|SYNONYM|INDEX)\s+(?:"?[A-Za-z][\w$#]*"?\s*\.\s*)?("[^"]+"|[A-Za-z][\w$#]*)/i;
+
+const IDENTIFIER = /"[^"]+"|[A-Za-z][\w$#]*/g;
+
+// Oracle folds unquoted names to upper case
+const normalizeName = (name) => name.startsWith('"') ? name.slice(1, -1) : name.toUpperCase();
+
+/**
+ * The first object a script creates, as { objectType, objectName } with the type in upper
+ * case ('MATERIALIZED VIEW', 'PACKAGE BODY', ...), or null when it creates none.
+ */
+export const findCreatedObject = (content) => {
+  const match = CREATE_OBJECT.exec(maskSql(content.replace(/\r\n/g, '\n')));
+  if (!match) {
+    return null;
+  }
+  return {
+    objectType: match[1].toUpperCase().replace(/\s+/g, ' '),
+    objectName: normalizeName(match[2])
+  };
+};
+
+// Names from `objectNames` the script mentions outside comments and string literals
+export const findReferences = (content, objectNames) => {
+  const known = new Set(objectNames);
+  const found = new Set();
+  for (const [identifier] of maskSql(content.replace(/\r\n/g, '\n')).matchAll(IDENTIFIER)) {
+    const name = normalizeName(identifier);
+    if (known.has(name)) {
+      found.add(name);
+    }
+  }
+  return [...found];
+};
+
+/**
+ * Give each item the keys of the items creating the objects its SQL references. Items are
+ * { key, objectName, content } where objectName is what the item creates, or null.
+ */
+export const linkDependencies = (items) => {
+  const creators = new Map(items.filter(item => item.objectName).map(item => [item.objectName, item.key]));
+  return items.map(item => ({
+    ...item,
+    dependsOn: findReferences(item.content, [...creators.keys()])
+      .filter(name => name !== item.objectName)
+      .map(name => creators.get(name))
+  }));
+};
+
+/**
+ * Groups of items that depend on each other, directly or not (strongly connected components
+ * of more than one item). Items are { key, dependsOn: [key] }; returns arrays of keys.
+ */
+export const findCycles = (items) => {
+  const graph = new Map(items.map(item => [item.key, item.dependsOn.filter(key => key !== item.key)]));
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const cycles = [];
+
+  // Tarjan's algorithm
+  const visit = (key) => {
+    indices.set(key, indices.size);
+    lowLinks.set(key, indices.get(key));
+    stack.push(key);
+
+    for (const next of graph.get(key).filter(dependency => graph.has(dependency))) {
+      if (!indices.has(next)) {
+        visit(next);
+        lowLinks.set(key, Math.min(lowLinks.get(key), lowLinks.get(next)));
+      } else if (stack.includes(next)) {
+        lowLinks.set(key, Math.min(lowLinks.get(key), indices.get(next)));
+      }
+    }
+
+    if (lowLinks.get(key) === indices.get(key)) {
+      const component = stack.splice(stack.indexOf(key));
+      if (component.length > 1) {
+        cycles.push(component);
+      }
+    }
+  };
+
+  items.forEach(item => {
+    if (!indices.has(item.key)) {
+      visit(item.key);
+    }
+  });
+  return cycles;
+};
+
+/**
+ * Order items so each comes after the items it depends on. Items are { key, dependsOn: [key] };
+ * unknown keys are ignored and ties keep the given order. Items in a cycle, or depending on
+ * one, can't be ordered: they are appended in the given order and their keys listed in `unordered`.
+ */
+export const orderByDependencies = (items) => {
+  const keys = new Set(items.map(item => item.key));
+  const pending = new Map(items.map(item => [
+    item.key,
+    new Set(item.dependsOn.filter(key => keys.has(key) && key !== item.key))
+  ]));
+  const ordered = [];
+
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const item of items) {
+      const waitingOn = pending.get(item.key);
+      if (waitingOn && waitingOn.size === 0) {
+        ordered.push(item);
+        pending.delete(item.key);
+        pending.forEach(dependencies => dependencies.delete(item.key));
+        progress = true;
+        break;
+      }
+    }
+  }
+
+  const unordered = items.filter(item => pending.has(item.key));
+  return { ordered: [...ordered, ...unordered], unordered: unordered.map(item => item.key) };
+};
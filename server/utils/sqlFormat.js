@@ -0,0 +1,88 @@
+import { format } from 'sql-formatter';
+import { splitSqlScript } from './sqlLint.js';
+
+const CASES = ['preserve', 'upper', 'lower'];
+
+// Formatter settings of a project, stored as `sqlFormat` in the project config
+export const DEFAULT_SQL_FORMAT = {
+  keywordCase: 'upper',
+  dataTypeCase: 'upper',
+  functionCase: 'upper',
+  tabWidth: 2,
+  useTabs: false,
+  logicalOperatorNewline: 'before',
+  linesBetweenQueries: 1,
+  // Format SQL as it is uploaded or added in the Generator
+  formatOnUpload: false,
+  formatOnSave: false
+};
+
+// Returns an error message, or null when the settings can be saved
+export const validateSqlFormat = (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'SQL format settings must be an object';
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_SQL_FORMAT)) {
+      return `Unknown SQL format setting: ${key}`;
+    }
+    if (['keywordCase', 'dataTypeCase', 'functionCase'].includes(key) && !CASES.includes(value)) {
+      return `${key} must be one of ${CASES.join(', ')}`;
+    }
+    if (key === 'logicalOperatorNewline' && !['before', 'after'].includes(value)) {
+      return 'logicalOperatorNewline must be before or after';
+    }
+    if (key === 'tabWidth' && !(Number.isInteger(value) && value >= 1 && value <= 8)) {
+      return 'tabWidth must be a whole number from 1 to 8';
+    }
+    if (key === 'linesBetweenQueries' && !(Number.isInteger(value) && value >= 0 && value <= 5)) {
+      return 'linesBetweenQueries must be a whole number from 0 to 5';
+    }
+    if (['useTabs', 'formatOnUpload', 'formatOnSave'].includes(key) && typeof value !== 'boolean') {
+      return `${key} must be true or false`;
+    }
+  }
+  return null;
+};
+
+// Comment lines between two statements, without the blank lines around them
+const commentsBetween = (text) => text.split('\n').map(line => line.trimEnd()).join('\n').trim();
+
+/**
+ * Format an Oracle script with sql-formatter's PL/SQL dialect. Only SQL statements are
+ * reformatted: the formatter flattens PL/SQL bodies, so blocks are kept as written, as are
+ * the "/" lines that end them. Line endings follow the original. Throws with the line of the
+ * statement the formatter can't parse.
+ */
+export const formatSqlScript = (content, settings = {}) => {
+  const { formatOnUpload, formatOnSave, ...options } = { ...DEFAULT_SQL_FORMAT, ...settings };
+  const normalized = content.replace(/\r\n/g, '\n');
+  const parts = [];
+  let previous = 0;
+
+  for (const statement of splitSqlScript(normalized)) {
+    let sql = statement.sql.trim();
+    if (!statement.plsql) {
+      try {
+        sql = format(sql, { ...options, language: 'plsql' });
+      } catch (error) {
+        // The formatter counts lines from the start of the statement
+        const message = error.message.split('\n')[0].replace(/ at line \d+ column \d+$/, '');
+        throw new Error(`Line ${statement.line}: ${message}`);
+      }
+    }
+
+    const comments = commentsBetween(normalized.slice(previous, statement.start));
+    parts.push([comments, sql, statement.terminator === '/' ? '/' : ''].filter(Boolean).join('\n'));
+    previous = statement.next;
+  }
+
+  const trailing = commentsBetween(normalized.slice(previous));
+  if (trailing) {
+    parts.push(trailing);
+  }
+
+  const formatted = parts.length ? `${parts.join('\n'.repeat(options.linesBetweenQueries + 1))}\n` : '';
+  return content.includes('\r\n') ? formatted.replace(/\n/g, '\r\n') : formatted;
+};
@@ -0,0 +1,191 @@
+// Statements that run as PL/SQL: semicolons belong to the block, which ends with a "/" line
+const PLSQL_START = /^\s*(?:CREATE\s+(?:OR\s+REPLACE\s+)?(?:(?:NON)?EDITIONABLE\s+)?(?:PROCEDURE|FUNCTION|PACKAGE|TRIGGER|TYPE)\b|DECLARE\b|BEGIN\b)/i;
+
+const DDL_KEYWORDS = ['CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'COMMENT', 'GRANT', 'REVOKE'];
+const DML_KEYWORDS = ['INSERT', 'UPDATE', 'DELETE', 'MERGE'];
+
+// CREATE of an object kind that has OR REPLACE; CREATE MATERIALIZED VIEW does not
+const CREATE_WITHOUT_REPLACE = /^\s*CREATE\s+(?!OR\s+REPLACE\b)(?:(?:NON)?EDITIONABLE\s+|(?:NO\s+)?FORCE\s+)*(VIEW|PROCEDURE|FUNCTION|PACKAGE(?:\s+BODY)?|TRIGGER|TYPE(?:\s+BODY)?)\b/i;
+
+const QUALIFIED_NAME = String.raw`("?[A-Za-z][\w$#]*"?)\s*\.\s*("?[A-Za-z][\w$#]*"?)`;
+
+// schema.object right after a keyword that names a database object. INTO only after INSERT
+// and MERGE, since SELECT ... INTO record.field is PL/SQL; ON only for the table of an index
+// or trigger, since a join condition compares alias.column
+const SCHEMA_PREFIXES = [
+  new RegExp(String.raw`\b(?:TABLE|VIEW|(?:INSERT|MERGE)\s+INTO|FROM|UPDATE|JOIN|PROCEDURE|FUNCTION|PACKAGE(?:\s+BODY)?|TRIGGER|SEQUENCE|INDEX|SYNONYM|TYPE(?:\s+BODY)?|REFERENCES|FOR)\s+${QUALIFIED_NAME}`, 'gi'),
+  new RegExp(String.raw`\bON\s+${QUALIFIED_NAME}(?=\s*\(|\s+(?:FOR|REFERENCING|WHEN|FOLLOWS|PRECEDES|ENABLE|DISABLE|COMPOUND|DECLARE|BEGIN)\b)`, 'gi')
+];
+
+const PSEUDO_COLUMNS = ['NEXTVAL', 'CURRVAL'];
+
+/**
+ * Blank out comments and string literals, keeping line breaks and offsets, so the
+ * rules only see code. Handles '' escapes and Oracle's q'[...]' quoting.
+ */
+export const maskSql = (content) => {
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+  let masked = '';
+  let i = 0;
+
+  while (i < content.length) {
+    const rest = content.slice(i);
+    let end = -1;
+
+    if (rest.startsWith('--')) {
+      end = rest.indexOf('\n');
+    } else if (rest.startsWith('/*')) {
+      end = rest.indexOf('*/');
+      end = end === -1 ? -1 : end + 2;
+    } else if (/^[qQ]'/.test(rest) && !/\w/.test(content[i - 1] || '')) {
+      const closing = { '[': ']', '{': '}', '(': ')', '<': '>' }[rest[2]] || rest[2];
+      end = rest.indexOf(`${closing}'`, 3);
+      end = end === -1 ? -1 : end + 2;
+    } else if (rest[0] === "'") {
+      end = 1;
+      while (end < rest.length && !(rest[end] === "'" && rest[end + 1] !== "'")) {
+        end += rest[end] === "'" ? 2 : 1;
+      }
+      end += 1;
+    } else {
+      masked += rest[0];
+      i += 1;
+      continue;
+    }
+
+    const token = end === -1 ? rest : rest.slice(0, end);
+    // Keep the quotes of literals so an empty string still reads as a value
+    masked += /^[qQ]?'/.test(token)
+      ? `'${blank(token.slice(1, -1))}'`.padEnd(token.length, ' ')
+      : blank(token);
+    i += token.length;
+  }
+  return masked;
+};
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+/**
+ * Split a script the way SQL*Plus runs it: SQL statements end at ";", PL/SQL blocks at a
+ * line holding only "/". Returns { text, line, endLine, terminator, plsql, start, end, next }
+ * per statement: `text` is masked, `start`/`end` bound the statement's code (without the "/"
+ * line) and `next` is where whatever follows it starts.
+ */
+const splitStatements = (masked) => {
+  const statements = [];
+  const lines = masked.split('\n');
+  let current = null;
+  let lineStart = 0;
+
+  const finish = (terminator, endLine, end, next) => {
+    if (current && current.text.trim()) {
+      statements.push({ ...current, terminator, endLine, end, next, plsql: PLSQL_START.test(current.text) });
+    }
+    current = null;
+  };
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const offset = lineStart;
+    lineStart += line.length + 1;
+    if (/^\s*\/\s*$/.test(line)) {
+      finish('/', lineNumber, masked.slice(0, offset).trimEnd().length, offset + line.length);
+      return;
+    }
+
+    let column = 0;
+    while (line.slice(column).trim()) {
+      const rest = line.slice(column);
+      if (!current) {
+        current = { text: '', line: lineNumber, start: offset + column + rest.length - rest.trimStart().length };
+      }
+      const semicolon = rest.indexOf(';');
+      if (semicolon === -1 || PLSQL_START.test(current.text + rest)) {
+        current.text += `${rest}\n`;
+        return;
+      }
+      current.text += rest.slice(0, semicolon + 1);
+      const end = offset + column + semicolon + 1;
+      finish(';', lineNumber, end, end);
+      column += semicolon + 1;
+    }
+    if (current) {
+      current.text += '\n';
+    }
+  });
+  finish(null, lines.length, masked.trimEnd().length, masked.length);
+  return statements;
+};
+
+/**
+ * Statements of a script (see splitStatements), each with its `sql` as written. Comments
+ * between statements belong to neither; they lie between one's `next` and the following `start`.
+ */
+export const splitSqlScript = (content) => {
+  const normalized = content.replace(/\r\n/g, '\n');
+  return splitStatements(maskSql(normalized))
+    .map(statement => ({ ...statement, sql: normalized.slice(statement.start, statement.end) }));
+};
+
+const firstKeyword = (statement) => (statement.text.trim().match(/^[A-Za-z]+/)?.[0] || '').toUpperCase();
+
+/**
+ * Lint an Oracle script for mistakes that break Liquibase deployments. `splitStatements` and
+ * `endDelimiter` are the attributes of the <sqlFile> that runs it. Returns
+ * [{ line, rule, severity, message }] sorted by line.
+ */
+export const lintSql = (content, { splitStatements: split = true, endDelimiter = null } = {}) => {
+  // With a delimiter of its own, Liquibase no longer cuts PL/SQL blocks at their first ";"
+  const splitsAtSemicolon = split && (!endDelimiter || endDelimiter === ';');
+  const masked = maskSql(content.replace(/\r\n/g, '\n'));
+  const statements = splitStatements(masked);
+  const problems = [];
+  const report = (line, rule, severity, message) => problems.push({ line, rule, severity, message });
+
+  for (const statement of statements) {
+    if (statement.plsql) {
+      if (splitsAtSemicolon && statement.terminator !== '/') {
+        report(statement.line, 'plsql-terminator', 'error',
+          'PL/SQL block is not followed by a "/" line, so splitStatements cuts it at its first ";"');
+      }
+      if (!/;\s*$/.test(statement.text)) {
+        report(statement.endLine, 'missing-semicolon', 'warning', 'PL/SQL block does not end with ";"');
+      }
+    } else if (statement.terminator === null) {
+      report(statement.line, 'missing-semicolon', 'warning', 'Statement does not end with ";"');
+    }
+
+    const create = CREATE_WITHOUT_REPLACE.exec(statement.text);
+    if (create) {
+      report(statement.line, 'create-or-replace', 'error',
+        `CREATE ${create[1].toUpperCase().replace(/\s+/g, ' ')} without OR REPLACE fails when the changeset runs again`);
+    }
+  }
+
+  // With a delimiter of its own, whatever follows the last one is sent as is, ";" included
+  const last = statements[statements.length - 1];
+  const ending = endDelimiter?.trim();
+  if (last && ending && ending !== ';' && !masked.trimEnd().endsWith(ending)) {
+    report(last.endLine, 'end-delimiter', 'error',
+      `Last statement is not terminated by the endDelimiter "${ending}" of its <sqlFile>`);
+  }
+
+  // A failure halfway leaves DDL committed and DML not, and the changeset can't simply rerun
+  const ddl = statements.find(statement => DDL_KEYWORDS.includes(firstKeyword(statement)));
+  const dml = statements.find(statement => DML_KEYWORDS.includes(firstKeyword(statement)));
+  if (ddl && dml) {
+    const [first, second] = ddl.line < dml.line ? [ddl, dml] : [dml, ddl];
+    report(second.line, 'mixed-ddl-dml', 'warning',
+      `Mixes DDL and DML (${firstKeyword(first)} at line ${first.line}, ${firstKeyword(second)} here); split them into separate changesets`);
+  }
+
+  for (const match of SCHEMA_PREFIXES.flatMap(pattern => [...masked.matchAll(pattern)])) {
+    const object = match[2].replace(/"/g, '');
+    if (!PSEUDO_COLUMNS.includes(object.toUpperCase())) {
+      report(lineAt(masked, match.index), 'schema-prefix', 'warning',
+        `Hard-coded schema prefix ${match[1]} in ${match[1]}.${match[2]}`);
+    }
+  }
+
+  return problems.sort((a, b) => a.line - b.line);
+};
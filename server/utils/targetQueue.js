@@ -0,0 +1,70 @@
+// Runs against the same database take turns: one run holds the target while the others wait
+// in arrival order. Like the active runs, the queue lives in memory and only covers this
+// server; Liquibase's DATABASECHANGELOGLOCK still guards against other clients.
+
+// target key -> { holder, waiting: [{ run, onQueued, resolve, reject }] }
+const targets = new Map();
+
+const notifyWaiting = (target) => {
+  target.waiting.forEach((waiter, index) => waiter.onQueued({ position: index + 1, holder: target.holder }));
+};
+
+const releaseTarget = (key, runId) => {
+  const target = targets.get(key);
+  if (target?.holder?.runId !== runId) {
+    return;
+  }
+
+  const next = target.waiting.shift();
+  if (!next) {
+    targets.delete(key);
+    return;
+  }
+  target.holder = { ...next.run, startedAt: Date.now() };
+  next.resolve(() => releaseTarget(key, next.run.runId));
+  notifyWaiting(target);
+};
+
+/**
+ * Hold the target for a run, waiting for the runs ahead of it first. `run` describes it to the
+ * others ({ runId, user, command, environment }); onQueued({ position, holder }) is called when
+ * it has to wait and whenever its place in the queue changes.
+ * Resolves to the function that hands the target to the next run; rejects when the run leaves
+ * the queue before its turn.
+ */
+export const acquireTarget = (key, run, onQueued = () => {}) => {
+  const entry = { ...run, queuedAt: Date.now() };
+  const target = targets.get(key);
+  if (!target) {
+    targets.set(key, { holder: { ...entry, startedAt: entry.queuedAt }, waiting: [] });
+    return Promise.resolve(() => releaseTarget(key, run.runId));
+  }
+
+  return new Promise((resolve, reject) => {
+    target.waiting.push({ run: entry, onQueued, resolve, reject });
+    onQueued({ position: target.waiting.length, holder: target.holder });
+  });
+};
+
+// Take a waiting run out of its queue; false when it isn't waiting anywhere
+export const leaveQueue = (runId) => {
+  for (const target of targets.values()) {
+    const index = target.waiting.findIndex(waiter => waiter.run.runId === runId);
+    if (index !== -1) {
+      const [waiter] = target.waiting.splice(index, 1);
+      waiter.reject(new Error(`Command cancelled while waiting for ${target.holder.user}'s ${target.holder.command}`));
+      notifyWaiting(target);
+      return true;
+    }
+  }
+  return false;
+};
+
+// The run holding a target and the runs waiting for it, oldest first
+export const getTargetState = (key) => {
+  const target = targets.get(key);
+  return {
+    holder: target?.holder || null,
+    waiting: target ? target.waiting.map(waiter => waiter.run) : []
+  };
+};
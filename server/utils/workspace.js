@@ -0,0 +1,95 @@
+import { realpathSync } from 'fs';
+import { homedir } from 'os';
+import { basename, delimiter, dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+
+// The directories projects may live in. Every path a request names has to resolve inside one
+// of them, symlinks followed, so a crafted workingDirectory or file name can't reach the rest
+// of the disk. TOWER_WORKSPACE_ROOTS lists them separated like PATH (':' or ';' on Windows);
+// without it the home directory of the user running the server is the only root.
+// Only depends on Node so liquibase-service can share it.
+
+// Follow symlinks as far as the path exists; the part that doesn't exist yet is taken as written
+const realPath = (path) => {
+  const absolutePath = resolve(path);
+  try {
+    return realpathSync.native(absolutePath);
+  } catch {
+    const parent = dirname(absolutePath);
+    return parent === absolutePath ? absolutePath : join(realPath(parent), basename(absolutePath));
+  }
+};
+
+export const WORKSPACE_ROOTS = (process.env.TOWER_WORKSPACE_ROOTS || homedir())
+  .split(delimiter)
+  .map(root => root.trim())
+  .filter(Boolean)
+  .map(realPath);
+
+const MAX_PATH_LENGTH = 1024;
+
+// Names of the files and folders the tool creates: no separators, no leading dot or dash
+const FILE_NAME_PATTERN = /^[\w$#][\w$#.-]*$/;
+const MAX_FILE_NAME_LENGTH = 255;
+
+export const isInsideDirectory = (directory, path) => {
+  const relativePath = relative(directory, path);
+  return relativePath === ''
+    || (relativePath !== '..' && !relativePath.startsWith(`..${sep}`) && !isAbsolute(relativePath));
+};
+
+/**
+ * Check a directory a request names, such as a workingDirectory, against the workspace roots.
+ * Returns an error message, or null when it is inside one of them.
+ */
+export const validateWorkspacePath = (path) => {
+  if (typeof path !== 'string' || !path || path.length > MAX_PATH_LENGTH || path.includes('\0')) {
+    return 'must be an absolute directory path';
+  }
+  if (!isAbsolute(path)) {
+    return `${path} is not an absolute path`;
+  }
+  if (!WORKSPACE_ROOTS.some(root => isInsideDirectory(root, realPath(path)))) {
+    return `${path} is outside the allowed workspace roots`;
+  }
+  return null;
+};
+
+// A single file or folder name, e.g. a category, a version or a script name
+export const validateFileName = (name) => {
+  if (typeof name !== 'string' || !FILE_NAME_PATTERN.test(name) || name.length > MAX_FILE_NAME_LENGTH || name.includes('..')) {
+    return `${typeof name === 'string' ? name : 'name'} is not a valid file name: use letters, numbers, _, $, #, . and -`;
+  }
+  return null;
+};
+
+// A path relative to the working directory, made of valid names and never leaving it
+export const validateProjectPath = (path) => {
+  if (typeof path !== 'string' || !path || path.length > MAX_PATH_LENGTH) {
+    return 'must be a path relative to the working directory';
+  }
+  if (/^[\\/]/.test(path) || isAbsolute(path) || path.split(/[\\/]/).some(name => validateFileName(name))) {
+    return `${path} is not a path inside the working directory`;
+  }
+  return null;
+};
+
+// A file a project setting names, e.g. a changelog or a driver jar: relative to the working
+// directory without '..', or absolute inside one of the workspace roots
+export const validateProjectFile = (path) => {
+  if (typeof path !== 'string' || !path || path.length > MAX_PATH_LENGTH || path.includes('\0')) {
+    return 'must be a file path';
+  }
+  if (isAbsolute(path) || /^[\\/]/.test(path)) {
+    return validateWorkspacePath(path);
+  }
+  return path.split(/[\\/]/).includes('..') ? `${path} may not contain ..` : null;
+};
+
+// Absolute path of a file inside a directory; throws when it resolves elsewhere
+export const resolveInsideDirectory = (directory, path) => {
+  const absolutePath = resolve(directory, path);
+  if (!isInsideDirectory(realPath(directory), realPath(absolutePath))) {
+    throw new Error(`${path} is outside ${directory}`);
+  }
+  return absolutePath;
+};
@@ -1,4 +1,5 @@
 import xmlFormatter from 'xml-formatter';
+import { createPreconditionLines } from './preconditions.js';
 
 const XML_CONFIG = {
   schema: 'http://www.liquibase.org/xml/ns/dbchangelog',
@@ -6,15 +7,86 @@ const XML_CONFIG = {
   location: 'http://www.liquibase.org/xml/ns/dbchangelog/dbchangelog-3.3.xsd',
 };
 
-export const createChangelogXML = (author, sqlFilename) => {
-  const xml = `
+// Rollback scripts sit next to the forward scripts, in sql/rollback/<name>.sql
+export const getRollbackPath = (sqlFilename) => `sql/rollback/${sqlFilename}.sql`;
+
+/**
+ * Attributes the Generator can set per object, by the element they belong to, with
+ * Liquibase's default for the booleans. A boolean equal to its default is not written,
+ * except splitStatements which the generated changelogs always spell out.
+ */
+export const CHANGESET_ATTRIBUTES = {
+  context: { element: 'changeSet', type: 'string' },
+  labels: { element: 'changeSet', type: 'string' },
+  runOnChange: { element: 'changeSet', type: 'boolean', default: false },
+  runAlways: { element: 'changeSet', type: 'boolean', default: false },
+  failOnError: { element: 'changeSet', type: 'boolean', default: true },
+  dbms: { element: 'changeSet', type: 'string' },
+  splitStatements: { element: 'sqlFile', type: 'boolean', default: true, always: true },
+  endDelimiter: { element: 'sqlFile', type: 'string' },
+  stripComments: { element: 'sqlFile', type: 'boolean', default: false }
+};
+
+// Returns an error message, or null when the attributes can be written
+export const validateChangeSetAttributes = (attributes) => {
+  if (attributes === undefined) {
+    return null;
+  }
+  if (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes)) {
+    return 'Changeset attributes must be an object';
+  }
+
+  for (const [name, value] of Object.entries(attributes)) {
+    const spec = CHANGESET_ATTRIBUTES[name];
+    if (!spec) {
+      return `Unknown changeset attribute: ${name}`;
+    }
+    if (value !== null && typeof value !== spec.type) {
+      return `${name} must be a ${spec.type}`;
+    }
+    if (spec.type === 'string' && /["<>&]/.test(value ?? '')) {
+      return `${name} may not contain ", <, > or &`;
+    }
+  }
+  return null;
+};
+
+// XML attribute values for one element; null means the attribute is left out
+const attributeValues = (attributes, element) => Object.fromEntries(
+  Object.entries(CHANGESET_ATTRIBUTES)
+    .filter(([name, spec]) => spec.element === element && name in attributes)
+    .map(([name, spec]) => {
+      const value = attributes[name];
+      if (spec.type === 'boolean') {
+        return [name, value === null || (value === spec.default && !spec.always) ? null : String(value)];
+      }
+      return [name, value?.trim() ? value.trim() : null];
+    })
+);
+
+const formatAttributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== null)
+  .map(([name, value]) => ` ${name}="${value}"`)
+  .join('');
+
+const createRollbackXML = (sqlFilename) =>
+  `<rollback>
+          <sqlFile path="${getRollbackPath(sqlFilename)}" relativeToChangelogFile="true" splitStatements="true"/>
+        </rollback>`;
+
+export const createChangelogXML = (author, sqlFilename, { rollback = false, attributes = {}, precondition = null } = {}) => {
+  const changeSetAttributes = formatAttributes(attributeValues(attributes, 'changeSet'));
+  const sqlFileAttributes = formatAttributes(attributeValues({ splitStatements: true, ...attributes }, 'sqlFile'));
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
     <databaseChangeLog
       xmlns="${XML_CONFIG.schema}"
       xmlns:xsi="${XML_CONFIG.xsi}"
       xsi:schemaLocation="${XML_CONFIG.schema}
                           ${XML_CONFIG.location}">
-      <changeSet author="${author}" id="${sqlFilename}">
-        <sqlFile path="sql/${sqlFilename}.sql" relativeToChangelogFile="true" splitStatements="true"/>
+      <changeSet author="${author}" id="${sqlFilename}"${changeSetAttributes}>
+        ${precondition ? createPreconditionLines(precondition).join('\n') : ''}
+        <sqlFile path="sql/${sqlFilename}.sql" relativeToChangelogFile="true"${sqlFileAttributes}/>
+        ${rollback ? createRollbackXML(sqlFilename) : ''}
       </changeSet>
     </databaseChangeLog>
   `;
@@ -22,6 +94,163 @@ export const createChangelogXML = (author, sqlFilename) => {
   return xmlFormatter(xml, { indentation: '  ' });
 };
 
+// Opening tag of a changeSet that has a body, as a RegExp match
+const findChangeSetOpening = (content, changeSetId) => {
+  const escapedId = changeSetId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const opening = new RegExp(`<changeSet\\b[^>]*\\bid="${escapedId}"[^>]*>`).exec(content);
+  return opening && !opening[0].endsWith('/>') ? opening : null;
+};
+
+// Set or remove (null) attributes on an opening tag, keeping the others as written
+const setTagAttributes = (tag, values) => Object.entries(values).reduce((updated, [name, value]) => {
+  const existing = new RegExp(`\\s${name}="[^"]*"`);
+  if (value === null) {
+    return updated.replace(existing, '');
+  }
+  return existing.test(updated)
+    ? updated.replace(existing, ` ${name}="${value}"`)
+    : updated.replace(/\s*(\/?>)$/, ` ${name}="${value}"$1`);
+}, tag);
+
+/**
+ * Apply Generator attributes to an existing changeSet and its forward sqlFile, leaving
+ * everything else as written. Returns null when the changeSet or its sqlFile can't be found.
+ */
+export const setChangeSetAttributes = (content, changeSetId, attributes) => {
+  const opening = findChangeSetOpening(content, changeSetId);
+  const bodyStart = opening && opening.index + opening[0].length;
+  const closingIndex = opening ? content.indexOf('</changeSet>', bodyStart) : -1;
+  if (closingIndex === -1) {
+    return null;
+  }
+
+  let body = content.slice(bodyStart, closingIndex);
+  const sqlFileValues = attributeValues(attributes, 'sqlFile');
+  if (Object.keys(sqlFileValues).length > 0) {
+    // The forward script is the first sqlFile before any <rollback>
+    const rollbackIndex = body.search(/<rollback\b/);
+    const sqlFile = /<sqlFile\b[^>]*>/.exec(rollbackIndex === -1 ? body : body.slice(0, rollbackIndex));
+    if (!sqlFile) {
+      return null;
+    }
+    body = body.slice(0, sqlFile.index)
+      + setTagAttributes(sqlFile[0], sqlFileValues)
+      + body.slice(sqlFile.index + sqlFile[0].length);
+  }
+
+  return content.slice(0, opening.index)
+    + setTagAttributes(opening[0], attributeValues(attributes, 'changeSet'))
+    + body
+    + content.slice(closingIndex);
+};
+
+/**
+ * Put a Generator precondition (see utils/preconditions.js) first in an existing changeSet,
+ * replacing the one it has. Returns null when the changeSet can't be found.
+ */
+export const setChangeSetPreconditions = (content, changeSetId, precondition) => {
+  const opening = findChangeSetOpening(content, changeSetId);
+  const bodyStart = opening && opening.index + opening[0].length;
+  const closingIndex = opening ? content.indexOf('</changeSet>', bodyStart) : -1;
+  if (closingIndex === -1) {
+    return null;
+  }
+
+  const indentOf = (index) => content.slice(content.lastIndexOf('\n', index) + 1, index).match(/^[ \t]*/)[0];
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  let body = content.slice(bodyStart, closingIndex);
+  const firstChild = body.search(/<(?!!--)/);
+  const childIndent = firstChild === -1 ? `${indentOf(opening.index)}  ` : indentOf(bodyStart + firstChild);
+  const block = createPreconditionLines(precondition).map(line => `${childIndent}${line}`).join(newline);
+
+  const existing = /[ \t]*<preConditions\b[\s\S]*?<\/preConditions>/.exec(body);
+  if (existing) {
+    body = body.slice(0, existing.index) + block + body.slice(existing.index + existing[0].length);
+  } else {
+    body = `${newline}${block}${body}`;
+  }
+
+  return content.slice(0, bodyStart) + body + content.slice(closingIndex);
+};
+
+/**
+ * Add a <rollback> pointing at sql/rollback/<file>.sql to an existing changeSet, keeping the
+ * rest of the file as written. Returns null when the changeSet can't be found.
+ */
+export const addRollbackToChangelog = (content, changeSetId, sqlFilename) => {
+  const opening = findChangeSetOpening(content, changeSetId);
+  if (!opening) {
+    return null;
+  }
+
+  const closingIndex = content.indexOf('</changeSet>', opening.index);
+  if (closingIndex === -1) {
+    return null;
+  }
+
+  // Indent like the changeSet's last child, or one level deeper than the changeSet
+  const indentOf = (index) => content.slice(content.lastIndexOf('\n', index) + 1, index).match(/^[ \t]*/)[0];
+  const indent = indentOf(opening.index);
+  const before = content.slice(0, closingIndex).replace(/[ \t]*$/, '');
+  const lastChild = before.trimEnd();
+  const childIndent = lastChild.length > opening.index + opening[0].length
+    ? indentOf(lastChild.lastIndexOf('<'))
+    : `${indent}  `;
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const rollback = [
+    `${childIndent}<rollback>`,
+    `${childIndent}  <sqlFile path="${getRollbackPath(sqlFilename)}" relativeToChangelogFile="true" splitStatements="true"/>`,
+    `${childIndent}</rollback>`
+  ].join(newline);
+
+  const separator = /\n$/.test(before) ? '' : newline;
+  return `${before}${separator}${rollback}${newline}${indent}${content.slice(closingIndex)}`;
+};
+
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Append an <include> before </databaseChangeLog>. Returns null when the closing tag is missing.
+export const addIncludeToChangelog = (content, file) => {
+  const closingIndex = content.lastIndexOf('</databaseChangeLog>');
+  if (closingIndex === -1) {
+    return null;
+  }
+
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const before = content.slice(0, closingIndex);
+  const separator = /\n[ \t]*$/.test(before) ? '' : newline;
+  return `${before.replace(/[ \t]*$/, '')}${separator}    <include file="${escapeAttribute(file)}" relativeToChangelogFile="true"/>${newline}${content.slice(closingIndex)}`;
+};
+
+const INCLUDE_ELEMENT = /<include\b[^>]*?\bfile=(["'])(.*?)\1[^>]*?(?:\/>|>\s*<\/include>)/g;
+
+// Blank out XML comments without moving anything, so offsets still point into the original
+const maskXmlComments = (content) => content.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\r\n]/g, ' '));
+
+/**
+ * Put a changelog's <include> elements in the order of `files` (their file attributes). Each
+ * element takes the slot of the one it replaces, so comments and other elements stay put;
+ * commented-out includes are not elements and are left alone.
+ * Returns null when `files` aren't exactly the changelog's includes.
+ */
+export const reorderIncludes = (content, files) => {
+  const includes = [...maskXmlComments(content).matchAll(INCLUDE_ELEMENT)]
+    .map(match => ({ file: match[2], start: match.index, end: match.index + match[0].length }));
+  const byFile = new Map(includes.map(include => [include.file, content.slice(include.start, include.end)]));
+  if (byFile.size !== includes.length || files.length !== includes.length || !files.every(file => byFile.has(file))) {
+    return null;
+  }
+
+  let reordered = '';
+  let offset = 0;
+  includes.forEach((include, slot) => {
+    reordered += content.slice(offset, include.start) + byFile.get(files[slot]);
+    offset = include.end;
+  });
+  return reordered + content.slice(offset);
+};
+
 export const createCategoryMasterXML = (category, version, newFiles, existingIncludes = []) => {
   const allIncludes = [...new Set([
     ...existingIncludes,
@@ -6,12 +6,14 @@ import { Checker } from './components/Checker';
 import { Generator } from './components/Generator';
 import { ProjectSetup } from './components/ProjectSetup';
 import { Installer } from './components/Installer';
+import { ChangelogGraph } from './components/ChangelogGraph';
 
-type Step = 'directory' | 'mode' | 'check' | 'build' | 'install';
+type Step = 'directory' | 'mode' | 'check' | 'build' | 'install' | 'graph';
 
 function App() {
   const [step, setStep] = React.useState<Step>('directory');
   const [workingDirectory, setWorkingDirectory] = React.useState('');
+  const [activeEnvironment, setActiveEnvironment] = React.useState<string | null>(null);
 
   const handleDirectorySelect = (directory: string) => {
     setWorkingDirectory(directory);
@@ -29,6 +31,9 @@ function App() {
       case 'install':
         setStep('install');
         break;
+      case 'graph':
+        setStep('graph');
+        break;
       default:
         console.warn('Unknown mode:', mode);
     }
@@ -49,7 +54,9 @@ function App() {
       case 'build':
         return <Generator workingDirectory={workingDirectory} />;
       case 'install':
-        return <Installer workingDirectory={workingDirectory} />;
+        return <Installer workingDirectory={workingDirectory} onRunStateChange={setActiveEnvironment} />;
+      case 'graph':
+        return <ChangelogGraph workingDirectory={workingDirectory} />;
       default:
         return null;
     }
@@ -57,7 +64,7 @@ function App() {
 
   return (
     <div className="min-h-screen bg-gray-50">
-      {step !== 'directory' && <Header onHomeClick={handleHomeClick} />}
+      {step !== 'directory' && <Header onHomeClick={handleHomeClick} activeEnvironment={activeEnvironment} />}
       <main className="py-6">
         {renderContent()}
       </main>
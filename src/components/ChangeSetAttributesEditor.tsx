@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { ChangeSetAttributes } from '../types';
+
+interface ChangeSetAttributesEditorProps {
+  name: string;
+  attributes?: ChangeSetAttributes;
+  // The category's defaults, used until the object's attributes are edited
+  defaults: ChangeSetAttributes;
+  onSave: (attributes: ChangeSetAttributes | undefined) => void;
+  onCancel: () => void;
+}
+
+// Liquibase's own defaults, so every checkbox starts in the state the XML will have
+const LIQUIBASE_DEFAULTS: ChangeSetAttributes = {
+  runOnChange: false,
+  runAlways: false,
+  failOnError: true,
+  splitStatements: true,
+  stripComments: false
+};
+
+const TEXT_FIELDS: { key: 'context' | 'labels' | 'dbms' | 'endDelimiter'; label: string; placeholder: string }[] = [
+  { key: 'context', label: 'Context', placeholder: 'e.g. dev, test' },
+  { key: 'labels', label: 'Labels', placeholder: 'e.g. release-49' },
+  { key: 'dbms', label: 'DBMS', placeholder: 'e.g. oracle' },
+  { key: 'endDelimiter', label: 'End delimiter', placeholder: 'e.g. /' }
+];
+
+const FLAG_FIELDS: { key: 'runOnChange' | 'runAlways' | 'failOnError' | 'splitStatements' | 'stripComments'; label: string }[] = [
+  { key: 'runOnChange', label: 'Run on change' },
+  { key: 'runAlways', label: 'Run always' },
+  { key: 'failOnError', label: 'Fail on error' },
+  { key: 'splitStatements', label: 'Split statements' },
+  { key: 'stripComments', label: 'Strip comments' }
+];
+
+export const ChangeSetAttributesEditor: React.FC<ChangeSetAttributesEditorProps> = ({
+  name,
+  attributes,
+  defaults,
+  onSave,
+  onCancel
+}) => {
+  const [values, setValues] = useState<ChangeSetAttributes>({ ...LIQUIBASE_DEFAULTS, ...defaults, ...attributes });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">Changeset attributes: {name}</h3>
+          <button onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-700 rounded-md">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          {TEXT_FIELDS.map(field => (
+            <label key={field.key} className="text-sm text-gray-700">
+              {field.label}
+              <input
+                type="text"
+                value={values[field.key] || ''}
+                onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+                placeholder={field.placeholder}
+                className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm font-mono
+                         focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 mb-6">
+          {FLAG_FIELDS.map(field => (
+            <label key={field.key} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={Boolean(values[field.key])}
+                onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.checked }))}
+              />
+              {field.label}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex justify-between">
+          <button
+            onClick={() => onSave(undefined)}
+            className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800"
+            title="Forget the edits and use the category's defaults"
+          >
+            Use category defaults
+          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave(values)}
+              className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
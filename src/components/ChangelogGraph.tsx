@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  FolderTree,
+  RefreshCw,
+  ChevronRight,
+  FileCode2,
+  FileText,
+  Folder,
+  AlertTriangle,
+  Copy,
+  Loader2
+} from 'lucide-react';
+import { ChangelogNode, Environment } from '../types';
+
+interface ChangelogGraphProps {
+  workingDirectory: string;
+}
+
+interface GraphSummary {
+  changelogs: number;
+  files: number;
+  changeSets: number;
+  broken: number;
+}
+
+const isBroken = (node: ChangelogNode) =>
+  !['ok', 'duplicate'].includes(node.status)
+  || node.changeSets.some(changeSet => changeSet.sqlFiles.some(sqlFile => !sqlFile.exists));
+
+// Open the first two levels, plus every branch that leads to a problem
+const initialExpanded = (root: ChangelogNode) => {
+  const expanded = new Set<string>();
+
+  const visit = (node: ChangelogNode, key: string, depth: number): boolean => {
+    const brokenBelow = node.children
+      .map((child, index) => visit(child, `${key}.${index}`, depth + 1))
+      .some(Boolean);
+    if (depth < 2 || brokenBelow) {
+      expanded.add(key);
+    }
+    return brokenBelow || isBroken(node);
+  };
+
+  visit(root, '0', 0);
+  return expanded;
+};
+
+const NODE_ICONS: Record<ChangelogNode['kind'], React.ReactNode> = {
+  changelog: <FileCode2 size={16} className="text-blue-600" />,
+  file: <FileText size={16} className="text-gray-500" />,
+  directory: <Folder size={16} className="text-gray-500" />
+};
+
+export const ChangelogGraph: React.FC<ChangelogGraphProps> = ({ workingDirectory }) => {
+  const [environments, setEnvironments] = useState<Environment[]>([]);
+  const [selectedEnvironment, setSelectedEnvironment] = useState('');
+  const [rootChangelog, setRootChangelog] = useState('');
+  const [tree, setTree] = useState<ChangelogNode | null>(null);
+  const [summary, setSummary] = useState<GraphSummary | null>(null);
+  const [expanded, setExpanded] = useState<Set<string>>(new Set());
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ workingDirectory });
+    fetch(`http://localhost:3000/api/environments?${params}`)
+      .then(response => response.json())
+      .then(data => setEnvironments(data.environments || []))
+      .catch(error => console.error('Failed to load environments:', error));
+  }, [workingDirectory]);
+
+  const loadGraph = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('http://localhost:3000/api/changelog-graph', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workingDirectory, environment: selectedEnvironment || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      setRootChangelog(data.rootChangelog);
+      setTree(data.tree);
+      setSummary(data.summary);
+      setExpanded(initialExpanded(data.tree));
+      setError(null);
+    } catch (error) {
+      setError(`Failed to load changelog graph: ${error instanceof Error ? error.message : error}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [workingDirectory, selectedEnvironment]);
+
+  useEffect(() => {
+    loadGraph();
+  }, [loadGraph]);
+
+  const toggle = (key: string) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const renderNode = (node: ChangelogNode, key: string): React.ReactNode => {
+    const hasContent = node.children.length > 0 || node.changeSets.length > 0;
+    const isOpen = expanded.has(key);
+    const broken = !['ok', 'duplicate'].includes(node.status);
+
+    return (
+      <li key={key}>
+        <button
+          onClick={() => hasContent && toggle(key)}
+          className={`w-full flex items-center gap-2 px-2 py-1 rounded-md text-sm text-left
+                     ${broken ? 'bg-red-50 text-red-700' : 'hover:bg-gray-50'}
+                     ${node.status === 'duplicate' ? 'text-gray-400' : ''}`}
+          title={node.error || node.file}
+        >
+          <ChevronRight
+            size={14}
+            className={`shrink-0 transition-transform ${hasContent ? '' : 'invisible'} ${isOpen ? 'rotate-90' : ''}`}
+          />
+          {NODE_ICONS[node.kind]}
+          <span className="font-mono">{node.file}</span>
+          {node.via?.type === 'includeAll' && (
+            <span className="text-xs text-gray-500">via includeAll {node.via.value}</span>
+          )}
+          {broken && (
+            <span className="flex items-center gap-1 text-xs">
+              <AlertTriangle size={14} />
+              {node.status}: {node.error}
+            </span>
+          )}
+          {node.status === 'duplicate' && (
+            <span className="flex items-center gap-1 text-xs">
+              <Copy size={14} />
+              already included
+            </span>
+          )}
+        </button>
+
+        {isOpen && (
+          <ul className="ml-5 border-l border-gray-200 pl-2">
+            {node.changeSets.map(changeSet => (
+              <li key={`${changeSet.id}:${changeSet.author}`} className="px-2 py-1 text-sm">
+                <span className="text-gray-500">changeSet</span>{' '}
+                <span className="font-mono text-gray-800">{changeSet.id}</span>{' '}
+                <span className="text-gray-500">by</span>{' '}
+                <span className="text-gray-800">{changeSet.author}</span>
+                {changeSet.sqlFiles.map(sqlFile => (
+                  <div
+                    key={sqlFile.file}
+                    className={`ml-4 font-mono text-xs ${sqlFile.exists ? 'text-gray-500' : 'text-red-600'}`}
+                  >
+                    {sqlFile.file}{!sqlFile.exists && ' (missing)'}
+                  </div>
+                ))}
+              </li>
+            ))}
+            {node.children.map((child, index) => renderNode(child, `${key}.${index}`))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="container mx-auto px-4">
+      <div className="max-w-5xl mx-auto bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-medium text-gray-800 flex items-center gap-2">
+              <FolderTree size={20} />
+              Changelog Graph
+            </h2>
+            {rootChangelog && (
+              <p className="text-sm text-gray-500">
+                Root: <span className="font-mono">{rootChangelog}</span>
+              </p>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            {environments.length > 0 && (
+              <select
+                value={selectedEnvironment}
+                onChange={(e) => setSelectedEnvironment(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                title="Use the changelog file of an environment profile"
+              >
+                <option value="">liquibase.properties</option>
+                {environments.map(env => (
+                  <option key={env.name} value={env.name}>{env.name}</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={loadGraph}
+              disabled={isLoading}
+              className="p-1.5 text-gray-600 hover:text-blue-600 hover:bg-gray-100 rounded-md"
+              title="Reload graph"
+            >
+              {isLoading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCw size={16} />}
+            </button>
+          </div>
+        </div>
+
+        {summary && (
+          <div className="px-4 py-2 border-b border-gray-200 flex gap-6 text-sm text-gray-600">
+            <span>{summary.changelogs} changelogs</span>
+            {summary.files > 0 && <span>{summary.files} other files</span>}
+            <span>{summary.changeSets} changeSets</span>
+            <span className={summary.broken ? 'text-red-600 font-medium' : 'text-green-600'}>
+              {summary.broken ? `${summary.broken} broken references` : 'No broken references'}
+            </span>
+          </div>
+        )}
+
+        <div className="p-4 max-h-[70vh] overflow-auto">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {!error && tree && <ul>{renderNode(tree, '0')}</ul>}
+        </div>
+      </div>
+    </div>
+  );
+};
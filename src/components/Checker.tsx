@@ -1,19 +1,39 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { LogBox } from './LogBox';
+import { FileChangesPreview } from './FileChangesPreview';
+import { GitPanel } from './GitPanel';
 import { StructureChecker } from '../utils/checker';
 import { getSuggestion } from '../utils/suggestions';
-import { LogEntry, CheckResult } from '../types';
+import { LogEntry, CheckResult, Environment, Action, FileChange } from '../types';
 import { PlayIcon, WrenchIcon, XMarkIcon, ArrowPathIcon, PlusCircleIcon } from '@heroicons/react/24/solid';
 
 interface CheckerProps {
   workingDirectory: string;
 }
 
+// Select value for skipping the drift check; colons are not allowed in environment names
+const DRIFT_OFF = ':off';
+
 export const Checker: React.FC<CheckerProps> = ({ workingDirectory }) => {
   const [logs, setLogs] = useState<LogEntry[]>([]);
   const [isChecking, setIsChecking] = useState(false);
   const [showActions, setShowActions] = useState(false);
   const [hasActions, setHasActions] = useState(false);
+  const [environments, setEnvironments] = useState<Environment[]>([]);
+  const [driftTarget, setDriftTarget] = useState(DRIFT_OFF);
+  const [pendingFix, setPendingFix] = useState<{ logId: number; action: Action; changes: FileChange[] } | null>(null);
+  const [fixError, setFixError] = useState<string | null>(null);
+  const [isApplyingFix, setIsApplyingFix] = useState(false);
+  const [appliedFixes, setAppliedFixes] = useState<string[]>([]);
+  const [gitRefreshKey, setGitRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ workingDirectory });
+    fetch(`http://localhost:3000/api/environments?${params}`)
+      .then(response => response.json())
+      .then(data => setEnvironments(data.environments || []))
+      .catch(error => console.error('Failed to load environments:', error));
+  }, [workingDirectory]);
 
   const handleCheck = async () => {
     if (!workingDirectory) return;
@@ -24,7 +44,7 @@ export const Checker: React.FC<CheckerProps> = ({ workingDirectory }) => {
     setShowActions(false);
     setHasActions(false);
 
-    const checker = new StructureChecker(workingDirectory);
+    const checker = new StructureChecker(workingDirectory, driftTarget === DRIFT_OFF ? null : driftTarget);
     const newLogs: LogEntry[] = [];
 
     await checker.check((result: CheckResult) => {
@@ -34,7 +54,8 @@ export const Checker: React.FC<CheckerProps> = ({ workingDirectory }) => {
                     
       const logMessage = `${prefix} [${result.type.toUpperCase()}] [${result.category}]: ${result.message}`;
       
-      const suggestion = result.type === 'error' ? (
+      // Warnings (pending changesets, missing rollbacks) have fixes too
+      const suggestion = result.type === 'error' || result.type === 'warning' ? (
         console.log('Error message:', result.message),
         getSuggestion(result.message)
       ) : null;
@@ -54,6 +75,7 @@ export const Checker: React.FC<CheckerProps> = ({ workingDirectory }) => {
     });
 
     setIsChecking(false);
+    setGitRefreshKey(key => key + 1);
   };
 
   const handleAction = async (logId: number, actionHandler: () => Promise<void>) => {
@@ -74,6 +96,36 @@ export const Checker: React.FC<CheckerProps> = ({ workingDirectory }) => {
       });
     } catch (error) {
       console.error('Action failed:', error);
+      throw error;
+    }
+  };
+
+  // File fixes are shown as diffs first and only run once confirmed
+  const handleActionClick = async (logId: number, action: Action) => {
+    setFixError(null);
+    try {
+      if (action.preview) {
+        setPendingFix({ logId, action, changes: await action.preview() });
+      } else {
+        await handleAction(logId, action.handler);
+      }
+    } catch (error) {
+      setFixError(`${action.label} failed: ${error instanceof Error ? error.message : error}`);
+    }
+  };
+
+  const handleConfirmFix = async () => {
+    if (!pendingFix) return;
+    setIsApplyingFix(true);
+    try {
+      await handleAction(pendingFix.logId, pendingFix.action.handler);
+      setAppliedFixes(prev => [...prev, pendingFix.action.label]);
+      setGitRefreshKey(key => key + 1);
+      setPendingFix(null);
+    } catch (error) {
+      setFixError(`${pendingFix.action.label} failed: ${error instanceof Error ? error.message : error}`);
+    } finally {
+      setIsApplyingFix(false);
     }
   };
 
@@ -85,6 +137,19 @@ export const Checker: React.FC<CheckerProps> = ({ workingDirectory }) => {
           <div className="flex justify-between items-center mb-6">
             <h2 className="text-xl font-semibold text-gray-800">Structure Check</h2>
             <div className="flex gap-4">
+              <select
+                value={driftTarget}
+                onChange={(e) => setDriftTarget(e.target.value)}
+                disabled={isChecking}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                title="Compare the changelogs with a database's DATABASECHANGELOG"
+              >
+                <option value={DRIFT_OFF}>No database drift check</option>
+                <option value="">Drift vs liquibase.properties</option>
+                {environments.map(env => (
+                  <option key={env.name} value={env.name}>Drift vs {env.name}</option>
+                ))}
+              </select>
               {hasActions && logs.some(log => log.suggestion) && (
                 <button
                   onClick={() => setShowActions(!showActions)}
@@ -136,6 +201,7 @@ export const Checker: React.FC<CheckerProps> = ({ workingDirectory }) => {
           <div className="w-1/3 ml-6">
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
               <h3 className="text-lg font-semibold text-gray-800 mb-4">Suggested Actions</h3>
+              {fixError && !pendingFix && <p className="mb-4 text-sm text-red-600">{fixError}</p>}
               <div className="space-y-4">
                 {logs
                   .filter(log => log.suggestion)
@@ -146,7 +212,7 @@ export const Checker: React.FC<CheckerProps> = ({ workingDirectory }) => {
                         {log.suggestion?.actions.map((action, actionIndex) => (
                           <button
                             key={actionIndex}
-                            onClick={() => handleAction(log.id, action.handler)}
+                            onClick={() => handleActionClick(log.id, action)}
                             className="px-3 py-1 bg-blue-100 text-blue-700 rounded
                                      hover:bg-blue-200 focus:outline-none focus:ring-2
                                      focus:ring-blue-500 focus:ring-offset-1
@@ -164,6 +230,52 @@ export const Checker: React.FC<CheckerProps> = ({ workingDirectory }) => {
           </div>
         )}
       </div>
+
+      <div className="mt-6">
+        <GitPanel
+          workingDirectory={workingDirectory}
+          refreshKey={gitRefreshKey}
+          suggestedMessage={appliedFixes.length > 0
+            ? ['Apply Checker fixes', '', ...appliedFixes.map(label => `- ${label}`)].join('\n')
+            : undefined}
+        />
+      </div>
+
+      {pendingFix && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl p-6 max-h-[85vh] flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-800">{pendingFix.action.label}</h3>
+              <button
+                onClick={() => setPendingFix(null)}
+                className="p-1 text-gray-500 hover:text-gray-700 rounded-md"
+              >
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="overflow-auto flex-1">
+              <FileChangesPreview changes={pendingFix.changes} />
+            </div>
+            {fixError && <p className="mt-2 text-sm text-red-600">{fixError}</p>}
+            <div className="mt-4 flex justify-end gap-2">
+              <button
+                onClick={() => setPendingFix(null)}
+                className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmFix}
+                disabled={isApplyingFix}
+                className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700
+                         disabled:bg-blue-300 disabled:cursor-not-allowed"
+              >
+                {isApplyingFix ? 'Applying...' : 'Apply'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { Save, Trash2, X, Plus } from 'lucide-react';
+import { Environment } from '../types';
+
+interface EnvironmentManagerProps {
+  workingDirectory: string;
+  environments: Environment[];
+  onChange: (environments: Environment[]) => void;
+  onClose: () => void;
+}
+
+const EMPTY_ENVIRONMENT: Environment = {
+  name: '',
+  url: '',
+  username: '',
+  passwordEnv: '',
+  driver: '',
+  classpath: '',
+  changeLogFile: '',
+  contexts: '',
+  labels: ''
+};
+
+const FIELDS: Array<{ key: Exclude<keyof Environment, 'protected' | 'maxRollbackCount' | 'executor' | 'staleLockMinutes'>; label: string; placeholder: string }> = [
+  { key: 'name', label: 'Name', placeholder: 'e.g., RECETTE' },
+  { key: 'url', label: 'JDBC URL', placeholder: 'jdbc:oracle:thin:@host:1521/service' },
+  { key: 'username', label: 'Username', placeholder: 'Schema user' },
+  { key: 'passwordEnv', label: 'Password variable', placeholder: 'Server env var holding the password' },
+  { key: 'driver', label: 'Driver', placeholder: 'oracle.jdbc.OracleDriver' },
+  { key: 'classpath', label: 'Classpath', placeholder: 'lib/ojdbc8.jar' },
+  { key: 'changeLogFile', label: 'Changelog file', placeholder: 'changelog-SIO2-all.xml' },
+  { key: 'contexts', label: 'Contexts', placeholder: 'Comma separated' },
+  { key: 'labels', label: 'Labels', placeholder: 'Label expression' }
+];
+
+export const EnvironmentManager: React.FC<EnvironmentManagerProps> = ({
+  workingDirectory,
+  environments,
+  onChange,
+  onClose
+}) => {
+  const [draft, setDraft] = useState<Environment>(environments[0] || EMPTY_ENVIRONMENT);
+  const [error, setError] = useState<string | null>(null);
+
+  // Unprotecting or deleting a protected profile is refused until its name is typed
+  const request = async (url: string, body: object, confirmation?: string): Promise<boolean> => {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workingDirectory, ...body, confirmation })
+      });
+      const data = await response.json();
+      if (data.policy === 'confirmation-required' && confirmation === undefined) {
+        const typed = window.prompt(`${data.error}:`);
+        return typed === null ? false : request(url, body, typed);
+      }
+      if (!response.ok) throw new Error(data.error);
+      setError(null);
+      onChange(data.environments);
+      return true;
+    } catch (error) {
+      setError(error instanceof Error ? error.message : String(error));
+      return false;
+    }
+  };
+
+  const handleSave = async () => {
+    // Drop blank optional fields so they fall back to liquibase.properties
+    const environment = Object.fromEntries(
+      Object.entries(draft).filter(([, value]) => value !== undefined && value !== false && String(value).trim())
+    ) as unknown as Environment;
+    await request('http://localhost:3000/api/environments', { environment });
+  };
+
+  const handleDelete = async () => {
+    if (await request('http://localhost:3000/api/environments/delete', { name: draft.name })) {
+      setDraft(EMPTY_ENVIRONMENT);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">Environments</h3>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-700 rounded-md">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex gap-6">
+          <ul className="w-48 space-y-1">
+            {environments.map(env => (
+              <li key={env.name}>
+                <button
+                  onClick={() => setDraft({ ...EMPTY_ENVIRONMENT, ...env })}
+                  className={`w-full text-left px-3 py-2 rounded-md text-sm
+                             ${draft.name === env.name ? 'bg-blue-50 text-blue-700 font-medium' : 'hover:bg-gray-50'}`}
+                >
+                  {env.name}
+                </button>
+              </li>
+            ))}
+            <li>
+              <button
+                onClick={() => setDraft(EMPTY_ENVIRONMENT)}
+                className="w-full text-left px-3 py-2 rounded-md text-sm text-green-700 hover:bg-green-50
+                         flex items-center gap-2"
+              >
+                <Plus size={16} />
+                New environment
+              </button>
+            </li>
+          </ul>
+
+          <div className="flex-1 grid grid-cols-2 gap-3">
+            {FIELDS.map(field => (
+              <label key={field.key} className="block text-sm">
+                <span className="text-gray-700">{field.label}</span>
+                <input
+                  type="text"
+                  value={String(draft[field.key] ?? '')}
+                  onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  placeholder={field.placeholder}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md
+                           focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="mt-4 flex items-center gap-6 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            Run Liquibase
+            <select
+              value={draft.executor ?? ''}
+              onChange={(e) => setDraft(prev => ({
+                ...prev,
+                executor: (e.target.value || undefined) as Environment['executor']
+              }))}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              <option value="">Server default</option>
+              <option value="local">Locally</option>
+              <option value="remote">In liquibase-service</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={Boolean(draft.protected)}
+              onChange={(e) => setDraft(prev => ({ ...prev, protected: e.target.checked }))}
+            />
+            Protected (confirmation and SQL preview required for update and rollback)
+          </label>
+          {draft.protected && (
+            <label className="flex items-center gap-2 text-gray-700">
+              Max rollback count
+              <input
+                type="number"
+                min={1}
+                value={draft.maxRollbackCount ?? ''}
+                onChange={(e) => setDraft(prev => ({
+                  ...prev,
+                  maxRollbackCount: e.target.value ? parseInt(e.target.value) : undefined
+                }))}
+                placeholder="5"
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+              />
+            </label>
+          )}
+        </div>
+
+        <div className="mt-4 flex items-center gap-6 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            Lock stale after
+            <input
+              type="number"
+              min={1}
+              value={draft.staleLockMinutes ?? ''}
+              onChange={(e) => setDraft(prev => ({
+                ...prev,
+                staleLockMinutes: e.target.value ? parseInt(e.target.value) : undefined
+              }))}
+              placeholder="5"
+              className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+            />
+            min
+          </label>
+          <label className="flex items-center gap-2 text-gray-700">
+            Lock time zone
+            <input
+              type="text"
+              value={draft.lockTimeZone ?? ''}
+              onChange={(e) => setDraft(prev => ({ ...prev, lockTimeZone: e.target.value }))}
+              placeholder="Where Liquibase runs, e.g. Europe/Paris"
+              className="w-72 px-2 py-1 border border-gray-300 rounded-md"
+            />
+          </label>
+        </div>
+
+        <p className="mt-4 text-xs text-gray-500">
+          Empty fields fall back to the project's liquibase.properties. Passwords are read on the server
+          from the named environment variable and are never stored in the profile.
+        </p>
+        {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+        <div className="mt-4 flex justify-end gap-2">
+          {environments.some(env => env.name === draft.name) && (
+            <button
+              onClick={handleDelete}
+              className="px-3 py-2 bg-red-100 text-red-700 rounded-md hover:bg-red-200 flex items-center gap-2"
+            >
+              <Trash2 size={16} />
+              Delete
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={!draft.name.trim() || !draft.url.trim()}
+            className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700
+                     disabled:bg-blue-300 disabled:cursor-not-allowed flex items-center gap-2"
+          >
+            <Save size={16} />
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,145 @@
+import React from 'react';
+import { FilePlus2, FilePen, FileMinus2, FolderPlus } from 'lucide-react';
+import { FileChange } from '../types';
+
+interface FileChangesPreviewProps {
+  changes: FileChange[];
+  // 'split' shows the file before and after the change next to each other
+  view?: 'unified' | 'split';
+}
+
+interface DiffCell {
+  number: number;
+  text: string;
+  changed: boolean;
+}
+
+type DiffRow = { hunk: string } | { left: DiffCell | null; right: DiffCell | null };
+
+const CHANGE_ICONS: Record<FileChange['type'], React.ReactNode> = {
+  directory: <FolderPlus size={16} className="text-green-600" />,
+  create: <FilePlus2 size={16} className="text-green-600" />,
+  modify: <FilePen size={16} className="text-amber-600" />,
+  delete: <FileMinus2 size={16} className="text-red-600" />
+};
+
+const CHANGE_LABELS: Record<FileChange['type'], string> = {
+  directory: 'new directory',
+  create: 'new file',
+  modify: 'modified',
+  delete: 'deleted'
+};
+
+const lineClass = (line: string) => {
+  if (line.startsWith('+++') || line.startsWith('---')) return 'text-gray-500';
+  if (line.startsWith('+')) return 'bg-green-50 text-green-800';
+  if (line.startsWith('-')) return 'bg-red-50 text-red-800';
+  if (line.startsWith('@@')) return 'text-blue-600';
+  return 'text-gray-700';
+};
+
+const HUNK_PATTERN = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+// Lay a unified diff out as rows of old and new lines; removed and added runs are paired up
+const toSplitRows = (diff: string): DiffRow[] => {
+  const rows: DiffRow[] = [];
+  let removed: DiffCell[] = [];
+  let added: DiffCell[] = [];
+  let oldLine = 0;
+  let newLine = 0;
+  let inHunk = false;
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of diff.split('\n')) {
+    const hunk = HUNK_PATTERN.exec(line);
+    if (hunk) {
+      flush();
+      oldLine = Number(hunk[1]);
+      newLine = Number(hunk[2]);
+      inHunk = true;
+      rows.push({ hunk: line });
+    } else if (!inHunk) {
+      continue; // patch header
+    } else if (line.startsWith('-')) {
+      removed.push({ number: oldLine++, text: line.slice(1), changed: true });
+    } else if (line.startsWith('+')) {
+      added.push({ number: newLine++, text: line.slice(1), changed: true });
+    } else if (line.startsWith(' ')) {
+      flush();
+      rows.push({
+        left: { number: oldLine++, text: line.slice(1), changed: false },
+        right: { number: newLine++, text: line.slice(1), changed: false }
+      });
+    }
+  }
+  flush();
+  return rows;
+};
+
+const SplitCell: React.FC<{ cell: DiffCell | null; changedClass: string }> = ({ cell, changedClass }) => (
+  <>
+    <td className="px-2 text-right text-gray-400 select-none align-top w-10">{cell?.number}</td>
+    <td className={`px-2 whitespace-pre align-top w-1/2 ${cell ? (cell.changed ? changedClass : 'text-gray-700') : 'bg-gray-50'}`}>
+      {cell?.text}
+    </td>
+  </>
+);
+
+const SplitDiff: React.FC<{ diff: string }> = ({ diff }) => (
+  <div className="overflow-auto max-h-96">
+    <table className="w-full text-xs font-mono border-collapse">
+      <tbody>
+        {toSplitRows(diff).map((row, index) => 'hunk' in row ? (
+          <tr key={index}>
+            <td colSpan={4} className="px-3 py-1 bg-blue-50 text-blue-600">{row.hunk}</td>
+          </tr>
+        ) : (
+          <tr key={index}>
+            <SplitCell cell={row.left} changedClass="bg-red-50 text-red-800" />
+            <SplitCell cell={row.right} changedClass="bg-green-50 text-green-800" />
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Diffs of the files a change would touch
+export const FileChangesPreview: React.FC<FileChangesPreviewProps> = ({ changes, view = 'unified' }) => {
+  if (changes.length === 0) {
+    return <p className="text-sm text-gray-500">Nothing to change, the files are already up to date.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {changes.map(change => (
+        <div key={change.file} className="border border-gray-200 rounded-md overflow-hidden">
+          <div className="px-3 py-2 bg-gray-50 border-b border-gray-200 flex items-center gap-2 text-sm">
+            {CHANGE_ICONS[change.type]}
+            <span className="font-mono text-gray-800">{change.file}</span>
+            <span className="text-xs text-gray-500">{CHANGE_LABELS[change.type]}</span>
+          </div>
+          {change.diff && view === 'split' && <SplitDiff diff={change.diff} />}
+          {change.diff && view === 'unified' && (
+            <pre className="text-xs font-mono overflow-auto max-h-64">
+              {change.diff
+                .split('\n')
+                // The "Index:" and "=====" header lines of the patch add nothing here
+                .filter(line => !line.startsWith('Index:') && !/^=+$/.test(line))
+                .map((line, index) => (
+                  <div key={index} className={`px-3 ${lineClass(line)}`}>{line || ' '}</div>
+                ))}
+            </pre>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
@@ -1,6 +1,30 @@
-import React, { useState, useEffect } from 'react';
-import { Download, Plus, PlusCircle, Trash2, FolderGit2, Upload, Code2, Terminal, ChevronDown } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, Plus, PlusCircle, Trash2, FolderGit2, Upload, Code2, Terminal, ChevronDown, RotateCcw, Tag, Undo2, X, SlidersHorizontal, ShieldCheck, Wand2, Settings2, FolderInput } from 'lucide-react';
 import { CategoryInput } from './CategoryInput';
+import { ReleaseManager } from './ReleaseManager';
+import { FileChangesPreview } from './FileChangesPreview';
+import { GitPanel } from './GitPanel';
+import { ChangeSetAttributesEditor } from './ChangeSetAttributesEditor';
+import { PreconditionEditor } from './PreconditionEditor';
+import { SqlFormatSettingsEditor } from './SqlFormatSettingsEditor';
+import { ImportWizard } from './ImportWizard';
+import {
+  ChangeSetAttributes,
+  FileChange,
+  JournalOperation,
+  Precondition,
+  PreconditionAction,
+  PreconditionTemplate,
+  ProjectLayout,
+  Release,
+  SqlFormatReport,
+  SqlFormatSettings
+} from '../types';
+import { getProjectLayout, saveProjectLayout, getCategoryChangelog } from '../utils/layout';
+import { getVersionFromTag, isValidVersion } from '../utils/version';
+import { getOperations, undoOperation } from '../utils/journal';
+import { getPreconditionTemplates } from '../utils/preconditions';
+import { formatProjectSql, formatSql, getSqlFormatSettings, saveSqlFormatSettings } from '../utils/sqlFormat';
 
 interface GeneratorProps {
   workingDirectory: string;
@@ -9,43 +33,48 @@ interface GeneratorProps {
 interface SQLFileWithContent {
   name: string;
   content: string;
+  // Content of sql/rollback/<name>.sql; undefined when the object has no rollback script
+  rollback?: string;
+  // Edited changeset attributes; undefined keeps the category's defaults
+  attributes?: ChangeSetAttributes;
+  precondition?: Precondition;
 }
 
 export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
-  const [categories, setCategories] = useState([
-    { name: 'tables', label: 'Tables' },
-    { name: 'views', label: 'Views' },
-    { name: 'materialized_views', label: 'Materialized Views' },
-    { name: 'procedures', label: 'Procedures' },
-    { name: 'sequences', label: 'Sequences' },
-    { name: 'data', label: 'Data' }
-  ]);
+  const [layout, setLayout] = useState<ProjectLayout | null>(null);
+  const [categories, setCategories] = useState<ProjectLayout['categories']>([]);
 
   const [author, setAuthor] = useState('');
   const [version, setVersion] = useState('');
   const [currentCategory, setCurrentCategory] = useState<string | null>(null);
-  const [newFileNames, setNewFileNames] = useState<Record<string, string>>({
-    tables: '',
-    views: '',
-    materialized_views: '',
-    procedures: '',
-    sequences: '',
-    data: ''
-  });
+  const [newFileNames, setNewFileNames] = useState<Record<string, string>>({});
   const [logs, setLogs] = useState<string[]>([]);
   const [isBuilding, setIsBuilding] = useState(false);
+  const [lastBuild, setLastBuild] = useState<JournalOperation | null>(null);
+  const [isUndoing, setIsUndoing] = useState(false);
+  // Files the build would write, shown for confirmation before anything is written
+  const [buildPreview, setBuildPreview] = useState<FileChange[] | null>(null);
+  const [gitRefreshKey, setGitRefreshKey] = useState(0);
+  const [editingAttributes, setEditingAttributes] = useState<{ category: string; file: SQLFileWithContent } | null>(null);
+  const [editingPrecondition, setEditingPrecondition] = useState<{ category: string; file: SQLFileWithContent } | null>(null);
+  const [preconditionTemplates, setPreconditionTemplates] = useState<{
+    templates: PreconditionTemplate[];
+    actions: PreconditionAction[];
+  } | null>(null);
+  const [commitMessage, setCommitMessage] = useState<string>();
+  const [sqlFormat, setSqlFormat] = useState<SqlFormatSettings | null>(null);
+  const [showSqlFormatSettings, setShowSqlFormatSettings] = useState(false);
+  // Files "Format all SQL" would rewrite, shown for confirmation like a build
+  const [formatPreview, setFormatPreview] = useState<{ report: SqlFormatReport; changes: FileChange[] } | null>(null);
+  const [isFormatting, setIsFormatting] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
 
   const [isAdvancedMode, setIsAdvancedMode] = useState(false);
   const [sqlContents, setSqlContents] = useState<Record<string, string>>({});
+  const [rollbackContents, setRollbackContents] = useState<Record<string, string>>({});
+  const [attachRollback, setAttachRollback] = useState<Record<string, boolean>>({});
   
-  const [categoryFiles, setCategoryFiles] = useState<Record<string, SQLFileWithContent[]>>({
-    tables: [],
-    views: [],
-    materialized_views: [],
-    procedures: [],
-    sequences: [],
-    data: []
-  });
+  const [categoryFiles, setCategoryFiles] = useState<Record<string, SQLFileWithContent[]>>({});
 
   const [expandedCategories, setExpandedCategories] = useState<string[]>([]);
 
@@ -53,6 +82,7 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
 
   const [sqlContent, setSqlContent] = useState('');
   const [showVersionInput, setShowVersionInput] = useState(false);
+  const [showReleaseManager, setShowReleaseManager] = useState(false);
   const [showCategoryInput, setShowCategoryInput] = useState(false);
 
   const toggleCategory = (categoryName: string) => {
@@ -64,37 +94,110 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
   };
 
   useEffect(() => {
-    const getVersion = async () => {
+    const loadLayout = async () => {
       try {
-        const response = await fetch('http://localhost:3000/api/get-version', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ workingDirectory })
-        });
-
-        if (!response.ok) {
-          setShowVersionInput(true);
-        } else {
-          const data = await response.json();
-          if (data.version) {
-            setVersion(data.version);
-          } else {
-            setShowVersionInput(true);
-          }
-        }
+        const projectLayout = await getProjectLayout(workingDirectory);
+        setLayout(projectLayout);
+        setCategories(projectLayout.categories);
+        setCategoryFiles(Object.fromEntries(projectLayout.categories.map(cat => [cat.name, []])));
+        setNewFileNames(Object.fromEntries(projectLayout.categories.map(cat => [cat.name, ''])));
+        setAuthor(prev => prev || projectLayout.defaultAuthor);
       } catch (error) {
+        setLogs(prev => [...prev, `[ERROR] Failed to load project layout: ${error instanceof Error ? error.message : error}`]);
+      }
+    };
+    loadLayout();
+  }, [workingDirectory]);
+
+  useEffect(() => {
+    const getVersion = async () => {
+      const currentVersion = await getVersionFromTag(workingDirectory);
+      if (currentVersion) {
+        setVersion(currentVersion);
+      } else {
         setShowVersionInput(true);
-        setLogs(prev => [...prev, `Error getting version: ${error.message}`]);
       }
     };
     getVersion();
+  }, [workingDirectory]);
+
+  useEffect(() => {
+    getPreconditionTemplates()
+      .then(setPreconditionTemplates)
+      .catch(error => console.error('Failed to load precondition templates:', error));
   }, []);
 
+  useEffect(() => {
+    getSqlFormatSettings(workingDirectory)
+      .then(setSqlFormat)
+      .catch(error => console.error('Failed to load SQL format settings:', error));
+  }, [workingDirectory]);
+
+  // Most recent build of this project that can still be undone
+  const loadLastBuild = useCallback(async () => {
+    try {
+      const builds = await getOperations(workingDirectory, 'build');
+      setLastBuild(builds.find(build => !build.undoneAt) || null);
+    } catch (error) {
+      console.error('Error loading build history:', error);
+      setLastBuild(null);
+    }
+  }, [workingDirectory]);
+
+  useEffect(() => {
+    loadLastBuild();
+  }, [loadLastBuild]);
+
+  const handleUndoBuild = async () => {
+    if (!lastBuild) return;
+
+    const created = lastBuild.files.filter(file => file.created).length;
+    const message = `Undo "${lastBuild.summary}" from ${new Date(lastBuild.createdAt).toLocaleString()}?\n\n`
+      + `${created} created file(s) will be removed and ${lastBuild.files.length - created} file(s) restored.`;
+    if (!window.confirm(message)) return;
+
+    setIsUndoing(true);
+    try {
+      const undone = await undoOperation(lastBuild.id);
+      setLogs(prev => [
+        ...prev,
+        `\n[INFO] Undid ${undone.summary}:`,
+        ...undone.files.map(file => `   > ${file.created ? 'Removed' : 'Restored'} ${file.file}`),
+        '[SUCCESS] Build undone'
+      ]);
+    } catch (error) {
+      setLogs(prev => [...prev, `\n[ERROR] Undo failed: ${error instanceof Error ? error.message : error}`]);
+    } finally {
+      setIsUndoing(false);
+      loadLastBuild();
+      setGitRefreshKey(key => key + 1);
+    }
+  };
+
+  const handleRelease = (release: Release, created: string[]) => {
+    setVersion(release.version);
+    setShowVersionInput(false);
+    setLogs(prev => [
+      ...prev,
+      `Created release ${release.tag} in ${release.changelog}`,
+      ...created.map(file => `   > ${file}`)
+    ]);
+  };
+
+  // Format with the project's settings; SQL the formatter can't parse is kept as written
+  const formatContent = async (content: string) => {
+    try {
+      return await formatSql(workingDirectory, content);
+    } catch (error) {
+      setLogs(prev => [...prev, `[ERROR] SQL not formatted: ${error instanceof Error ? error.message : error}`]);
+      return content;
+    }
+  };
+
   const handleFileUpload = async (category: string, file: File) => {
     try {
-      const content = await file.text();
+      const text = await file.text();
+      const content = sqlFormat?.formatOnUpload ? await formatContent(text) : text;
       const name = file.name.replace('.sql', '');
       
       setCategoryFiles(prev => ({
@@ -122,17 +225,36 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
     }));
   };
 
-  const handleAddFile = (category: string) => {
+  const handleFormatSqlContent = async (category: string) => {
+    const content = sqlContents[category];
+    if (!content?.trim()) return;
+
+    const formatted = await formatContent(content);
+    setSqlContents(prev => ({
+      ...prev,
+      [category]: formatted
+    }));
+  };
+
+  const handleAddFile = async (category: string) => {
     if (!newFileNames[category].trim()) return;
     
     const fileName = newFileNames[category].trim();
-    const content = isAdvancedMode ? sqlContents[category] || '' : '';
+    let content = isAdvancedMode ? sqlContents[category] || '' : '';
+    let rollback = attachRollback[category]
+      ? (isAdvancedMode ? rollbackContents[category] || '' : '')
+      : undefined;
+    if (sqlFormat?.formatOnSave) {
+      content = content.trim() ? await formatContent(content) : content;
+      rollback = rollback?.trim() ? await formatContent(rollback) : rollback;
+    }
     
     setCategoryFiles(prev => ({
       ...prev,
       [category]: [...prev[category], {
         name: fileName,
-        content: content
+        content: content,
+        rollback
       }]
     }));
     
@@ -144,6 +266,39 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
       ...prev,
       [category]: ''
     }));
+    setRollbackContents(prev => ({
+      ...prev,
+      [category]: ''
+    }));
+  };
+
+  const handleToggleFileRollback = (category: string, fileName: string) => {
+    setCategoryFiles(prev => ({
+      ...prev,
+      [category]: prev[category].map(file => file.name === fileName
+        ? { ...file, rollback: file.rollback === undefined ? '' : undefined }
+        : file)
+    }));
+  };
+
+  const handleSaveAttributes = (attributes: ChangeSetAttributes | undefined) => {
+    if (!editingAttributes) return;
+    const { category, file: editedFile } = editingAttributes;
+    setCategoryFiles(prev => ({
+      ...prev,
+      [category]: prev[category].map(file => file.name === editedFile.name ? { ...file, attributes } : file)
+    }));
+    setEditingAttributes(null);
+  };
+
+  const handleSavePrecondition = (precondition: Precondition | undefined) => {
+    if (!editingPrecondition) return;
+    const { category, file: editedFile } = editingPrecondition;
+    setCategoryFiles(prev => ({
+      ...prev,
+      [category]: prev[category].map(file => file.name === editedFile.name ? { ...file, precondition } : file)
+    }));
+    setEditingPrecondition(null);
   };
 
   const handleRemoveFile = (category: string, fileName: string) => {
@@ -153,6 +308,38 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
     }));
   };
 
+  // With dryRun the server only returns the diffs of the files it would write
+  const requestBuild = async (dryRun: boolean) => {
+    const response = await fetch('http://localhost:3000/api/build-structure', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        workingDirectory,
+        dryRun,
+        config: {
+          author,
+          version,
+          categories: categories.map(cat => ({
+            name: cat.name,
+            files: categoryFiles[cat.name].map(file => ({
+              name: file.name,
+              content: file.content,
+              rollback: file.rollback,
+              attributes: file.attributes,
+              precondition: file.precondition
+            }))
+          }))
+        }
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Build failed');
+    return data;
+  };
+
   const handleBuild = async () => {
     const hasUnaddedContent = Object.entries(newFileNames).some(([category, fileName]) => fileName.trim() !== '');
     
@@ -175,6 +362,20 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
 
     setWarning(null);
     setIsBuilding(true);
+
+    try {
+      const { changes } = await requestBuild(true);
+      setBuildPreview(changes);
+    } catch (error) {
+      setLogs(prev => [...prev, `\n[ERROR] Build preview failed: ${error instanceof Error ? error.message : error}`]);
+    } finally {
+      setIsBuilding(false);
+    }
+  };
+
+  const handleConfirmBuild = async () => {
+    setBuildPreview(null);
+    setIsBuilding(true);
     setLogs(prev => [...prev, '[INFO] Starting build process...']);
 
     try {
@@ -187,44 +388,34 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
             setLogs(prev => [
               ...prev, 
               `   > Creating ${file.name}.xml`,
-              `   > Creating ${file.name}.sql ${file.content ? 'with content' : '(empty)'}`
+              `   > Creating ${file.name}.sql ${file.content ? 'with content' : '(empty)'}`,
+              ...(file.rollback !== undefined
+                ? [`   > Creating rollback/${file.name}.sql ${file.rollback ? 'with content' : '(empty)'}`]
+                : [])
             ]);
           });
         }
       });
 
-      const response = await fetch('http://localhost:3000/api/build-structure', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          workingDirectory,
-          config: {
-            author,
-            version,
-            categories: categories.map(cat => ({
-              name: cat.name,
-              files: categoryFiles[cat.name].map(file => ({
-                name: file.name,
-                content: file.content
-              }))
-            }))
-          }
-        })
-      });
+      await requestBuild(false);
+
+      // Describe the build for the Git panel: version, categories and the objects added
+      const builtCategories = categories.filter(cat => categoryFiles[cat.name].length > 0);
+      setCommitMessage([
+        `Build version ${version}: ${builtCategories.map(cat => cat.label).join(', ')}`,
+        '',
+        ...builtCategories.map(cat => `- ${cat.label}: ${categoryFiles[cat.name].map(file => file.name).join(', ')}`)
+      ].join('\n'));
 
-      if (!response.ok) throw new Error('Build failed');
-      
       // Log master changelog creation
-      setLogs(prev => [
-        ...prev,
-        '\n[INFO] Creating master changelogs:',
-        `   > changelog-SIO2-all.xml`,
-        ...categories
-          .filter(cat => categoryFiles[cat.name].length > 0)
-          .map(cat => `   > changelog-${version}-${cat.name.toUpperCase()}.xml`)
-      ]);
+      if (layout) {
+        setLogs(prev => [
+          ...prev,
+          '\n[INFO] Creating master changelogs:',
+          ...(builtCategories.some(cat => !cat.standalone) ? [`   > ${layout.rootChangelog}`] : []),
+          ...builtCategories.map(cat => `   > ${getCategoryChangelog(layout, cat.name, version)}`)
+        ]);
+      }
 
       // Clear the built files from the lists
       setCategoryFiles(prev => {
@@ -250,15 +441,92 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
       setLogs(prev => [...prev, `\n[ERROR] Build error: ${error.message}`]);
     } finally {
       setIsBuilding(false);
+      loadLastBuild();
+      setGitRefreshKey(key => key + 1);
+    }
+  };
+
+  const handleFormatProject = async () => {
+    setIsFormatting(true);
+    try {
+      const { report, changes = [] } = await formatProjectSql(workingDirectory, true);
+      if (changes.length === 0 && report.failed.length === 0) {
+        setLogs(prev => [...prev, `\n[INFO] All ${report.unchanged} SQL file(s) are already formatted`]);
+      } else {
+        setFormatPreview({ report, changes });
+      }
+    } catch (error) {
+      setLogs(prev => [...prev, `\n[ERROR] Format preview failed: ${error instanceof Error ? error.message : error}`]);
+    } finally {
+      setIsFormatting(false);
+    }
+  };
+
+  const handleConfirmFormat = async () => {
+    setFormatPreview(null);
+    setIsFormatting(true);
+    try {
+      const { report } = await formatProjectSql(workingDirectory, false);
+      setLogs(prev => [
+        ...prev,
+        `\n[INFO] Formatted ${report.changed.length} SQL file(s), ${report.unchanged} already formatted:`,
+        ...report.changed.map(file => `   > ${file}`),
+        ...report.failed.map(({ file, error }) => `[ERROR] ${file} not formatted: ${error}`),
+        '[SUCCESS] SQL formatting done'
+      ]);
+      if (report.changed.length > 0) {
+        setCommitMessage(`Format SQL files\n\n${report.changed.map(file => `- ${file}`).join('\n')}`);
+      }
+    } catch (error) {
+      setLogs(prev => [...prev, `\n[ERROR] Formatting failed: ${error instanceof Error ? error.message : error}`]);
+    } finally {
+      setIsFormatting(false);
+      setGitRefreshKey(key => key + 1);
+    }
+  };
+
+  const handleImported = ({ order, warnings }: { order: string[]; warnings: string[] }) => {
+    setShowImportWizard(false);
+    setLogs(prev => [
+      ...prev,
+      `\n[INFO] Imported ${order.length} SQL file(s) into version ${version}, in changelog order:`,
+      ...order.map(entry => `   > ${entry}`),
+      ...warnings.map(warning => `[WARNING] ${warning}`),
+      '[SUCCESS] Import completed'
+    ]);
+    setCommitMessage(`Import ${order.length} SQL file(s) into version ${version}\n\n${order.map(entry => `- ${entry}`).join('\n')}`);
+    loadLastBuild();
+    setGitRefreshKey(key => key + 1);
+  };
+
+  const handleSaveSqlFormat = async (settings: SqlFormatSettings) => {
+    try {
+      setSqlFormat(await saveSqlFormatSettings(workingDirectory, settings));
+      setShowSqlFormatSettings(false);
+    } catch (error) {
+      setLogs(prev => [...prev, `[ERROR] Failed to save SQL format settings: ${error instanceof Error ? error.message : error}`]);
     }
   };
 
-  const handleAddCategory = (newCategoryName: string) => {
+  const handleAddCategory = async (newCategoryName: string) => {
     const formattedName = newCategoryName.toLowerCase().replace(/\s+/g, '_');
     const newCategory = {
       name: formattedName,
       label: newCategoryName
     };
+
+    // Persist the category so the Checker and later builds know about it
+    if (layout) {
+      try {
+        setLayout(await saveProjectLayout(workingDirectory, {
+          ...layout,
+          categories: [...layout.categories, newCategory]
+        }));
+      } catch (error) {
+        setWarning(`Failed to save category: ${error instanceof Error ? error.message : error}`);
+        return;
+      }
+    }
     
     setCategories(prev => [...prev, newCategory]);
     setCategoryFiles(prev => ({
@@ -306,10 +574,16 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
                   />
                 </div>
               ) : version && (
-                <div className="text-sm bg-gray-100 text-gray-700 px-3 py-1.5 
-                              rounded-md border border-gray-200 font-medium">
+                <button
+                  onClick={() => setShowReleaseManager(true)}
+                  className="text-sm bg-gray-100 text-gray-700 px-3 py-1.5 
+                              rounded-md border border-gray-200 font-medium
+                              hover:bg-gray-200 flex items-center gap-2"
+                  title="Release history and new releases"
+                >
+                  <Tag size={14} />
                   Version: {version}
-                </div>
+                </button>
               )}
             </div>
           </div>
@@ -319,23 +593,39 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
                 ⚠️ {warning}
               </div>
             )}
-            <button
-              onClick={handleBuild}
-              disabled={isBuilding || 
-                       !author.trim() || 
-                       !version.trim() || isNaN(Number(version)) || 
-                       Object.values(categoryFiles).every(files => files.length === 0) ||
-                       Object.values(newFileNames).some(name => name.trim() !== '')}
-              className="bg-blue-600 text-white px-6 py-2.5 rounded-lg 
-                       hover:bg-blue-700
-                       transition-all duration-200 
-                       flex items-center gap-3
-                       disabled:bg-gray-300 disabled:cursor-not-allowed
-                       font-semibold"
-            >
-              <FolderGit2 size={22} className={isBuilding ? 'animate-pulse' : ''} />
-              {isBuilding ? 'Building...' : 'Build Structure'}
-            </button>
+            <div className="flex items-center gap-2">
+              {lastBuild && (
+                <button
+                  onClick={handleUndoBuild}
+                  disabled={isBuilding || isUndoing}
+                  className="px-4 py-2.5 rounded-lg border border-gray-300 text-gray-700
+                           hover:bg-gray-100 transition-all duration-200
+                           flex items-center gap-2
+                           disabled:text-gray-400 disabled:cursor-not-allowed"
+                  title={`${lastBuild.summary}, ${new Date(lastBuild.createdAt).toLocaleString()}`}
+                >
+                  <Undo2 size={18} />
+                  {isUndoing ? 'Undoing...' : 'Undo last build'}
+                </button>
+              )}
+              <button
+                onClick={handleBuild}
+                disabled={isBuilding || 
+                         !author.trim() || 
+                         !isValidVersion(version) || 
+                         Object.values(categoryFiles).every(files => files.length === 0) ||
+                         Object.values(newFileNames).some(name => name.trim() !== '')}
+                className="bg-blue-600 text-white px-6 py-2.5 rounded-lg 
+                         hover:bg-blue-700
+                         transition-all duration-200 
+                         flex items-center gap-3
+                         disabled:bg-gray-300 disabled:cursor-not-allowed
+                         font-semibold"
+              >
+                <FolderGit2 size={22} className={isBuilding ? 'animate-pulse' : ''} />
+                {isBuilding ? 'Building...' : 'Build Structure'}
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -372,16 +662,49 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
         <div className="flex-grow">
           <div className="flex justify-between items-center mb-4">
             <h3 className="text-lg font-semibold text-gray-800">Categories</h3>
-            <button
-              onClick={() => setShowCategoryInput(true)}
-              className="px-3 py-1 bg-green-100 text-green-700 rounded
-                       hover:bg-green-200 focus:outline-none focus:ring-2
-                       focus:ring-green-500 focus:ring-offset-1
-                       flex items-center gap-2"
-            >
-              <span>Add Category</span>
-              <PlusCircle size={20} className="h-5 w-5" />
-            </button>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setShowImportWizard(true)}
+                disabled={!author.trim() || !isValidVersion(version)}
+                className="px-3 py-1 bg-gray-100 text-gray-700 rounded
+                         hover:bg-gray-200 flex items-center gap-2
+                         disabled:text-gray-400 disabled:cursor-not-allowed"
+                title="Classify the scripts of a folder into categories and build them in one go"
+              >
+                <FolderInput size={18} />
+                <span>Import SQL folder</span>
+              </button>
+              <button
+                onClick={handleFormatProject}
+                disabled={isFormatting}
+                className="px-3 py-1 bg-gray-100 text-gray-700 rounded
+                         hover:bg-gray-200 flex items-center gap-2
+                         disabled:text-gray-400 disabled:cursor-not-allowed"
+                title="Format every SQL file of the project"
+              >
+                <Wand2 size={18} className={isFormatting ? 'animate-pulse' : ''} />
+                <span>Format all SQL</span>
+              </button>
+              {sqlFormat && (
+                <button
+                  onClick={() => setShowSqlFormatSettings(true)}
+                  className="p-1.5 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+                  title="SQL format settings"
+                >
+                  <Settings2 size={18} />
+                </button>
+              )}
+              <button
+                onClick={() => setShowCategoryInput(true)}
+                className="px-3 py-1 bg-green-100 text-green-700 rounded
+                         hover:bg-green-200 focus:outline-none focus:ring-2
+                         focus:ring-green-500 focus:ring-offset-1
+                         flex items-center gap-2"
+              >
+                <span>Add Category</span>
+                <PlusCircle size={20} className="h-5 w-5" />
+              </button>
+            </div>
           </div>
 
           {showCategoryInput && (
@@ -453,6 +776,19 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
                           <Upload size={20} />
                         </label>
                       )}
+                      <button
+                        onClick={() => setAttachRollback(prev => ({
+                          ...prev,
+                          [category.name]: !prev[category.name]
+                        }))}
+                        className={`p-2 rounded-md transition-colors duration-200
+                                  ${attachRollback[category.name]
+                                    ? 'bg-purple-100 text-purple-700'
+                                    : 'text-gray-400 hover:bg-gray-50'}`}
+                        title="Attach a rollback script (sql/rollback/)"
+                      >
+                        <RotateCcw size={20} />
+                      </button>
                       <button
                         onClick={() => handleAddFile(category.name)}
                         className="p-2 text-blue-600 hover:bg-blue-50 rounded-md
@@ -474,6 +810,33 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
                                    transition-all duration-200"
                           placeholder="Enter SQL content..."
                         />
+                        <button
+                          onClick={() => handleFormatSqlContent(category.name)}
+                          disabled={!sqlContents[category.name]?.trim()}
+                          className="absolute top-2 right-2 p-1 text-gray-400 hover:text-blue-600
+                                   hover:bg-blue-50 rounded-md disabled:opacity-40 disabled:hover:bg-transparent"
+                          title="Format SQL"
+                        >
+                          <Wand2 size={16} />
+                        </button>
+                      </div>
+                    )}
+
+                    {isAdvancedMode && attachRollback[category.name] && currentCategory === category.name && newFileNames[category.name].trim() !== '' && (
+                      <div className="relative">
+                        <RotateCcw size={16} className="absolute top-3 left-3 text-purple-400" />
+                        <textarea
+                          value={rollbackContents[category.name] || ''}
+                          onChange={(e) => setRollbackContents(prev => ({
+                            ...prev,
+                            [category.name]: e.target.value
+                          }))}
+                          className="w-full px-9 py-2 border border-purple-200 rounded-md 
+                                   font-mono text-sm min-h-[80px] resize-y
+                                   focus:ring-2 focus:ring-purple-500 focus:border-purple-500
+                                   transition-all duration-200"
+                          placeholder="Enter rollback SQL..."
+                        />
                       </div>
                     )}
 
@@ -488,13 +851,49 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
                               <Code2 size={16} className="text-blue-500" />
                             )}
                           </div>
-                          <button
-                            onClick={() => handleRemoveFile(category.name, file.name)}
-                            className="text-red-500 hover:text-red-600 p-1 rounded-md
-                                     hover:bg-red-50 transition-colors duration-200"
-                          >
-                            <Trash2 size={16} />
-                          </button>
+                          <div className="flex items-center gap-1">
+                            {isAdvancedMode && (
+                              <button
+                                onClick={() => setEditingAttributes({ category: category.name, file })}
+                                className={`p-1 rounded-md transition-colors duration-200
+                                          ${file.attributes
+                                            ? 'text-blue-600 hover:bg-blue-50'
+                                            : 'text-gray-300 hover:text-gray-500 hover:bg-gray-50'}`}
+                                title={file.attributes ? 'Changeset attributes edited' : 'Edit changeset attributes'}
+                              >
+                                <SlidersHorizontal size={16} />
+                              </button>
+                            )}
+                            {isAdvancedMode && preconditionTemplates && (
+                              <button
+                                onClick={() => setEditingPrecondition({ category: category.name, file })}
+                                className={`p-1 rounded-md transition-colors duration-200
+                                          ${file.precondition
+                                            ? 'text-green-600 hover:bg-green-50'
+                                            : 'text-gray-300 hover:text-gray-500 hover:bg-gray-50'}`}
+                                title={file.precondition ? 'Precondition set' : 'Add a precondition'}
+                              >
+                                <ShieldCheck size={16} />
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleToggleFileRollback(category.name, file.name)}
+                              className={`p-1 rounded-md transition-colors duration-200
+                                        ${file.rollback !== undefined
+                                          ? 'text-purple-600 hover:bg-purple-50'
+                                          : 'text-gray-300 hover:text-gray-500 hover:bg-gray-50'}`}
+                              title={file.rollback !== undefined ? 'Rollback script attached' : 'Attach a rollback script'}
+                            >
+                              <RotateCcw size={16} />
+                            </button>
+                            <button
+                              onClick={() => handleRemoveFile(category.name, file.name)}
+                              className="text-red-500 hover:text-red-600 p-1 rounded-md
+                                       hover:bg-red-50 transition-colors duration-200"
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          </div>
                         </li>
                       ))}
                     </ul>
@@ -506,8 +905,8 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
         </div>
 
         {/* Logs panel */}
-        <div className="w-1/4 min-w-[300px]">
-          <div className="bg-white rounded-lg border border-gray-200 p-4 sticky top-4">
+        <div className="w-1/4 min-w-[300px] space-y-4">
+          <div className="bg-white rounded-lg border border-gray-200 p-4">
             <h3 className="font-semibold mb-3 flex items-center gap-2 text-gray-800">
               <Terminal size={18} className="text-blue-600" />
               Build Logs
@@ -521,6 +920,7 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
                   <div key={index} 
                        className={`${
                          log.includes('[ERROR]') ? 'text-red-600' :
+                         log.includes('[WARNING]') ? 'text-amber-600' :
                          log.includes('[SUCCESS]') ? 'text-green-600' :
                          'text-gray-600'
                        }`}>
@@ -530,8 +930,146 @@ export const Generator: React.FC<GeneratorProps> = ({ workingDirectory }) => {
               )}
             </div>
           </div>
+          <GitPanel
+            workingDirectory={workingDirectory}
+            refreshKey={gitRefreshKey}
+            suggestedMessage={commitMessage}
+          />
         </div>
       </div>
+
+      {buildPreview && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-6xl p-6 max-h-[85vh] flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-800">
+                Build version {version}: {buildPreview.length} change(s)
+              </h3>
+              <button
+                onClick={() => setBuildPreview(null)}
+                className="p-1 text-gray-500 hover:text-gray-700 rounded-md"
+              >
+                <X size={20} />
+              </button>
+            </div>
+            <div className="overflow-auto flex-1">
+              <FileChangesPreview changes={buildPreview} view="split" />
+            </div>
+            <div className="mt-4 flex justify-end gap-2">
+              <button
+                onClick={() => setBuildPreview(null)}
+                className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmBuild}
+                disabled={buildPreview.length === 0}
+                className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700
+                         disabled:bg-blue-300 disabled:cursor-not-allowed"
+              >
+                Write files
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {formatPreview && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-6xl p-6 max-h-[85vh] flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-800">
+                Format SQL: {formatPreview.report.changed.length} file(s) to rewrite,{' '}
+                {formatPreview.report.unchanged} already formatted
+              </h3>
+              <button
+                onClick={() => setFormatPreview(null)}
+                className="p-1 text-gray-500 hover:text-gray-700 rounded-md"
+              >
+                <X size={20} />
+              </button>
+            </div>
+            {formatPreview.report.failed.length > 0 && (
+              <div className="mb-4 text-sm text-amber-700 bg-amber-50 px-3 py-2 rounded-md border border-amber-200">
+                <div className="font-medium mb-1">Left as they are, the formatter can't parse them:</div>
+                {formatPreview.report.failed.map(({ file, error }) => (
+                  <div key={file} className="font-mono">{file}: {error}</div>
+                ))}
+              </div>
+            )}
+            <div className="overflow-auto flex-1">
+              <FileChangesPreview changes={formatPreview.changes} view="split" />
+            </div>
+            <div className="mt-4 flex justify-end gap-2">
+              <button
+                onClick={() => setFormatPreview(null)}
+                className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmFormat}
+                disabled={formatPreview.changes.length === 0}
+                className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700
+                         disabled:bg-blue-300 disabled:cursor-not-allowed"
+              >
+                Write files
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showImportWizard && (
+        <ImportWizard
+          workingDirectory={workingDirectory}
+          categories={categories}
+          author={author}
+          version={version}
+          onImported={handleImported}
+          onClose={() => setShowImportWizard(false)}
+        />
+      )}
+
+      {showSqlFormatSettings && sqlFormat && (
+        <SqlFormatSettingsEditor
+          settings={sqlFormat}
+          onSave={handleSaveSqlFormat}
+          onCancel={() => setShowSqlFormatSettings(false)}
+        />
+      )}
+
+      {editingAttributes && (
+        <ChangeSetAttributesEditor
+          name={editingAttributes.file.name}
+          attributes={editingAttributes.file.attributes}
+          defaults={categories.find(cat => cat.name === editingAttributes.category)?.changeSetDefaults || {}}
+          onSave={handleSaveAttributes}
+          onCancel={() => setEditingAttributes(null)}
+        />
+      )}
+
+      {editingPrecondition && preconditionTemplates && (
+        <PreconditionEditor
+          name={editingPrecondition.file.name}
+          category={editingPrecondition.category}
+          precondition={editingPrecondition.file.precondition}
+          templates={preconditionTemplates.templates}
+          actions={preconditionTemplates.actions}
+          onSave={handleSavePrecondition}
+          onCancel={() => setEditingPrecondition(null)}
+        />
+      )}
+
+      {showReleaseManager && (
+        <ReleaseManager
+          workingDirectory={workingDirectory}
+          author={author}
+          onRelease={handleRelease}
+          onClose={() => setShowReleaseManager(false)}
+        />
+      )}
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { GitBranch, GitCommit, RefreshCw, FileDiff } from 'lucide-react';
+import { FileChangesPreview } from './FileChangesPreview';
+import { FileChange, GitFile, GitStatus } from '../types';
+import { getGitStatus, getGitDiff, commitChanges } from '../utils/git';
+
+interface GitPanelProps {
+  workingDirectory: string;
+  // Bump to reload the status after the files changed
+  refreshKey: number;
+  // Commit message describing the latest change made from the tool
+  suggestedMessage?: string;
+}
+
+const STATUS_CLASSES: Record<GitFile['status'], string> = {
+  modified: 'bg-amber-100 text-amber-700',
+  added: 'bg-green-100 text-green-700',
+  untracked: 'bg-green-100 text-green-700',
+  renamed: 'bg-blue-100 text-blue-700',
+  deleted: 'bg-red-100 text-red-700',
+  conflicted: 'bg-red-100 text-red-700'
+};
+
+export const GitPanel: React.FC<GitPanelProps> = ({ workingDirectory, refreshKey, suggestedMessage }) => {
+  const [status, setStatus] = useState<GitStatus | null>(null);
+  const [selected, setSelected] = useState<string[]>([]);
+  const [message, setMessage] = useState('');
+  const [diff, setDiff] = useState<FileChange[] | null>(null);
+  const [isCommitting, setIsCommitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [lastCommit, setLastCommit] = useState<string | null>(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const gitStatus = await getGitStatus(workingDirectory);
+      setStatus(gitStatus);
+      setSelected(gitStatus.files.map(entry => entry.file));
+      setDiff(null);
+      setError(null);
+    } catch (error) {
+      setError(`Failed to read git status: ${error instanceof Error ? error.message : error}`);
+    }
+  }, [workingDirectory]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus, refreshKey]);
+
+  useEffect(() => {
+    if (suggestedMessage) setMessage(suggestedMessage);
+  }, [suggestedMessage]);
+
+  const toggleFile = (file: string) => {
+    setSelected(prev => prev.includes(file) ? prev.filter(name => name !== file) : [...prev, file]);
+    setDiff(null);
+  };
+
+  const toggleDiff = async () => {
+    if (diff) {
+      setDiff(null);
+      return;
+    }
+    try {
+      setDiff(await getGitDiff(workingDirectory, selected));
+    } catch (error) {
+      setError(`Failed to load diff: ${error instanceof Error ? error.message : error}`);
+    }
+  };
+
+  const handleCommit = async () => {
+    setIsCommitting(true);
+    try {
+      const commit = await commitChanges(workingDirectory, message, selected);
+      setLastCommit(`${commit.hash.slice(0, 7)} ${commit.subject}`);
+      setMessage('');
+      await loadStatus();
+    } catch (error) {
+      setError(`Commit failed: ${error instanceof Error ? error.message : error}`);
+    } finally {
+      setIsCommitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-800 flex items-center gap-2">
+          <GitBranch size={20} />
+          Git
+          {status?.branch && <span className="text-sm font-normal text-gray-500">{status.branch}</span>}
+        </h3>
+        <button
+          onClick={loadStatus}
+          className="p-1.5 text-gray-600 hover:text-blue-600 hover:bg-gray-100 rounded-md"
+          title="Refresh status"
+        >
+          <RefreshCw size={16} />
+        </button>
+      </div>
+      <div className="p-4 space-y-3">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {lastCommit && <p className="text-sm text-green-700">Committed {lastCommit}</p>}
+        {status && !status.isRepo && (
+          <p className="text-sm text-gray-500">The working directory is not in a git repository.</p>
+        )}
+        {status?.isRepo && status.files.length === 0 && (
+          <p className="text-sm text-gray-500 text-center">No changelog or SQL changes</p>
+        )}
+        {status?.isRepo && status.files.length > 0 && (
+          <>
+            <ul className="space-y-1 max-h-48 overflow-y-auto">
+              {status.files.map(entry => (
+                <li key={entry.file} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(entry.file)}
+                    onChange={() => toggleFile(entry.file)}
+                  />
+                  <span className="font-mono text-gray-700 truncate flex-1" title={entry.from ? `${entry.from} → ${entry.file}` : entry.file}>
+                    {entry.file}
+                  </span>
+                  <span className={`px-1.5 py-0.5 rounded text-xs ${STATUS_CLASSES[entry.status]}`}>{entry.status}</span>
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={toggleDiff}
+              disabled={selected.length === 0}
+              className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1
+                       disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              <FileDiff size={16} />
+              {diff ? 'Hide diff' : 'Show diff'}
+            </button>
+            {diff && (
+              <div className="max-h-96 overflow-auto">
+                <FileChangesPreview changes={diff} />
+              </div>
+            )}
+            <textarea
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              rows={4}
+              placeholder="Commit message"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-mono
+                       focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              onClick={handleCommit}
+              disabled={isCommitting || selected.length === 0 || !message.trim()}
+              className="w-full px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700
+                       flex items-center justify-center gap-2
+                       disabled:bg-blue-300 disabled:cursor-not-allowed"
+            >
+              <GitCommit size={16} />
+              {isCommitting ? 'Committing...' : `Commit ${selected.length} file(s)`}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -1,11 +1,12 @@
 import React from 'react';
-import { Home } from 'lucide-react';
+import { Home, Database } from 'lucide-react';
 
 interface HeaderProps {
   onHomeClick: () => void;
+  activeEnvironment?: string | null;
 }
 
-export const Header: React.FC<HeaderProps> = ({ onHomeClick }) => {
+export const Header: React.FC<HeaderProps> = ({ onHomeClick, activeEnvironment }) => {
   return (
     <header className="bg-white shadow">
       <div className="container mx-auto px-4">
@@ -21,6 +22,13 @@ export const Header: React.FC<HeaderProps> = ({ onHomeClick }) => {
             </button>
             <h1 className="text-xl font-bold text-gray-800">SIO2 LIQUIBASE HUB</h1>
           </div>
+          {activeEnvironment && (
+            <div className="flex items-center gap-2 px-4 py-1.5 rounded-full bg-amber-100 text-amber-800
+                          border border-amber-300 font-semibold animate-pulse">
+              <Database size={18} />
+              Running against {activeEnvironment}
+            </div>
+          )}
         </div>
       </div>
     </header>
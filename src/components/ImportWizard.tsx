@@ -0,0 +1,262 @@
+import React, { useState } from 'react';
+import { X, FolderInput, AlertTriangle } from 'lucide-react';
+import { FileChange, ImportFile, JournalOperation, LayoutCategory } from '../types';
+import { importSqlFiles, scanImportSource } from '../utils/import';
+import { FileChangesPreview } from './FileChangesPreview';
+
+interface ImportWizardProps {
+  workingDirectory: string;
+  categories: LayoutCategory[];
+  author: string;
+  version: string;
+  onImported: (result: { operation?: JournalOperation | null; order: string[]; warnings: string[] }) => void;
+  onClose: () => void;
+}
+
+interface ReviewedFile extends ImportFile {
+  selected: boolean;
+}
+
+const messageOf = (error: unknown) => error instanceof Error ? error.message : String(error);
+
+export const ImportWizard: React.FC<ImportWizardProps> = ({
+  workingDirectory,
+  categories,
+  author,
+  version,
+  onImported,
+  onClose
+}) => {
+  const [sourceDirectory, setSourceDirectory] = useState('');
+  const [files, setFiles] = useState<ReviewedFile[] | null>(null);
+  const [preview, setPreview] = useState<{ changes: FileChange[]; order: string[]; warnings: string[] } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const selected = (files || []).filter(file => file.selected);
+  const canPreview = selected.length > 0 && selected.every(file => file.category && file.name.trim());
+
+  const updateFile = (path: string, changes: Partial<ReviewedFile>) => {
+    setFiles(prev => prev && prev.map(file => file.file === path ? { ...file, ...changes } : file));
+  };
+
+  const requestImport = (dryRun: boolean) => importSqlFiles(workingDirectory, {
+    sourceDirectory,
+    author,
+    version,
+    files: selected.map(file => ({ file: file.file, name: file.name.trim(), category: file.category as string })),
+    dryRun
+  });
+
+  const handleScan = async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      // Scripts that create nothing the layout knows are listed, but left out until assigned
+      const scanned = await scanImportSource(workingDirectory, sourceDirectory.trim());
+      setFiles(scanned.map(file => ({ ...file, selected: file.category !== null })));
+    } catch (scanError) {
+      setError(messageOf(scanError));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const { changes = [], order, warnings } = await requestImport(true);
+      setPreview({ changes, order, warnings });
+    } catch (previewError) {
+      setError(messageOf(previewError));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      onImported(await requestImport(false));
+    } catch (importError) {
+      setError(messageOf(importError));
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-6xl p-6 max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+            <FolderInput size={20} className="text-blue-600" />
+            Import SQL folder into version {version}
+          </h3>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-700 rounded-md">
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 text-sm text-red-700 bg-red-50 px-3 py-2 rounded-md border border-red-200">
+            {error}
+          </div>
+        )}
+
+        {!preview && (
+          <div className="flex gap-2 mb-4">
+            <input
+              type="text"
+              value={sourceDirectory}
+              onChange={(e) => setSourceDirectory(e.target.value)}
+              placeholder="Folder holding the SQL scripts, e.g. C:\legacy\ddl"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm font-mono
+                       focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              onClick={handleScan}
+              disabled={isBusy || !sourceDirectory.trim()}
+              className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200
+                       disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              {isBusy && !files ? 'Scanning...' : 'Scan'}
+            </button>
+          </div>
+        )}
+
+        {files && !preview && (
+          <div className="overflow-auto flex-1 border border-gray-200 rounded-md">
+            {files.length === 0 ? (
+              <div className="text-gray-500 text-center py-6">No .sql files in this folder</div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600 text-left sticky top-0">
+                  <tr>
+                    <th className="p-2 w-8"></th>
+                    <th className="p-2">Script</th>
+                    <th className="p-2">Creates</th>
+                    <th className="p-2">Category</th>
+                    <th className="p-2">Name</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {files.map(file => (
+                    <tr key={file.file} className="border-t border-gray-100">
+                      <td className="p-2">
+                        <input
+                          type="checkbox"
+                          checked={file.selected}
+                          onChange={(e) => updateFile(file.file, { selected: e.target.checked })}
+                        />
+                      </td>
+                      <td className="p-2 font-mono text-gray-700">
+                        {file.file}
+                        {file.dependsOn.length > 0 && (
+                          <div className="text-xs text-gray-400">uses {file.dependsOn.join(', ')}</div>
+                        )}
+                      </td>
+                      <td className="p-2 text-gray-600">
+                        {file.objectType ? `${file.objectType} ${file.objectName}` : <span className="text-gray-400">nothing recognised</span>}
+                      </td>
+                      <td className="p-2">
+                        <select
+                          value={file.category || ''}
+                          onChange={(e) => updateFile(file.file, { category: e.target.value || null, selected: true })}
+                          className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                        >
+                          <option value="">Choose...</option>
+                          {categories.map(category => (
+                            <option key={category.name} value={category.name}>{category.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="p-2">
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="text"
+                            value={file.name}
+                            onChange={(e) => updateFile(file.file, { name: e.target.value })}
+                            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm font-mono"
+                          />
+                          {file.exists && (
+                            <span title="An object of this name exists; its SQL will be replaced">
+                              <AlertTriangle size={16} className="text-amber-500" />
+                            </span>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+
+        {preview && (
+          <div className="overflow-auto flex-1 space-y-4">
+            {preview.warnings.length > 0 && (
+              <div className="text-sm text-amber-700 bg-amber-50 px-3 py-2 rounded-md border border-amber-200">
+                {preview.warnings.map(warning => <div key={warning}>{warning}</div>)}
+              </div>
+            )}
+            <div className="text-sm text-gray-700">
+              <div className="font-medium mb-1">Changelog order</div>
+              <ol className="list-decimal list-inside font-mono text-gray-600">
+                {preview.order.map(entry => <li key={entry}>{entry}</li>)}
+              </ol>
+            </div>
+            <FileChangesPreview changes={preview.changes} view="split" />
+          </div>
+        )}
+
+        <div className="mt-4 flex justify-between items-center">
+          <span className="text-sm text-gray-500">
+            {files && `${selected.length} of ${files.length} script(s) selected`}
+          </span>
+          <div className="flex gap-2">
+            {preview ? (
+              <>
+                <button
+                  onClick={() => setPreview(null)}
+                  disabled={isBusy}
+                  className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={isBusy}
+                  className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700
+                           disabled:bg-blue-300 disabled:cursor-not-allowed"
+                >
+                  {isBusy ? 'Importing...' : 'Write files'}
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  onClick={onClose}
+                  className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handlePreview}
+                  disabled={isBusy || !canPreview}
+                  className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700
+                           disabled:bg-blue-300 disabled:cursor-not-allowed"
+                  title={canPreview ? undefined : 'Every selected script needs a category and a name'}
+                >
+                  Preview
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
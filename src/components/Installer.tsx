@@ -1,5 +1,23 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { LogBox } from './LogBox';
+import { RunHistory } from './RunHistory';
+import { RunResult } from './RunResult';
+import { TargetLocks } from './TargetLocks';
+import { EnvironmentManager } from './EnvironmentManager';
+import {
+  Environment,
+  LiquibaseCommandDefinition,
+  LiquibaseCommandParam,
+  LiquibaseError,
+  LiquibaseLock,
+  LiquibaseQueuedRun,
+  LiquibaseResult,
+  Release
+} from '../types';
+import { readEventStream } from '../utils/eventStream';
+import { getReleases } from '../utils/version';
+import { getLiquibaseCommands } from '../utils/liquibaseCommands';
+import { SESSION_ID } from '../utils/liquibaseRun';
 import { 
   PlayCircle, 
   RotateCcw, 
@@ -9,119 +27,202 @@ import {
   Database,
   History,
   RefreshCw,
-  FileText
+  FileText,
+  StopCircle,
+  Settings2,
+  Wrench,
+  Lock,
+  Unlock,
+  CalendarClock,
+  BookOpen,
+  ScrollText,
+  FileQuestion,
+  Eraser,
+  ListOrdered
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 
 interface InstallerProps {
   workingDirectory: string;
+  onRunStateChange?: (activeEnvironment: string | null) => void;
 }
 
-type LiquibaseCommand = 'validate' | 'update' | 'status' | 'rollback' | 'tag' | 'rollbackCount' | 'updateCount' | 'updateSQL';
-type CommandCategory = 'status' | 'deployment' | 'rollback';
-
-interface CommandOption {
-  command: LiquibaseCommand;
-  category: CommandCategory;
-  label: string;
-  description: string;
-  icon: React.ReactNode;
-  requiresInput?: boolean;
-  inputType?: 'number' | 'text';
-  inputLabel?: string;
-  inputPlaceholder?: string;
-  buttonColor?: string;
+type CommandCategory = LiquibaseCommandDefinition['category'];
+
+// Values typed in a command's form, by parameter name
+type CommandValues = Record<string, string | boolean>;
+
+interface RunStartEvent {
+  runId: string;
+  // null when the run was cancelled while it waited for the database
+  command: string | null;
+  executor: string;
+}
+
+// Sent while another run holds the database, and again when the queue moves
+interface RunQueuedEvent {
+  runId: string;
+  position: number;
+  holder: LiquibaseQueuedRun;
+}
+
+interface LiquibaseHealth {
+  success: boolean;
+  executor: string;
+  version?: string;
+  error?: string;
 }
 
-export const Installer: React.FC<InstallerProps> = ({ workingDirectory }) => {
-  const [selectedCommand, setSelectedCommand] = useState<LiquibaseCommand | null>(null);
+interface RunLogEvent {
+  stream: 'stdout' | 'stderr';
+  line: string;
+}
+
+interface RunEndEvent {
+  runId: string;
+  success: boolean;
+  exitCode: number | null;
+  cancelled: boolean;
+  durationMs: number;
+  error?: string;
+  result: LiquibaseResult | null;
+  errors: LiquibaseError[];
+}
+
+const USER_STORAGE_KEY = 'liquibase-tower.user';
+
+// Commands and their parameters come from the server's registry; only the look is decided here
+const COMMAND_ICONS: Record<string, React.ReactNode> = {
+  status: <AlertCircle size={20} />,
+  validate: <CheckCircle2 size={20} />,
+  history: <ScrollText size={20} />,
+  unexpectedChangesets: <FileQuestion size={20} />,
+  update: <PlayCircle size={20} />,
+  updateCount: <Database size={20} />,
+  updateToTag: <ListOrdered size={20} />,
+  tag: <Tag size={20} />,
+  rollback: <RotateCcw size={20} />,
+  rollbackCount: <History size={20} />,
+  rollbackToDate: <CalendarClock size={20} />,
+  changelogSync: <RefreshCw size={20} />,
+  changelogSyncToTag: <RefreshCw size={20} />,
+  clearCheckSums: <Eraser size={20} />,
+  listLocks: <Lock size={20} />,
+  releaseLocks: <Unlock size={20} />,
+  dbDoc: <BookOpen size={20} />
+};
+
+const CATEGORY_BUTTON_COLORS: Record<CommandCategory, string> = {
+  status: 'bg-blue-600 hover:bg-blue-700',
+  deployment: 'bg-green-600 hover:bg-green-700',
+  rollback: 'bg-amber-600 hover:bg-amber-700',
+  maintenance: 'bg-slate-600 hover:bg-slate-700'
+};
+
+// Commands that only generate SQL get the preview colour
+const isPreviewCommand = (command: LiquibaseCommandDefinition) => command.name.endsWith('SQL');
+
+const commandIcon = (command: LiquibaseCommandDefinition) =>
+  COMMAND_ICONS[command.name] || (isPreviewCommand(command) ? <FileText size={20} /> : <Wrench size={20} />);
+
+const buttonColor = (command: LiquibaseCommandDefinition) =>
+  isPreviewCommand(command) ? 'bg-purple-600 hover:bg-purple-700' : CATEGORY_BUTTON_COLORS[command.category];
+
+const isFilled = (value: string | boolean | undefined) => typeof value === 'boolean' ? true : Boolean(value?.trim());
+
+// Form values as the options the server expects: numbers for integers, flags only when set
+const toOptions = (command: LiquibaseCommandDefinition, values: CommandValues) => {
+  const options: Record<string, string | number | boolean> = {};
+  for (const param of command.params) {
+    const value = values[param.name];
+    if (param.type === 'boolean') {
+      if (value === true) options[param.name] = true;
+    } else if (typeof value === 'string' && value.trim()) {
+      options[param.name] = param.type === 'integer' ? Number(value) : value.trim();
+    }
+  }
+  return options;
+};
+
+const formatDuration = (ms: number) =>
+  ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+
+export const Installer: React.FC<InstallerProps> = ({ workingDirectory, onRunStateChange }) => {
+  const [commands, setCommands] = useState<LiquibaseCommandDefinition[]>([]);
+  const [selectedCommand, setSelectedCommand] = useState<string | null>(null);
   const [logs, setLogs] = useState<string[]>([]);
   const [isExecuting, setIsExecuting] = useState(false);
-  const [commandInput, setCommandInput] = useState<string>('');
-  const [activeCategory, setActiveCategory] = useState<CommandCategory>('status');
+  const [activeRunId, setActiveRunId] = useState<string | null>(null);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+  const [user, setUser] = useState(() => localStorage.getItem(USER_STORAGE_KEY) || '');
+  const [environments, setEnvironments] = useState<Environment[]>([]);
+  // The project policy can protect the liquibase.properties target as well
+  const [defaultProtected, setDefaultProtected] = useState(false);
+  const [selectedEnvironment, setSelectedEnvironment] = useState('');
+  const [showEnvironmentManager, setShowEnvironmentManager] = useState(false);
+  const [pendingCommand, setPendingCommand] = useState<LiquibaseCommandDefinition | null>(null);
+  const [confirmationInput, setConfirmationInput] = useState('');
+  const [releases, setReleases] = useState<Release[]>([]);
+  const [health, setHealth] = useState<LiquibaseHealth | null>(null);
+  // Parsed output of the last run; the raw lines stay in the log panel
+  const [lastResult, setLastResult] = useState<{ command: string; result: LiquibaseResult | null; errors: LiquibaseError[] } | null>(null);
 
-  const commandOptions: CommandOption[] = [
-    {
-      command: 'status',
-      category: 'status',
-      label: 'Check Status',
-      description: 'Show pending changesets and current database state',
-      icon: <AlertCircle size={20} />,
-      buttonColor: 'bg-blue-600 hover:bg-blue-700'
-    },
-    {
-      command: 'validate',
-      category: 'status',
-      label: 'Validate Changelogs',
-      description: 'Check if changelog files are correctly formatted',
-      icon: <CheckCircle2 size={20} />,
-      buttonColor: 'bg-blue-600 hover:bg-blue-700'
-    },
-    {
-      command: 'updateSQL',
-      category: 'deployment',
-      label: 'Preview Update SQL',
-      description: 'Generate SQL for pending changes without executing them',
-      icon: <FileText size={20} />,
-      buttonColor: 'bg-purple-600 hover:bg-purple-700'
-    },
-    {
-      command: 'update',
-      category: 'deployment',
-      label: 'Update Database',
-      description: 'Apply all pending changesets',
-      icon: <PlayCircle size={20} />,
-      buttonColor: 'bg-green-600 hover:bg-green-700'
-    },
-    {
-      command: 'updateCount',
-      category: 'deployment',
-      label: 'Update Count',
-      description: 'Apply specific number of pending changesets',
-      icon: <Database size={20} />,
-      requiresInput: true,
-      inputType: 'number',
-      inputLabel: 'Number of changesets',
-      inputPlaceholder: 'Enter number of changesets',
-      buttonColor: 'bg-green-600 hover:bg-green-700'
-    },
-    {
-      command: 'rollback',
-      category: 'rollback',
-      label: 'Rollback to Tag',
-      description: 'Revert database changes to a specific tag',
-      icon: <RotateCcw size={20} />,
-      requiresInput: true,
-      inputType: 'text',
-      inputLabel: 'Tag name',
-      inputPlaceholder: 'Enter tag name',
-      buttonColor: 'bg-amber-600 hover:bg-amber-700'
-    },
-    {
-      command: 'rollbackCount',
-      category: 'rollback',
-      label: 'Rollback Count',
-      description: 'Revert specific number of changesets',
-      icon: <History size={20} />,
-      requiresInput: true,
-      inputType: 'number',
-      inputLabel: 'Number of changesets',
-      inputPlaceholder: 'Enter number of changesets',
-      buttonColor: 'bg-amber-600 hover:bg-amber-700'
-    },
-    {
-      command: 'tag',
-      category: 'deployment',
-      label: 'Create Tag',
-      description: 'Create a new tag in the database for rollback purposes',
-      icon: <Tag size={20} />,
-      requiresInput: true,
-      inputType: 'text',
-      inputLabel: 'Tag name',
-      inputPlaceholder: 'Enter tag name (e.g., v1.0.0)',
-      buttonColor: 'bg-green-600 hover:bg-green-700'
+  useEffect(() => {
+    const loadEnvironments = async () => {
+      try {
+        const params = new URLSearchParams({ workingDirectory });
+        const response = await fetch(`http://localhost:3000/api/environments?${params}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        setEnvironments(data.environments);
+        setDefaultProtected(data.defaultProtected);
+      } catch (error) {
+        setLogs(prev => [...prev, `❌ Failed to load environments: ${error instanceof Error ? error.message : error}`]);
+      }
+    };
+    loadEnvironments();
+  }, [workingDirectory]);
+
+  useEffect(() => {
+    getLiquibaseCommands()
+      .then(setCommands)
+      .catch(error => setLogs(prev => [...prev, `❌ Failed to load Liquibase commands: ${error instanceof Error ? error.message : error}`]));
+  }, []);
+
+  // Each environment can run Liquibase on a different executor
+  useEffect(() => {
+    const loadHealth = async () => {
+      setHealth(null);
+      try {
+        const params = new URLSearchParams({ workingDirectory, environment: selectedEnvironment });
+        const response = await fetch(`http://localhost:3000/api/liquibase/health?${params}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        setHealth(data);
+      } catch (error) {
+        setHealth({ success: false, executor: 'unknown', error: error instanceof Error ? error.message : String(error) });
+      }
+    };
+    loadHealth();
+  }, [workingDirectory, selectedEnvironment]);
+
+  // Release tags are the usual rollback targets
+  useEffect(() => {
+    getReleases(workingDirectory)
+      .then(setReleases)
+      .catch(error => console.error('Failed to load releases:', error));
+  }, [workingDirectory]);
+
+  const releaseTags = releases.map(release => release.tag).reverse();
+
+  const handleEnvironmentsChange = (updated: Environment[]) => {
+    setEnvironments(updated);
+    if (selectedEnvironment && !updated.some(env => env.name === selectedEnvironment)) {
+      setSelectedEnvironment('');
     }
-  ];
+  };
+  const [commandValues, setCommandValues] = useState<CommandValues>({});
+  const [activeCategory, setActiveCategory] = useState<CommandCategory>('status');
 
   const categoryLabels: Record<CommandCategory, { label: string; icon: React.ReactNode; color: string }> = {
     status: { 
@@ -138,25 +239,46 @@ export const Installer: React.FC<InstallerProps> = ({ workingDirectory }) => {
       label: 'Rollback', 
       icon: <RotateCcw size={16} />,
       color: 'text-amber-600 border-amber-600'
+    },
+    maintenance: {
+      label: 'Maintenance',
+      icon: <Wrench size={16} />,
+      color: 'text-slate-600 border-slate-600'
     }
   };
 
-  const executeCommand = async (command: LiquibaseCommand) => {
+  const activeEnvironment = environments.find(env => env.name === selectedEnvironment);
+  // Name to type before destructive commands, null when the selected target isn't protected
+  const protectedTarget = activeEnvironment
+    ? (activeEnvironment.protected ? activeEnvironment.name : null)
+    : (defaultProtected ? 'liquibase.properties' : null);
+
+  const requestCommand = (command: LiquibaseCommandDefinition) => {
+    if (protectedTarget && command.destructive) {
+      setConfirmationInput('');
+      setPendingCommand(command);
+    } else {
+      executeCommand(command);
+    }
+  };
+
+  const confirmPendingCommand = () => {
+    if (!pendingCommand) return;
+    const command = pendingCommand;
+    setPendingCommand(null);
+    executeCommand(command, confirmationInput);
+  };
+
+  const executeCommand = async (definition: LiquibaseCommandDefinition, confirmEnvironment?: string) => {
+    const command = definition.name;
     setIsExecuting(true);
-    setLogs(prev => [...prev, `Executing liquibase ${command}...`]);
+    setLastResult(null);
+    onRunStateChange?.(selectedEnvironment || 'liquibase.properties');
+    setLogs(prev => [...prev, `Executing liquibase ${command} against ${selectedEnvironment || 'liquibase.properties'}...`]);
     console.log('Executing command with working directory:', workingDirectory);
 
     try {
-      const options: any = {};
-      if (commandInput) {
-        if (command === 'tag') {
-          options.tag = commandInput;
-        } else if (command === 'rollback') {
-          options.tag = commandInput;
-        } else if (command === 'rollbackCount' || command === 'updateCount') {
-          options.count = parseInt(commandInput);
-        }
-      }
+      const options = toOptions(definition, commandValues);
 
       console.log('Sending request with:', { command, workingDirectory, options });
       const response = await fetch('http://localhost:3000/api/liquibase', {
@@ -167,44 +289,180 @@ export const Installer: React.FC<InstallerProps> = ({ workingDirectory }) => {
         body: JSON.stringify({
           command,
           workingDirectory,
-          options
+          options,
+          user: user.trim() || undefined,
+          environment: selectedEnvironment || undefined,
+          sessionId: SESSION_ID,
+          confirmEnvironment
         }),
       });
 
-      const data = await response.json();
-      console.log('Received response:', data);
-
-      if (!data.success) {
+      // Setup and policy errors are reported as plain JSON before any output is streamed
+      if (!response.ok) {
+        const data = await response.json();
         console.error('Command failed:', data.error, data.details);
         setLogs(prev => [
           ...prev,
           `❌ Error executing ${command}:`,
           data.error,
-          ...(data.logs || [])
-        ]);
-      } else {
-        setLogs(prev => [
-          ...prev,
-          `✅ Command executed successfully:`,
-          `Command: ${data.command}`,
-          ...data.logs
+          ...(data.details ? [data.details] : [])
         ]);
+        return;
       }
+
+      await readEventStream(response, (event, data) => {
+        if (event === 'queued') {
+          const { runId, position, holder } = data as RunQueuedEvent;
+          setActiveRunId(runId);
+          setLogs(prev => [
+            ...prev,
+            `⏳ Waiting for ${holder.user}'s ${holder.command} on this database (${position} in line)`
+          ]);
+        } else if (event === 'start') {
+          const { runId, command: fullCommand, executor } = data as RunStartEvent;
+          setActiveRunId(runId);
+          setLogs(prev => [
+            ...prev,
+            `Run ${runId} (${executor} executor)`,
+            ...(fullCommand ? [`Command: ${fullCommand}`] : [])
+          ]);
+        } else if (event === 'log') {
+          const { line } = data as RunLogEvent;
+          setLogs(prev => [...prev, line]);
+        } else if (event === 'end') {
+          const result = data as RunEndEvent;
+          setLastResult({ command, result: result.result, errors: result.errors || [] });
+          const summary = `Run ${result.runId} · exit code ${result.exitCode ?? 'none'} · ${formatDuration(result.durationMs)}`;
+          setLogs(prev => [
+            ...prev,
+            result.success
+              ? `✅ Command executed successfully (${summary})`
+              : result.cancelled
+                ? `⚠️ [WARNING] Command cancelled (${summary})`
+                : `❌ [ERROR] ${result.error} (${summary})`
+          ]);
+        }
+      });
     } catch (error) {
-      setLogs(prev => [...prev, `❌ Failed to execute command: ${error.message}`]);
+      setLogs(prev => [...prev, `❌ Failed to execute command: ${error instanceof Error ? error.message : error}`]);
     } finally {
       setIsExecuting(false);
-      setCommandInput('');
+      onRunStateChange?.(null);
+      setActiveRunId(null);
+      setCommandValues({});
+      setHistoryRefreshKey(key => key + 1);
+    }
+  };
+
+  // The lock panel only offers this for a stale lock; the server refuses it while one of its runs holds the database
+  const releaseStaleLock = (locks: LiquibaseLock[]) => {
+    const definition = commands.find(command => command.name === 'releaseLocks');
+    if (!definition) return;
+
+    const holders = locks.map(lock => `${lock.lockedBy} (since ${lock.granted})`).join(', ');
+    if (!window.confirm(`Release the lock held by ${holders} on ${selectedEnvironment || 'liquibase.properties'}? Only do this when no Liquibase run is still using the database.`)) {
+      return;
+    }
+    requestCommand(definition);
+  };
+
+  const handleUserChange = (value: string) => {
+    setUser(value);
+    localStorage.setItem(USER_STORAGE_KEY, value);
+  };
+
+  const cancelCommand = async () => {
+    if (!activeRunId) return;
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/liquibase/${activeRunId}/cancel`, {
+        method: 'POST'
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setLogs(prev => [...prev, `❌ Failed to cancel run: ${data.error}`]);
+      }
+    } catch (error) {
+      setLogs(prev => [...prev, `❌ Failed to cancel run: ${error instanceof Error ? error.message : error}`]);
     }
   };
 
-  const filteredCommands = commandOptions.filter(cmd => cmd.category === activeCategory);
+  const filteredCommands = commands.filter(cmd => cmd.category === activeCategory);
 
-  const handleCommandClick = (option: CommandOption) => {
-    if (option.requiresInput) {
-      setSelectedCommand(selectedCommand === option.command ? null : option.command);
+  // Commands with parameters open their form; the others run straight away
+  const handleCommandClick = (option: LiquibaseCommandDefinition) => {
+    if (option.params.length > 0) {
+      setCommandValues({});
+      setSelectedCommand(selectedCommand === option.name ? null : option.name);
     } else {
-      executeCommand(option.command);
+      requestCommand(option);
+    }
+  };
+
+  const setCommandValue = (name: string, value: string | boolean) => {
+    setCommandValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const renderParamInput = (option: LiquibaseCommandDefinition, param: LiquibaseCommandParam) => {
+    const inputClass = `w-full px-3 py-2 border border-gray-300 rounded-md 
+                       focus:outline-none focus:ring-2 focus:ring-blue-500
+                       bg-white/80 backdrop-blur-sm transition-all duration-300`;
+    const value = commandValues[param.name];
+
+    switch (param.type) {
+      case 'boolean':
+        return (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={value === true}
+              onChange={(e) => setCommandValue(param.name, e.target.checked)}
+            />
+            {param.label}
+          </label>
+        );
+      case 'enum':
+        return (
+          <select
+            value={typeof value === 'string' ? value : ''}
+            onChange={(e) => setCommandValue(param.name, e.target.value)}
+            className={inputClass}
+          >
+            <option value="">{param.required ? 'Choose...' : 'Default'}</option>
+            {param.values?.map(entry => (
+              <option key={entry} value={entry}>{entry}</option>
+            ))}
+          </select>
+        );
+      default: {
+        // Values offered in the input, which still accepts free text
+        const suggestions = param.suggestions === 'releases' ? releaseTags : [];
+        const listId = `${option.name}-${param.name}-suggestions`;
+        return (
+          <>
+            <input
+              type={param.type === 'integer' ? 'number' : param.type === 'date' ? 'datetime-local' : 'text'}
+              value={typeof value === 'string' ? value : ''}
+              onChange={(e) => setCommandValue(param.name, e.target.value)}
+              placeholder={param.placeholder}
+              min={param.min}
+              max={param.max}
+              maxLength={param.maxLength}
+              step={param.type === 'date' ? 1 : undefined}
+              title={param.patternDescription ? `Only ${param.patternDescription}` : undefined}
+              list={suggestions.length ? listId : undefined}
+              className={inputClass}
+            />
+            {suggestions.length > 0 && (
+              <datalist id={listId}>
+                {suggestions.map(entry => (
+                  <option key={entry} value={entry}>Release {entry}</option>
+                ))}
+              </datalist>
+            )}
+          </>
+        );
+      }
     }
   };
 
@@ -225,9 +483,65 @@ export const Installer: React.FC<InstallerProps> = ({ workingDirectory }) => {
               <Database size={24} className="text-blue-500" />
               Liquibase Command Panel
             </h2>
-            <div className="text-sm text-gray-500 flex items-center gap-2">
-              <RefreshCw size={16} className="inline" />
-              Working Directory: {workingDirectory}
+            <div className="flex items-center gap-4">
+              {isExecuting && activeRunId && (
+                <motion.button
+                  onClick={cancelCommand}
+                  className="px-3 py-1.5 bg-red-100 text-red-700 rounded-md text-sm
+                           hover:bg-red-200 flex items-center gap-2"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  <StopCircle size={16} />
+                  Cancel Run
+                </motion.button>
+              )}
+              <div className="flex items-center gap-1">
+                <select
+                  value={selectedEnvironment}
+                  onChange={(e) => setSelectedEnvironment(e.target.value)}
+                  disabled={isExecuting}
+                  className="px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium
+                           focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  title="Target environment"
+                >
+                  <option value="">liquibase.properties{defaultProtected ? ' (protected)' : ''}</option>
+                  {environments.map(env => (
+                    <option key={env.name} value={env.name}>
+                      {env.name}{env.protected ? ' (protected)' : ''}
+                    </option>
+                  ))}
+                </select>
+                {health && (
+                  <span
+                    className={`text-xs px-2 py-1 rounded-md ${health.success ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}
+                    title={health.error || `Liquibase runs on the ${health.executor} executor`}
+                  >
+                    {health.success ? `Liquibase ${health.version} · ${health.executor}` : `Liquibase unavailable · ${health.executor}`}
+                  </span>
+                )}
+                <button
+                  onClick={() => setShowEnvironmentManager(true)}
+                  disabled={isExecuting}
+                  className="p-1.5 text-gray-600 hover:text-blue-600 hover:bg-gray-100 rounded-md
+                           disabled:opacity-50"
+                  title="Manage environments"
+                >
+                  <Settings2 size={18} />
+                </button>
+              </div>
+              <input
+                type="text"
+                value={user}
+                onChange={(e) => handleUserChange(e.target.value)}
+                placeholder="Run as (your name)"
+                className="px-3 py-1.5 border border-gray-300 rounded-md text-sm w-44
+                         focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <div className="text-sm text-gray-500 flex items-center gap-2">
+                <RefreshCw size={16} className="inline" />
+                Working Directory: {workingDirectory}
+              </div>
             </div>
           </motion.div>
 
@@ -258,7 +572,7 @@ export const Installer: React.FC<InstallerProps> = ({ workingDirectory }) => {
             <AnimatePresence mode="wait">
               {filteredCommands.map((option) => (
                 <motion.div
-                  key={option.command}
+                  key={option.name}
                   initial={{ opacity: 0, scale: 0.9 }}
                   animate={{ opacity: 1, scale: 1 }}
                   exit={{ opacity: 0, scale: 0.9 }}
@@ -273,7 +587,7 @@ export const Installer: React.FC<InstallerProps> = ({ workingDirectory }) => {
                              disabled:opacity-50 disabled:cursor-not-allowed
                              hover:shadow-lg hover:scale-[1.02] active:scale-[0.98]
                              h-full backdrop-blur-sm
-                             ${(selectedCommand === option.command) 
+                             ${(selectedCommand === option.name) 
                                ? 'border-blue-500 bg-blue-50/80 ring-2 ring-blue-200' 
                                : 'border-gray-200 hover:border-gray-300 bg-white/80'}`}
                     whileHover={{ y: -2 }}
@@ -281,16 +595,16 @@ export const Installer: React.FC<InstallerProps> = ({ workingDirectory }) => {
                   >
                     <div className="flex items-center gap-2">
                       <motion.div
-                        animate={isExecuting && selectedCommand === option.command ? 
+                        animate={isExecuting && selectedCommand === option.name ? 
                           { rotate: [0, 360] } : {}}
                         transition={{ duration: 2, repeat: Infinity, ease: "linear" }}
                       >
-                        {option.icon}
+                        {commandIcon(option)}
                       </motion.div>
                       <h3 className="font-medium text-gray-800">{option.label}</h3>
                     </div>
                     <p className="text-sm text-gray-500 mt-1">{option.description}</p>
-                    {isExecuting && option.command === selectedCommand && (
+                    {isExecuting && option.name === selectedCommand && (
                       <motion.div
                         initial={{ opacity: 0 }}
                         animate={{ opacity: 1 }}
@@ -307,38 +621,38 @@ export const Installer: React.FC<InstallerProps> = ({ workingDirectory }) => {
                   </motion.button>
                   
                   <AnimatePresence>
-                    {selectedCommand === option.command && option.requiresInput && (
+                    {selectedCommand === option.name && option.params.length > 0 && (
                       <motion.div
                         initial={{ opacity: 0, height: 0 }}
                         animate={{ opacity: 1, height: 'auto' }}
                         exit={{ opacity: 0, height: 0 }}
                         className="mt-2 p-4 border border-gray-200 rounded-lg bg-gray-50/80 backdrop-blur-sm"
                       >
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                          {option.inputLabel}
-                        </label>
-                        <div className="flex gap-2">
-                          <input
-                            type={option.inputType}
-                            value={commandInput}
-                            onChange={(e) => setCommandInput(e.target.value)}
-                            placeholder={option.inputPlaceholder}
-                            className="flex-1 px-3 py-2 border border-gray-300 rounded-md 
-                                     focus:outline-none focus:ring-2 focus:ring-blue-500
-                                     bg-white/80 backdrop-blur-sm transition-all duration-300"
-                          />
-                          <motion.button
-                            onClick={() => executeCommand(option.command)}
-                            disabled={!commandInput || isExecuting}
-                            className={`px-4 py-2 text-white rounded-md
-                                     transition-all duration-300
-                                     disabled:opacity-50 disabled:cursor-not-allowed
-                                     ${option.buttonColor || 'bg-blue-600 hover:bg-blue-700'}`}
-                            whileHover={{ scale: 1.05 }}
-                            whileTap={{ scale: 0.95 }}
-                          >
-                            {isExecuting ? 'Executing...' : 'Execute'}
-                          </motion.button>
+                        <div className="space-y-3">
+                          {option.params.map(param => (
+                            <div key={param.name}>
+                              {param.type !== 'boolean' && (
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                  {param.label}{param.required ? '' : ' (optional)'}
+                                </label>
+                              )}
+                              {renderParamInput(option, param)}
+                            </div>
+                          ))}
+                          <div className="flex justify-end">
+                            <motion.button
+                              onClick={() => requestCommand(option)}
+                              disabled={isExecuting || !option.params.every(param => !param.required || isFilled(commandValues[param.name]))}
+                              className={`px-4 py-2 text-white rounded-md
+                                       transition-all duration-300
+                                       disabled:opacity-50 disabled:cursor-not-allowed
+                                       ${buttonColor(option)}`}
+                              whileHover={{ scale: 1.05 }}
+                              whileTap={{ scale: 0.95 }}
+                            >
+                              {isExecuting ? 'Executing...' : 'Execute'}
+                            </motion.button>
+                          </div>
                         </div>
                       </motion.div>
                     )}
@@ -349,7 +663,71 @@ export const Installer: React.FC<InstallerProps> = ({ workingDirectory }) => {
           </motion.div>
         </div>
 
+        <TargetLocks
+          workingDirectory={workingDirectory}
+          environment={selectedEnvironment}
+          refreshKey={historyRefreshKey}
+          disabled={isExecuting}
+          onReleaseLocks={releaseStaleLock}
+        />
+
+        {lastResult && (
+          <RunResult command={lastResult.command} result={lastResult.result} errors={lastResult.errors} />
+        )}
+
         <LogBox logs={logs} />
+
+        <RunHistory workingDirectory={workingDirectory} refreshKey={historyRefreshKey} />
+
+        {pendingCommand && protectedTarget && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg shadow-lg w-full max-w-md p-6">
+              <h3 className="text-lg font-semibold text-red-700 flex items-center gap-2 mb-2">
+                <AlertCircle size={20} />
+                Protected database
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                You are about to run <span className="font-mono font-medium">{pendingCommand.name}</span> against{' '}
+                <span className="font-semibold">{protectedTarget}</span>.
+                Type its name to confirm.
+              </p>
+              <input
+                type="text"
+                value={confirmationInput}
+                onChange={(e) => setConfirmationInput(e.target.value)}
+                placeholder={protectedTarget}
+                autoFocus
+                className="w-full px-3 py-2 border border-gray-300 rounded-md
+                         focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+              <div className="mt-4 flex justify-end gap-2">
+                <button
+                  onClick={() => setPendingCommand(null)}
+                  className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={confirmPendingCommand}
+                  disabled={confirmationInput !== protectedTarget}
+                  className="px-3 py-2 bg-red-600 text-white rounded-md hover:bg-red-700
+                           disabled:bg-red-300 disabled:cursor-not-allowed"
+                >
+                  Run {pendingCommand.name}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {showEnvironmentManager && (
+          <EnvironmentManager
+            workingDirectory={workingDirectory}
+            environments={environments}
+            onChange={handleEnvironmentsChange}
+            onClose={() => setShowEnvironmentManager(false)}
+          />
+        )}
       </motion.div>
     </div>
   );
@@ -1,5 +1,5 @@
 import React from 'react';
-import { FilePlus2, CheckCircle2, Download } from 'lucide-react';
+import { FilePlus2, CheckCircle2, Download, FolderTree } from 'lucide-react';
 
 interface ModeSelectionProps {
   onSelect: (mode: string) => void;
@@ -29,6 +29,13 @@ export const ModeSelector: React.FC<ModeSelectionProps> = ({ onSelect }) => {
       icon: <CheckCircle2 size={24} />,
       available: true,
     },
+    {
+      mode: 'graph',
+      title: 'Graph',
+      description: 'Browse the changelog include tree down to each changeSet',
+      icon: <FolderTree size={24} />,
+      available: true,
+    },
     {
       mode: 'install',
       title: 'Install DEV2',
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { Precondition, PreconditionAction, PreconditionTemplate } from '../types';
+import { getCategoryTemplates } from '../utils/preconditions';
+
+interface PreconditionEditorProps {
+  name: string;
+  category: string;
+  precondition?: Precondition;
+  templates: PreconditionTemplate[];
+  actions: PreconditionAction[];
+  onSave: (precondition: Precondition | undefined) => void;
+  onCancel: () => void;
+}
+
+export const PreconditionEditor: React.FC<PreconditionEditorProps> = ({
+  name,
+  category,
+  precondition,
+  templates,
+  actions,
+  onSave,
+  onCancel
+}) => {
+  const categoryTemplates = getCategoryTemplates(templates, category);
+  // A rerun on a schema that already has the object marks the changeset as ran instead of failing
+  const [values, setValues] = useState<Precondition>(precondition || {
+    template: categoryTemplates[0]?.id || '',
+    objectName: name.toUpperCase(),
+    expectedResult: '0',
+    onFail: 'MARK_RAN',
+    onError: 'HALT'
+  });
+
+  const template = templates.find(entry => entry.id === values.template);
+  const isComplete = Boolean(template?.fields.every(field => values[field]?.trim()));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">Precondition: {name}</h3>
+          <button onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-700 rounded-md">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-3 mb-6">
+          <label className="block text-sm text-gray-700">
+            Template
+            <select
+              value={values.template}
+              onChange={(e) => setValues(prev => ({ ...prev, template: e.target.value }))}
+              className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+            >
+              {categoryTemplates.map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {template?.fields.includes('objectName') && (
+            <label className="block text-sm text-gray-700">
+              Object name
+              <input
+                type="text"
+                value={values.objectName || ''}
+                onChange={(e) => setValues(prev => ({ ...prev, objectName: e.target.value }))}
+                className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm font-mono
+                         focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          )}
+
+          {template?.fields.includes('sql') && (
+            <>
+              <label className="block text-sm text-gray-700">
+                Query
+                <textarea
+                  value={values.sql || ''}
+                  onChange={(e) => setValues(prev => ({ ...prev, sql: e.target.value }))}
+                  rows={4}
+                  placeholder="SELECT COUNT(*) FROM ..."
+                  className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm font-mono
+                           focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+              <label className="block text-sm text-gray-700">
+                Expected result
+                <input
+                  type="text"
+                  value={values.expectedResult || ''}
+                  onChange={(e) => setValues(prev => ({ ...prev, expectedResult: e.target.value }))}
+                  className="mt-1 w-32 px-2 py-1.5 border border-gray-300 rounded-md text-sm font-mono
+                           focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+            </>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            {(['onFail', 'onError'] as const).map(action => (
+              <label key={action} className="block text-sm text-gray-700">
+                {action}
+                <select
+                  value={values[action]}
+                  onChange={(e) => setValues(prev => ({ ...prev, [action]: e.target.value as PreconditionAction }))}
+                  className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+                >
+                  {actions.map(value => (
+                    <option key={value} value={value}>{value}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex justify-between">
+          <button
+            onClick={() => onSave(undefined)}
+            className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800"
+          >
+            No precondition
+          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave(values)}
+              disabled={!isComplete}
+              className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700
+                       disabled:bg-blue-300 disabled:cursor-not-allowed"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
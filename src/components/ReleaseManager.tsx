@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { X, Tag, Loader2 } from 'lucide-react';
+import { Release, ReleasePart } from '../types';
+import { createRelease, getReleases } from '../utils/version';
+
+interface ReleaseManagerProps {
+  workingDirectory: string;
+  author: string;
+  onRelease: (release: Release, created: string[]) => void;
+  onClose: () => void;
+}
+
+const PARTS: ReleasePart[] = ['major', 'minor', 'patch'];
+
+// Mirrors bumpVersion/formatVersionLabel in server/utils/releases.js, for the button labels
+const nextVersion = (tag: string | undefined, part: ReleasePart) => {
+  const [major, minor, patch] = (tag || '0.0.0').split('.').map(Number);
+  const next = part === 'major' ? [major + 1, 0, 0]
+    : part === 'minor' ? [major, minor + 1, 0]
+    : [major, minor, patch + 1];
+  while (next.length > 1 && next[next.length - 1] === 0) {
+    next.pop();
+  }
+  return next.join('.');
+};
+
+export const ReleaseManager: React.FC<ReleaseManagerProps> = ({
+  workingDirectory,
+  author,
+  onRelease,
+  onClose
+}) => {
+  const [releases, setReleases] = useState<Release[]>([]);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getReleases(workingDirectory)
+      .then(setReleases)
+      .catch(error => setError(error instanceof Error ? error.message : String(error)));
+  }, [workingDirectory]);
+
+  const current = releases[releases.length - 1];
+
+  const handleCreate = async (part: ReleasePart) => {
+    setIsCreating(true);
+    try {
+      const { release, created } = await createRelease(workingDirectory, part, author);
+      setReleases(prev => [...prev, release]);
+      setError(null);
+      onRelease(release, created);
+    } catch (error) {
+      setError(error instanceof Error ? error.message : String(error));
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">Releases</h3>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-700 rounded-md">
+            <X size={20} />
+          </button>
+        </div>
+
+        <ul className="max-h-64 overflow-auto divide-y divide-gray-100 border border-gray-200 rounded-md">
+          {[...releases].reverse().map(release => (
+            <li key={release.tag} className="px-3 py-2 flex items-center gap-3 text-sm">
+              <Tag size={16} className={release === current ? 'text-blue-600' : 'text-gray-400'} />
+              <span className="font-mono font-medium text-gray-800">{release.tag}</span>
+              <span className="text-gray-500">by {release.author}</span>
+              {release === current && (
+                <span className="ml-auto text-xs bg-blue-50 text-blue-700 px-2 py-0.5 rounded">current</span>
+              )}
+            </li>
+          ))}
+          {releases.length === 0 && (
+            <li className="px-3 py-2 text-sm text-gray-500">No release tagged yet</li>
+          )}
+        </ul>
+
+        <p className="mt-4 text-xs text-gray-500">
+          A new release writes its tag to its own tag-database changelog, included in the root changelog
+          right before a fresh set of category changelogs, so rolling back to the tag undoes only that release.
+          Changelogs of earlier releases stay included.
+        </p>
+        {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+        <div className="mt-4 flex justify-end gap-2">
+          {PARTS.map(part => (
+            <button
+              key={part}
+              onClick={() => handleCreate(part)}
+              disabled={isCreating || !author.trim()}
+              className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700
+                       disabled:bg-blue-300 disabled:cursor-not-allowed flex items-center gap-2 text-sm"
+            >
+              {isCreating && <Loader2 size={14} className="animate-spin" />}
+              New {part} ({nextVersion(current?.tag, part)})
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RefreshCw, ChevronDown, CheckCircle2, XCircle, MinusCircle, Loader2 } from 'lucide-react';
+
+interface RunHistoryProps {
+  workingDirectory: string;
+  refreshKey: number;
+}
+
+interface RunSummary {
+  id: string;
+  user: string;
+  command: string;
+  options: { tag?: string; count?: number };
+  workingDirectory: string;
+  target: { defaultsFile: string; url: string | null };
+  startedAt: string;
+  endedAt: string | null;
+  status: 'running' | 'success' | 'failed' | 'cancelled';
+  exitCode: number | null;
+  durationMs?: number;
+  logLines: number;
+}
+
+const STATUS_ICONS: Record<RunSummary['status'], React.ReactNode> = {
+  running: <Loader2 size={16} className="text-blue-500 animate-spin" />,
+  success: <CheckCircle2 size={16} className="text-green-600" />,
+  failed: <XCircle size={16} className="text-red-600" />,
+  cancelled: <MinusCircle size={16} className="text-amber-600" />
+};
+
+const formatOptions = (options: RunSummary['options']) =>
+  Object.entries(options)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => `${key}=${value}`)
+    .join(', ');
+
+export const RunHistory: React.FC<RunHistoryProps> = ({ workingDirectory, refreshKey }) => {
+  const [runs, setRuns] = useState<RunSummary[]>([]);
+  const [commandFilter, setCommandFilter] = useState('');
+  const [expandedRunId, setExpandedRunId] = useState<string | null>(null);
+  const [expandedLogs, setExpandedLogs] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ workingDirectory });
+      const response = await fetch(`http://localhost:3000/api/liquibase/runs?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      setRuns(data.runs);
+      setError(null);
+    } catch (error) {
+      setError(`Failed to load run history: ${error instanceof Error ? error.message : error}`);
+    }
+  }, [workingDirectory]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns, refreshKey]);
+
+  const toggleRun = async (runId: string) => {
+    if (expandedRunId === runId) {
+      setExpandedRunId(null);
+      return;
+    }
+
+    setExpandedRunId(runId);
+    setExpandedLogs([]);
+    try {
+      const response = await fetch(`http://localhost:3000/api/liquibase/runs/${runId}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      setExpandedLogs(data.run.logs);
+    } catch (error) {
+      setExpandedLogs([`Failed to load logs: ${error instanceof Error ? error.message : error}`]);
+    }
+  };
+
+  const commands = [...new Set(runs.map(run => run.command))];
+  const visibleRuns = commandFilter ? runs.filter(run => run.command === commandFilter) : runs;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-800 flex items-center gap-2">
+          <History size={20} />
+          History
+        </h3>
+        <div className="flex items-center gap-2">
+          <select
+            value={commandFilter}
+            onChange={(e) => setCommandFilter(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All commands</option>
+            {commands.map(command => (
+              <option key={command} value={command}>{command}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadRuns}
+            className="p-1.5 text-gray-600 hover:text-blue-600 hover:bg-gray-100 rounded-md"
+            title="Refresh history"
+          >
+            <RefreshCw size={16} />
+          </button>
+        </div>
+      </div>
+      <div className="max-h-[400px] overflow-y-auto">
+        {error && <p className="p-4 text-sm text-red-600">{error}</p>}
+        {!error && visibleRuns.length === 0 ? (
+          <p className="p-4 text-gray-500 text-center">No runs recorded yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {visibleRuns.map(run => (
+              <li key={run.id}>
+                <button
+                  onClick={() => toggleRun(run.id)}
+                  className="w-full px-4 py-2 flex items-center gap-3 text-left text-sm hover:bg-gray-50"
+                >
+                  {STATUS_ICONS[run.status]}
+                  <span className="w-44 text-gray-500">{new Date(run.startedAt).toLocaleString()}</span>
+                  <span className="w-28 font-medium text-gray-800">{run.user}</span>
+                  <span className="font-mono text-gray-800">{run.command}</span>
+                  <span className="text-gray-500">{formatOptions(run.options)}</span>
+                  <span className="flex-1 truncate text-gray-400" title={run.target.url || run.target.defaultsFile}>
+                    {run.target.url || run.target.defaultsFile}
+                  </span>
+                  {run.durationMs !== undefined && (
+                    <span className="text-gray-500">{(run.durationMs / 1000).toFixed(1)}s</span>
+                  )}
+                  <ChevronDown
+                    size={16}
+                    className={`text-gray-400 transition-transform ${expandedRunId === run.id ? 'rotate-180' : ''}`}
+                  />
+                </button>
+                {expandedRunId === run.id && (
+                  <div className="px-4 pb-3">
+                    <p className="text-xs text-gray-500 mb-1">
+                      Run {run.id} · exit code {run.exitCode ?? 'none'} · {run.logLines} log lines
+                    </p>
+                    <pre className="bg-gray-50 rounded-md p-3 text-xs font-mono text-gray-700 max-h-64 overflow-auto whitespace-pre-wrap">
+                      {expandedLogs.join('\n') || 'No output captured'}
+                    </pre>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,156 @@
+import React from 'react';
+import { AlertTriangle, Table2 } from 'lucide-react';
+import { LiquibaseError, LiquibaseResult } from '../types';
+import { SortableTable, SortableColumn } from './SortableTable';
+
+interface RunResultProps {
+  command: string;
+  result: LiquibaseResult | null;
+  errors: LiquibaseError[];
+}
+
+const ERROR_LABELS: Record<LiquibaseError['type'], string> = {
+  'lock-held': 'Lock held',
+  'checksum-mismatch': 'Checksum mismatch',
+  'missing-driver': 'Missing driver',
+  oracle: 'Oracle error'
+};
+
+type SqlChangeSet = Extract<LiquibaseResult, { type: 'sql' }>['changeSets'][number] & { position: number };
+
+const CHANGESET_COLUMNS: SortableColumn<{ changelog: string; id: string | null; author: string | null }>[] = [
+  { key: 'changelog', label: 'File', className: 'font-mono' },
+  { key: 'id', label: 'Id', className: 'font-mono' },
+  { key: 'author', label: 'Author' }
+];
+
+const HISTORY_COLUMNS: SortableColumn<Extract<LiquibaseResult, { type: 'history' }>['rows'][number]>[] = [
+  { key: 'date', label: 'Date', type: 'date' },
+  { key: 'changelog', label: 'File', className: 'font-mono' },
+  { key: 'id', label: 'Id', className: 'font-mono' },
+  { key: 'author', label: 'Author' },
+  { key: 'tag', label: 'Tag' },
+  { key: 'execType', label: 'Exec type' },
+  { key: 'deploymentId', label: 'Deployment', className: 'font-mono' }
+];
+
+const LOCK_COLUMNS: SortableColumn<Extract<LiquibaseResult, { type: 'locks' }>['locks'][number]>[] = [
+  { key: 'lockedBy', label: 'Locked by', className: 'font-mono' },
+  { key: 'grantedAt', label: 'Granted', type: 'date' },
+  { key: 'granted', label: 'As printed' }
+];
+
+const SQL_COLUMNS: SortableColumn<SqlChangeSet>[] = [
+  { key: 'position', label: '#' },
+  ...CHANGESET_COLUMNS
+];
+
+const sqlBlock = (sql: string) => (
+  <pre className="text-xs font-mono text-gray-700 whitespace-pre-wrap bg-white border border-gray-200 rounded-md p-2">
+    {sql}
+  </pre>
+);
+
+// Tables built from a run's parsed output, with the errors the server recognised in its log
+export const RunResult: React.FC<RunResultProps> = ({ command, result, errors }) => {
+  if (!result && errors.length === 0) {
+    return null;
+  }
+
+  const renderResult = () => {
+    if (!result) return null;
+
+    switch (result.type) {
+      case 'status':
+        return (
+          <>
+            <p className="text-sm text-gray-600 mb-2">
+              {result.pendingCount === null
+                ? 'Pending changesets'
+                : `${result.pendingCount} pending changeset(s)`}
+              {result.pendingCount && result.changeSets.length === 0 ? ' (run with "List every changeset" to see them)' : ''}
+            </p>
+            <SortableTable
+              columns={CHANGESET_COLUMNS}
+              rows={result.changeSets}
+              rowKey={(row) => `${row.changelog}::${row.id}::${row.author}`}
+              emptyMessage="The database is up to date"
+            />
+          </>
+        );
+      case 'history':
+        return (
+          <SortableTable
+            columns={HISTORY_COLUMNS}
+            rows={result.rows}
+            rowKey={(row, index) => `${row.deploymentId}-${index}`}
+            emptyMessage="No changeset has been deployed"
+          />
+        );
+      case 'sql':
+        return (
+          <>
+            <p className="text-sm text-gray-600 mb-2">
+              {result.changeSets.length} changeset(s); click one to see its SQL
+            </p>
+            <SortableTable
+              columns={SQL_COLUMNS}
+              rows={result.changeSets.map((changeSet, index) => ({ ...changeSet, position: index + 1 }))}
+              rowKey={(row) => String(row.position)}
+              renderDetail={(row) => sqlBlock(row.sql)}
+              emptyMessage="No changeset to run"
+            />
+            {result.preamble && (
+              <details className="mt-2 text-sm text-gray-600">
+                <summary className="cursor-pointer">Script header</summary>
+                {sqlBlock(result.preamble)}
+              </details>
+            )}
+          </>
+        );
+      case 'locks':
+        return (
+          <>
+            {result.target && <p className="text-sm text-gray-600 mb-2 font-mono">{result.target}</p>}
+            <SortableTable
+              columns={LOCK_COLUMNS}
+              rows={result.locks}
+              rowKey={(row, index) => `${row.lockedBy}-${index}`}
+              emptyMessage="The database is not locked"
+            />
+          </>
+        );
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-4 border-b border-gray-200">
+        <h3 className="text-lg font-medium text-gray-800 flex items-center gap-2">
+          <Table2 size={20} />
+          Result of {command}
+        </h3>
+      </div>
+      <div className="p-4 space-y-4">
+        {errors.length > 0 && (
+          <div className="space-y-2">
+            {errors.map(error => (
+              <div
+                key={error.code || error.type}
+                className="text-sm bg-red-50 border border-red-200 rounded-md px-3 py-2"
+              >
+                <div className="font-medium text-red-700 flex items-center gap-2">
+                  <AlertTriangle size={16} />
+                  {error.code || ERROR_LABELS[error.type]}
+                </div>
+                <div className="font-mono text-red-600 break-all">{error.message}</div>
+                {error.hint && <div className="text-gray-600 mt-1">{error.hint}</div>}
+              </div>
+            ))}
+          </div>
+        )}
+        {renderResult()}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, ChevronsUpDown } from 'lucide-react';
+
+export interface SortableColumn<Row> {
+  key: keyof Row & string;
+  label: string;
+  // Dates are compared as points in time rather than as text
+  type?: 'text' | 'date';
+  className?: string;
+}
+
+interface SortableTableProps<Row> {
+  columns: SortableColumn<Row>[];
+  rows: Row[];
+  rowKey: (row: Row, index: number) => string;
+  // Rows with a detail expand to show it when clicked
+  renderDetail?: (row: Row) => React.ReactNode;
+  emptyMessage?: string;
+}
+
+type CellValue = string | number | null | undefined;
+
+const compareValues = (a: CellValue, b: CellValue, type: SortableColumn<unknown>['type']) => {
+  if (a === null || a === undefined || a === '') return b === null || b === undefined || b === '' ? 0 : 1;
+  if (b === null || b === undefined || b === '') return -1;
+
+  if (type === 'date') {
+    const [timeA, timeB] = [Date.parse(String(a)), Date.parse(String(b))];
+    if (!Number.isNaN(timeA) && !Number.isNaN(timeB)) return timeA - timeB;
+  }
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+// Table whose columns sort on click, first ascending then descending; empty cells stay last
+export const SortableTable = <Row,>({
+  columns,
+  rows,
+  rowKey,
+  renderDetail,
+  emptyMessage = 'Nothing to show'
+}: SortableTableProps<Row>) => {
+  const [sort, setSort] = useState<{ key: keyof Row & string; descending: boolean } | null>(null);
+  const [expandedKey, setExpandedKey] = useState<string | null>(null);
+
+  const toggleSort = (key: keyof Row & string) => {
+    setSort(prev => prev?.key === key ? { key, descending: !prev.descending } : { key, descending: false });
+  };
+
+  const column = sort && columns.find(entry => entry.key === sort.key);
+  const sorted = rows.map((row, index) => ({ row, key: rowKey(row, index) }));
+  if (sort && column) {
+    sorted.sort((a, b) => {
+      const [valueA, valueB] = [a.row[sort.key] as CellValue, b.row[sort.key] as CellValue];
+      const order = compareValues(valueA, valueB, column.type);
+      // Empty cells stay at the bottom whichever the direction
+      const empty = valueA === null || valueA === undefined || valueA === '' || valueB === null || valueB === undefined || valueB === '';
+      return sort.descending && !empty ? -order : order;
+    });
+  }
+
+  if (rows.length === 0) {
+    return <div className="text-sm text-gray-500 text-center py-4">{emptyMessage}</div>;
+  }
+
+  return (
+    <div className="overflow-auto max-h-[480px] border border-gray-200 rounded-md">
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 text-gray-600 text-left sticky top-0">
+          <tr>
+            {columns.map(entry => (
+              <th key={entry.key} className="p-2 font-medium">
+                <button
+                  onClick={() => toggleSort(entry.key)}
+                  className="flex items-center gap-1 hover:text-gray-900"
+                >
+                  {entry.label}
+                  {sort?.key === entry.key
+                    ? (sort.descending ? <ChevronDown size={14} /> : <ChevronUp size={14} />)
+                    : <ChevronsUpDown size={14} className="text-gray-300" />}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map(({ row, key }) => (
+            <React.Fragment key={key}>
+              <tr
+                onClick={renderDetail ? () => setExpandedKey(expandedKey === key ? null : key) : undefined}
+                className={`border-t border-gray-100 ${renderDetail ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+              >
+                {columns.map(entry => (
+                  <td key={entry.key} className={`p-2 text-gray-700 ${entry.className || ''}`}>
+                    {(row[entry.key] as CellValue) ?? ''}
+                  </td>
+                ))}
+              </tr>
+              {renderDetail && expandedKey === key && (
+                <tr className="bg-gray-50">
+                  <td colSpan={columns.length} className="p-2">{renderDetail(row)}</td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { SqlFormatSettings } from '../types';
+
+interface SqlFormatSettingsEditorProps {
+  settings: SqlFormatSettings;
+  onSave: (settings: SqlFormatSettings) => void;
+  onCancel: () => void;
+}
+
+const CASE_FIELDS: { key: 'keywordCase' | 'dataTypeCase' | 'functionCase'; label: string }[] = [
+  { key: 'keywordCase', label: 'Keywords' },
+  { key: 'dataTypeCase', label: 'Data types' },
+  { key: 'functionCase', label: 'Functions' }
+];
+
+const FLAG_FIELDS: { key: 'useTabs' | 'formatOnUpload' | 'formatOnSave'; label: string }[] = [
+  { key: 'useTabs', label: 'Indent with tabs' },
+  { key: 'formatOnUpload', label: 'Format uploaded files' },
+  { key: 'formatOnSave', label: 'Format when adding a file' }
+];
+
+export const SqlFormatSettingsEditor: React.FC<SqlFormatSettingsEditorProps> = ({
+  settings,
+  onSave,
+  onCancel
+}) => {
+  const [values, setValues] = useState<SqlFormatSettings>(settings);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">SQL format settings</h3>
+          <button onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-700 rounded-md">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          {CASE_FIELDS.map(field => (
+            <label key={field.key} className="text-sm text-gray-700">
+              {field.label}
+              <select
+                value={values[field.key]}
+                onChange={(e) => setValues(prev => ({
+                  ...prev,
+                  [field.key]: e.target.value as SqlFormatSettings['keywordCase']
+                }))}
+                className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="upper">UPPER</option>
+                <option value="lower">lower</option>
+                <option value="preserve">As written</option>
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          <label className="text-sm text-gray-700">
+            Indent width
+            <input
+              type="number"
+              min={1}
+              max={8}
+              value={values.tabWidth}
+              onChange={(e) => setValues(prev => ({ ...prev, tabWidth: Number(e.target.value) }))}
+              className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Blank lines
+            <input
+              type="number"
+              min={0}
+              max={5}
+              value={values.linesBetweenQueries}
+              onChange={(e) => setValues(prev => ({ ...prev, linesBetweenQueries: Number(e.target.value) }))}
+              className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+              title="Blank lines between statements"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            AND / OR
+            <select
+              value={values.logicalOperatorNewline}
+              onChange={(e) => setValues(prev => ({
+                ...prev,
+                logicalOperatorNewline: e.target.value as SqlFormatSettings['logicalOperatorNewline']
+              }))}
+              className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="before">Line start</option>
+              <option value="after">Line end</option>
+            </select>
+          </label>
+        </div>
+
+        <div className="space-y-2 mb-6">
+          {FLAG_FIELDS.map(field => (
+            <label key={field.key} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={values[field.key]}
+                onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.checked }))}
+              />
+              {field.label}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(values)}
+            className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Lock, Unlock, RefreshCw, Loader2, Users, AlertTriangle } from 'lucide-react';
+import { LiquibaseLock, LiquibaseTargetLocks } from '../types';
+
+interface TargetLocksProps {
+  workingDirectory: string;
+  // Environment name, '' for liquibase.properties
+  environment: string;
+  refreshKey: number;
+  disabled: boolean;
+  onReleaseLocks: (locks: LiquibaseLock[]) => void;
+}
+
+const formatTime = (time: number | undefined) => (time ? new Date(time).toLocaleTimeString() : '');
+
+// Who runs against the selected database, who waits for it, and the DATABASECHANGELOGLOCK.
+// Checking the lock starts Liquibase, so it is only done on request and after later runs.
+export const TargetLocks: React.FC<TargetLocksProps> = ({
+  workingDirectory,
+  environment,
+  refreshKey,
+  disabled,
+  onReleaseLocks
+}) => {
+  const [state, setState] = useState<LiquibaseTargetLocks | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // Refreshed after runs only once the operator asked for it
+  const requested = useRef(false);
+
+  useEffect(() => {
+    setState(null);
+    setError(null);
+    requested.current = false;
+  }, [workingDirectory, environment]);
+
+  const loadLocks = useCallback(async () => {
+    requested.current = true;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ workingDirectory, environment });
+      const response = await fetch(`http://localhost:3000/api/liquibase/locks?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      setState(data);
+      setError(null);
+    } catch (error) {
+      setError(`Failed to check locks: ${error instanceof Error ? error.message : error}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [workingDirectory, environment]);
+
+  useEffect(() => {
+    if (requested.current) {
+      loadLocks();
+    }
+  }, [loadLocks, refreshKey]);
+
+  const locks = state?.locks ?? [];
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-800 flex items-center gap-2">
+          <Lock size={20} />
+          Database lock · {environment || 'liquibase.properties'}
+        </h3>
+        <button
+          onClick={loadLocks}
+          disabled={loading}
+          className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md
+                   flex items-center gap-2 disabled:opacity-50"
+          title="Run listLocks and show the runs queued on this database"
+        >
+          {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCw size={16} />}
+          {state ? 'Refresh' : 'Check locks'}
+        </button>
+      </div>
+      {(state || error) && (
+        <div className="p-4 space-y-3 text-sm">
+          {error && <p className="text-red-600">{error}</p>}
+          {state && (
+            <>
+              <div className="flex items-start gap-2 text-gray-700">
+                <Users size={16} className="mt-0.5 text-gray-500" />
+                <div>
+                  {state.holder ? (
+                    <p>
+                      <span className="font-medium">{state.holder.user}</span> is running{' '}
+                      <span className="font-mono">{state.holder.command}</span> since {formatTime(state.holder.startedAt)}
+                    </p>
+                  ) : (
+                    <p>No run of this server is using the database</p>
+                  )}
+                  {state.waiting.length > 0 && (
+                    <p className="text-gray-500">
+                      Waiting: {state.waiting.map(run => `${run.user} (${run.command})`).join(', ')}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {state.locks === null ? (
+                <p className="text-red-600">listLocks failed: {state.error}</p>
+              ) : locks.length === 0 ? (
+                <p className="flex items-center gap-2 text-green-700">
+                  <Unlock size={16} />
+                  The database is not locked
+                </p>
+              ) : (
+                <div
+                  className={`rounded-md border px-3 py-2 ${state.stale ? 'bg-amber-50 border-amber-200' : 'bg-gray-50 border-gray-200'}`}
+                >
+                  {locks.map((lock, index) => (
+                    <p key={index} className="flex items-center gap-2 text-gray-700">
+                      <Lock size={16} />
+                      Locked by <span className="font-mono">{lock.lockedBy}</span> since{' '}
+                      {lock.grantedAt ? new Date(lock.grantedAt).toLocaleString() : lock.granted}
+                    </p>
+                  ))}
+                  {state.stale ? (
+                    <div className="mt-2 flex items-center justify-between gap-4">
+                      <p className="flex items-center gap-2 text-amber-700">
+                        <AlertTriangle size={16} />
+                        No run of this server holds the database; the lock looks left over from an interrupted run
+                      </p>
+                      <button
+                        onClick={() => onReleaseLocks(locks)}
+                        disabled={disabled}
+                        className="px-3 py-1.5 bg-amber-600 text-white rounded-md hover:bg-amber-700
+                                 disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+                      >
+                        Release stale lock
+                      </button>
+                    </div>
+                  ) : (
+                    <p className="mt-2 text-gray-500">
+                      {state.holder ? 'Held by the run in progress' : 'Granted recently; it may belong to a run of another client'}
+                    </p>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
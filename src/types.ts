@@ -5,4 +5,277 @@ export interface ProjectConfig {
     name: string;
     files: string[];
   }>;
-} 
\ No newline at end of file
+} 
+
+export interface CheckResult {
+  type: 'info' | 'success' | 'warning' | 'error';
+  category: string;
+  message: string;
+}
+
+// One file a fix would touch, with the unified diff of the change
+export interface FileChange {
+  file: string;
+  type: 'directory' | 'create' | 'modify' | 'delete';
+  diff: string;
+}
+
+export interface Action {
+  label: string;
+  handler: () => Promise<void>;
+  // Lists the file changes the handler would make, shown for confirmation before it runs
+  preview?: () => Promise<FileChange[]>;
+}
+
+export interface Suggestion {
+  actions: Action[];
+}
+
+export interface LogEntry {
+  id: number;
+  message: string;
+  type: CheckResult['type'];
+  suggestion: Suggestion | null;
+}
+
+export interface Environment {
+  name: string;
+  url: string;
+  username?: string;
+  passwordEnv?: string;
+  driver?: string;
+  classpath?: string;
+  changeLogFile?: string;
+  contexts?: string;
+  labels?: string;
+  protected?: boolean;
+  maxRollbackCount?: number;
+  // Where Liquibase runs for this environment; the server default when unset
+  executor?: 'local' | 'remote';
+  // Age at which a database lock no run holds counts as stale, and the time zone of the JVM
+  // that writes and lists it; the server defaults when unset
+  staleLockMinutes?: number;
+  lockTimeZone?: string;
+}
+
+// Attributes the Generator writes on an object's changeSet and its sqlFile
+export interface ChangeSetAttributes {
+  context?: string;
+  labels?: string;
+  runOnChange?: boolean;
+  runAlways?: boolean;
+  failOnError?: boolean;
+  dbms?: string;
+  splitStatements?: boolean;
+  endDelimiter?: string;
+  stripComments?: boolean;
+}
+
+// Oracle SQL formatter settings of a project (see server/utils/sqlFormat.js)
+export interface SqlFormatSettings {
+  keywordCase: 'preserve' | 'upper' | 'lower';
+  dataTypeCase: 'preserve' | 'upper' | 'lower';
+  functionCase: 'preserve' | 'upper' | 'lower';
+  tabWidth: number;
+  useTabs: boolean;
+  logicalOperatorNewline: 'before' | 'after';
+  linesBetweenQueries: number;
+  formatOnUpload: boolean;
+  formatOnSave: boolean;
+}
+
+// Outcome of formatting every SQL file of a project
+export interface SqlFormatReport {
+  changed: string[];
+  unchanged: number;
+  failed: { file: string; error: string }[];
+}
+
+// A parameter of a Liquibase command (see server/utils/liquibaseCommands.js)
+export interface LiquibaseCommandParam {
+  name: string;
+  type: 'string' | 'integer' | 'date' | 'enum' | 'boolean' | 'path';
+  required: boolean;
+  label: string;
+  placeholder?: string;
+  // The characters a string value may contain, checked by the server
+  patternDescription?: string;
+  min?: number;
+  max?: number;
+  maxLength?: number;
+  values?: string[];
+  suggestions?: 'releases';
+}
+
+export interface LiquibaseCommandDefinition {
+  name: string;
+  category: 'status' | 'deployment' | 'rollback' | 'maintenance';
+  label: string;
+  description: string;
+  // Needs typed confirmation on protected environments
+  destructive: boolean;
+  requiredPreview: string | null;
+  params: LiquibaseCommandParam[];
+}
+
+// Structured output of a Liquibase run (see server/utils/liquibaseOutput.js)
+export interface LiquibaseChangeSetRef {
+  changelog: string;
+  id: string | null;
+  author: string | null;
+}
+
+export interface LiquibaseHistoryRow {
+  deploymentId: string | null;
+  date: string | null;
+  changelog: string | null;
+  id: string | null;
+  author: string | null;
+  tag: string | null;
+  // Only filled when the Liquibase version prints it
+  execType: string | null;
+}
+
+// A DATABASECHANGELOGLOCK row as listLocks prints it
+export interface LiquibaseLock {
+  lockedBy: string;
+  // As printed, in the JVM's locale
+  granted: string;
+  // ISO date, null when the printed date could not be read. The lock panel gets it read in the
+  // profile's lock time zone; a run result has the local date-time as printed, without zone
+  grantedAt: string | null;
+}
+
+export type LiquibaseResult =
+  | { type: 'status'; pendingCount: number | null; changeSets: LiquibaseChangeSetRef[] }
+  | { type: 'history'; rows: LiquibaseHistoryRow[] }
+  | { type: 'sql'; preamble: string; changeSets: (LiquibaseChangeSetRef & { sql: string })[] }
+  | { type: 'locks'; target: string | null; locks: LiquibaseLock[] };
+
+// A run holding or waiting for a database on the server (see server/utils/targetQueue.js)
+export interface LiquibaseQueuedRun {
+  runId: string;
+  user: string;
+  command: string;
+  environment: string | null;
+  queuedAt: number;
+  startedAt?: number;
+}
+
+export interface LiquibaseTargetLocks {
+  holder: LiquibaseQueuedRun | null;
+  waiting: LiquibaseQueuedRun[];
+  // null when listLocks failed
+  locks: LiquibaseLock[] | null;
+  stale: boolean;
+  error: string | null;
+  errors: LiquibaseError[];
+}
+
+export interface LiquibaseError {
+  type: 'lock-held' | 'checksum-mismatch' | 'missing-driver' | 'oracle';
+  message: string;
+  hint?: string;
+  // ORA- code of Oracle errors
+  code?: string;
+}
+
+// A script found by the import wizard; category is null when no layout category fits
+export interface ImportFile {
+  file: string;
+  name: string;
+  objectType: string | null;
+  objectName: string | null;
+  category: string | null;
+  // Scripts of the folder creating objects this one references
+  dependsOn: string[];
+  // An object of that name is already in the category
+  exists: boolean;
+}
+
+export type PreconditionAction = 'HALT' | 'CONTINUE' | 'MARK_RAN' | 'WARN';
+
+// A precondition template offered by the server; categories is null when it suits every category
+export interface PreconditionTemplate {
+  id: string;
+  label: string;
+  categories: string[] | null;
+  fields: ('objectName' | 'sql' | 'expectedResult')[];
+}
+
+export interface Precondition {
+  template: string;
+  objectName?: string;
+  sql?: string;
+  expectedResult?: string;
+  onFail?: PreconditionAction;
+  onError?: PreconditionAction;
+}
+
+export interface LayoutCategory {
+  name: string;
+  label: string;
+  changelog?: string;
+  standalone?: boolean;
+  // Attributes new objects of the category start with
+  changeSetDefaults?: ChangeSetAttributes;
+}
+
+export interface ProjectLayout {
+  rootChangelog: string;
+  categoryChangelog: string;
+  categories: LayoutCategory[];
+  defaultAuthor: string;
+}
+
+// A tagDatabase changeSet of a tag changelog; `version` is the label used in changelog names
+export interface Release {
+  tag: string;
+  version: string;
+  changeSetId: string;
+  author: string;
+  // Tag changelog the release was written to; set when it was just created
+  changelog?: string;
+}
+
+export type ReleasePart = 'major' | 'minor' | 'patch';
+
+export interface GitFile {
+  file: string;
+  status: 'modified' | 'added' | 'deleted' | 'renamed' | 'conflicted' | 'untracked';
+  staged: boolean;
+  from?: string;
+}
+
+// Changelog and SQL changes under the working directory; isRepo is false outside git
+export interface GitStatus {
+  isRepo: boolean;
+  branch: string | null;
+  files: GitFile[];
+}
+
+// A group of file writes made by one request, kept so it can be undone
+export interface JournalOperation {
+  id: string;
+  workingDirectory: string;
+  type: 'build' | 'release' | 'fix' | 'config' | 'format';
+  summary: string;
+  createdAt: string;
+  undoneAt: string | null;
+  directories: string[];
+  files: { file: string; created: boolean }[];
+}
+
+export interface ChangelogNode {
+  file: string;
+  via: { type: 'include' | 'includeAll'; value: string } | null;
+  kind: 'changelog' | 'file' | 'directory';
+  status: 'ok' | 'missing' | 'invalid' | 'cycle' | 'duplicate' | 'outside';
+  error: string | null;
+  changeSets: Array<{
+    id: string;
+    author: string;
+    sqlFiles: Array<{ path: string; file: string; exists: boolean }>;
+  }>;
+  children: ChangelogNode[];
+}
@@ -1,10 +1,15 @@
 import { CheckResult } from '../types';
+import { getProjectLayout } from './layout';
 
 export class StructureChecker {
-  private readonly CATEGORIES = ['tables', 'views', 'materialized_views', 'procedures', 'sequences'];
+  private categories: string[] = [];
   private version: string | null = null;
 
-  constructor(private workingDirectory: string) {}
+  /**
+   * @param driftTarget when set, also compare the changelogs with that target's DATABASECHANGELOG:
+   * an environment name, or '' for the project's liquibase.properties
+   */
+  constructor(private workingDirectory: string, private driftTarget: string | null = null) {}
 
   async check(onLog: (result: CheckResult) => void): Promise<boolean> {
     let totalErrors = 0;
@@ -23,6 +28,19 @@ export class StructureChecker {
       message: `Checking directory: ${this.workingDirectory}` 
     });
 
+    // Load the project layout (.liquibase-tower.json or the built-in defaults)
+    try {
+      const layout = await getProjectLayout(this.workingDirectory);
+      this.categories = layout.categories.map(category => category.name);
+    } catch (error) {
+      onLog({ 
+        type: 'error', 
+        category: 'system', 
+        message: `Failed to load project layout: ${error instanceof Error ? error.message : error}` 
+      });
+      return false;
+    }
+
     // Check tag-database.xml
     try {
       const response = await fetch('http://localhost:3000/api/get-version', {
@@ -84,7 +102,7 @@ export class StructureChecker {
     }
 
     // Check each category
-    for (const category of this.CATEGORIES) {
+    for (const category of this.categories) {
       onLog({ 
         type: 'info', 
         category: 'system', 
@@ -126,6 +144,54 @@ export class StructureChecker {
         totalErrors += referencesResults.errors;
         referencesResults.logs.forEach(log => onLog(log));
 
+        // Check that changesets can be rolled back
+        const rollbacksResponse = await fetch('http://localhost:3000/api/check-rollbacks', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            workingDirectory: this.workingDirectory,
+            category
+          })
+        });
+
+        const rollbacksResults = await rollbacksResponse.json();
+        totalErrors += rollbacksResults.errors;
+        rollbacksResults.logs.forEach(onLog);
+
+        // Check that preconditions are well-formed
+        const preconditionsResponse = await fetch('http://localhost:3000/api/check-preconditions', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            workingDirectory: this.workingDirectory,
+            category
+          })
+        });
+
+        const preconditionsResults = await preconditionsResponse.json();
+        totalErrors += preconditionsResults.errors;
+        preconditionsResults.logs.forEach(onLog);
+
+        // Lint the SQL scripts for Oracle mistakes that break deployments
+        const sqlResponse = await fetch('http://localhost:3000/api/check-sql', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            workingDirectory: this.workingDirectory,
+            category
+          })
+        });
+
+        const sqlResults = await sqlResponse.json();
+        totalErrors += sqlResults.errors;
+        sqlResults.logs.forEach(onLog);
+
       } catch (error) {
         onLog({ 
           type: 'error', 
@@ -136,6 +202,66 @@ export class StructureChecker {
       }
     }
 
+    // Check that every object is deployed after the objects it references
+    try {
+      const response = await fetch('http://localhost:3000/api/check-dependencies', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          workingDirectory: this.workingDirectory,
+          version: this.version
+        })
+      });
+
+      const dependencyResults = await response.json();
+      if (!response.ok) throw new Error(dependencyResults.error);
+      totalErrors += dependencyResults.errors;
+      dependencyResults.logs.forEach(onLog);
+    } catch (error) {
+      onLog({ 
+        type: 'error', 
+        category: 'system', 
+        message: `Failed to check dependencies: ${error instanceof Error ? error.message : error}` 
+      });
+      totalErrors++;
+    }
+
+    // Compare with what is deployed on the target database
+    if (this.driftTarget !== null) {
+      onLog({ 
+        type: 'info', 
+        category: 'system', 
+        message: '\nChecking deployed changesets...' 
+      });
+
+      try {
+        const response = await fetch('http://localhost:3000/api/check-drift', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            workingDirectory: this.workingDirectory,
+            environment: this.driftTarget || undefined
+          })
+        });
+
+        const driftResults = await response.json();
+        if (!response.ok) throw new Error(driftResults.error);
+        totalErrors += driftResults.errors;
+        driftResults.logs.forEach(onLog);
+      } catch (error) {
+        onLog({ 
+          type: 'error', 
+          category: 'system', 
+          message: `Failed to check drift: ${error instanceof Error ? error.message : error}` 
+        });
+        totalErrors++;
+      }
+    }
+
     // Log summary
     onLog({ 
       type: totalErrors > 0 ? 'error' : 'success', 
@@ -0,0 +1,34 @@
+import { FileChange, GitStatus } from '../types';
+
+export const getGitStatus = async (workingDirectory: string): Promise<GitStatus> => {
+  const params = new URLSearchParams({ workingDirectory });
+  const response = await fetch(`http://localhost:3000/api/git/status?${params}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.status;
+};
+
+// Diffs against HEAD of the given changed files, all of them when none are given
+export const getGitDiff = async (workingDirectory: string, files: string[] = []): Promise<FileChange[]> => {
+  const params = new URLSearchParams({ workingDirectory });
+  files.forEach(file => params.append('file', file));
+  const response = await fetch(`http://localhost:3000/api/git/diff?${params}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.changes;
+};
+
+export const commitChanges = async (
+  workingDirectory: string,
+  message: string,
+  files: string[]
+): Promise<{ hash: string; subject: string; files: string[] }> => {
+  const response = await fetch('http://localhost:3000/api/git/commit', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ workingDirectory, message, files })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.commit;
+};
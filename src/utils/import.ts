@@ -0,0 +1,36 @@
+import { FileChange, ImportFile, JournalOperation } from '../types';
+
+export const scanImportSource = async (workingDirectory: string, sourceDirectory: string): Promise<ImportFile[]> => {
+  const response = await fetch('http://localhost:3000/api/import/scan', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ workingDirectory, sourceDirectory })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.files;
+};
+
+// With dryRun the server only returns the diffs of the files the import would write
+export const importSqlFiles = async (workingDirectory: string, request: {
+  sourceDirectory: string;
+  author: string;
+  version: string;
+  files: { file: string; name: string; category: string }[];
+  dryRun: boolean;
+}): Promise<{
+  changes?: FileChange[];
+  operation?: JournalOperation | null;
+  // category/name of every imported script, in changelog order
+  order: string[];
+  warnings: string[];
+}> => {
+  const response = await fetch('http://localhost:3000/api/import', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ workingDirectory, ...request })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data;
+};
@@ -0,0 +1,21 @@
+import { JournalOperation } from '../types';
+
+export const getOperations = async (
+  workingDirectory: string,
+  type?: JournalOperation['type']
+): Promise<JournalOperation[]> => {
+  const params = new URLSearchParams({ workingDirectory });
+  if (type) params.set('type', type);
+  const response = await fetch(`http://localhost:3000/api/journal?${params}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.operations;
+};
+
+// Fails when a file changed after the operation wrote it, the server never overwrites those
+export const undoOperation = async (id: string): Promise<JournalOperation> => {
+  const response = await fetch(`http://localhost:3000/api/journal/${id}/undo`, { method: 'POST' });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.operation;
+};
@@ -0,0 +1,29 @@
+import { ProjectLayout } from '../types';
+
+export const getProjectLayout = async (workingDirectory: string): Promise<ProjectLayout> => {
+  const params = new URLSearchParams({ workingDirectory });
+  const response = await fetch(`http://localhost:3000/api/project-config?${params}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.layout;
+};
+
+export const saveProjectLayout = async (workingDirectory: string, layout: ProjectLayout): Promise<ProjectLayout> => {
+  const response = await fetch('http://localhost:3000/api/project-config/layout', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ workingDirectory, layout })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.layout;
+};
+
+// Same substitution as formatLayoutName in server/utils/projectConfig.js
+export const getCategoryChangelog = (layout: ProjectLayout, categoryName: string, version: string): string => {
+  const category = layout.categories.find(cat => cat.name === categoryName);
+  return (category?.changelog || layout.categoryChangelog)
+    .replace(/\{version\}/g, version)
+    .replace(/\{CATEGORY\}/g, categoryName.toUpperCase())
+    .replace(/\{category\}/g, categoryName);
+};
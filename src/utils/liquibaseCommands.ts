@@ -0,0 +1,8 @@
+import { LiquibaseCommandDefinition } from '../types';
+
+export const getLiquibaseCommands = async (): Promise<LiquibaseCommandDefinition[]> => {
+  const response = await fetch('http://localhost:3000/api/liquibase/commands');
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.commands;
+};
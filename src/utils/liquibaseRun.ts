@@ -0,0 +1,51 @@
+import { readEventStream } from './eventStream';
+
+// Identifies this page load so the server can tell which previews were generated in it.
+// Shared with the Installer, so a preview run there authorises the Checker's drift fixes.
+export const SESSION_ID = crypto.randomUUID();
+
+interface RunResult {
+  runId: string;
+  success: boolean;
+  exitCode: number | null;
+  error?: string;
+}
+
+interface RunRequest {
+  workingDirectory: string;
+  command: string;
+  environment?: string;
+  confirmEnvironment?: string;
+}
+
+// Run a Liquibase command outside the Installer and wait for it to finish.
+// Protected targets ask the operator to type their name, as the Installer does.
+export const runLiquibase = async (request: RunRequest): Promise<RunResult> => {
+  const response = await fetch('http://localhost:3000/api/liquibase', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...request, sessionId: SESSION_ID })
+  });
+
+  if (!response.ok) {
+    const data = await response.json();
+    if (data.policy === 'confirmation-required' && !request.confirmEnvironment) {
+      const confirmation = window.prompt(`${data.error}:`);
+      if (confirmation === null) throw new Error(`${request.command} cancelled`);
+      return runLiquibase({ ...request, confirmEnvironment: confirmation });
+    }
+    throw new Error(data.error);
+  }
+
+  let result: RunResult | null = null;
+  await readEventStream(response, (event, data) => {
+    if (event === 'end') {
+      result = data as RunResult;
+    }
+  });
+
+  if (!result) throw new Error(`${request.command} ended without a result`);
+  const { success, error } = result as RunResult;
+  if (!success) throw new Error(error || `${request.command} failed`);
+  return result;
+};
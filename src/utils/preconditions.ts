@@ -0,0 +1,17 @@
+import { PreconditionAction, PreconditionTemplate } from '../types';
+
+export const getPreconditionTemplates = async (): Promise<{
+  templates: PreconditionTemplate[];
+  actions: PreconditionAction[];
+}> => {
+  const response = await fetch('http://localhost:3000/api/precondition-templates');
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data;
+};
+
+// Templates meant for a category, then the ones that suit any category
+export const getCategoryTemplates = (templates: PreconditionTemplate[], category: string) => [
+  ...templates.filter(template => template.categories?.includes(category)),
+  ...templates.filter(template => template.categories === null)
+];
@@ -0,0 +1,51 @@
+import { FileChange, JournalOperation, SqlFormatReport, SqlFormatSettings } from '../types';
+
+export const getSqlFormatSettings = async (workingDirectory: string): Promise<SqlFormatSettings> => {
+  const params = new URLSearchParams({ workingDirectory });
+  const response = await fetch(`http://localhost:3000/api/project-config?${params}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.sqlFormat;
+};
+
+export const saveSqlFormatSettings = async (
+  workingDirectory: string,
+  sqlFormat: SqlFormatSettings
+): Promise<SqlFormatSettings> => {
+  const response = await fetch('http://localhost:3000/api/project-config/sql-format', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ workingDirectory, sqlFormat })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.sqlFormat;
+};
+
+// Formats with the project's settings; PL/SQL blocks come back as written
+export const formatSql = async (workingDirectory: string, content: string): Promise<string> => {
+  const response = await fetch('http://localhost:3000/api/format-sql', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ workingDirectory, content })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.content;
+};
+
+// With dryRun the server only returns the report and the diffs of the files it would rewrite
+export const formatProjectSql = async (workingDirectory: string, dryRun: boolean): Promise<{
+  report: SqlFormatReport;
+  changes?: FileChange[];
+  operation?: JournalOperation | null;
+}> => {
+  const response = await fetch('http://localhost:3000/api/format-project-sql', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ workingDirectory, dryRun })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data;
+};
@@ -1,600 +1,180 @@
-import { mkdir, writeFile } from 'fs/promises';
-import { Action, Suggestion } from '../types';
-import { promises as fs } from 'fs';
-import path from 'path';
-
-// Helper function to get basename (replaces path.basename)
-function getBasename(path: string, ext?: string): string {
-  // Remove trailing slashes
-  let base = path.replace(/[\/\\]$/, '');
-  
-  // Get the part after the last slash
-  base = base.slice(base.lastIndexOf('/') + 1);
-  base = base.slice(base.lastIndexOf('\\') + 1);
-  
-  // Remove extension if specified
-  if (ext && base.endsWith(ext)) {
-    base = base.slice(0, -ext.length);
-  }
-  
-  return base;
-}
+import { FileChange, Suggestion } from '../types';
+import { runLiquibase } from './liquibaseRun';
+
+// Drift messages name their target as '<environment>' or 'liquibase.properties'
+const driftEnvironment = (target: string) => target === 'liquibase.properties' ? undefined : target;
+
+const requestFix = async (action: string, details: Record<string, string>, preview: boolean): Promise<FileChange[]> => {
+  const response = await fetch('http://localhost:3000/api/apply-fix', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      action,
+      preview,
+      details: { ...details, workingDirectory: window.workingDirectory }
+    })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `Failed to apply ${action}`);
+  return data.changes;
+};
+
+// A fix applied by /api/apply-fix, previewed with the same details before it runs
+const fixAction = (label: string, action: string, details: Record<string, string>) => ({
+  label,
+  preview: () => requestFix(action, details, true),
+  handler: async () => {
+    await requestFix(action, details, false);
+  }
+});
 
 export function getSuggestion(errorMessage: string): Suggestion | null {
   console.log('Checking suggestion for:', errorMessage);
 
-  // Existing handlers
-  // 1. Missing directory
-  if (errorMessage.includes('Missing') && errorMessage.includes('directory')) {
-    console.log('Found missing directory error');
-    const dirName = errorMessage.split('Missing ')[1].split(' directory')[0];
+  // Changeset without a rollback block
+  const rollbackMatch = errorMessage.match(/^Changeset '(.+)' in '([^']+)' has no rollback block/);
+  if (rollbackMatch) {
+    const [, changeSetId, xmlFile] = rollbackMatch;
     return {
-      actions: [
-        {
-          label: 'Create Directory',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ 
-                  action: 'create-directory',
-                  details: { dirName }
-                })
-              });
-              if (!response.ok) throw new Error('Failed to create directory');
-            } catch (error) {
-              console.error('Failed to create directory:', error);
-              throw error;
-            }
-          }
-        }
-      ]
+      actions: [fixAction('Add rollback file', 'add-rollback', { xmlFile, changeSetId })]
     };
   }
 
-  // 2. XML not declared in changelog
-  if (errorMessage.includes('is not declared in changelog-')) {
-    const match = errorMessage.match(/XML file '(.+?)' is not declared in (.+?)$/);
-    if (match) {
-      const [_, xmlFile, changelogFile] = match;
-      return {
-        actions: [
-          {
-            label: 'Add to Changelog',
-            handler: async () => {
-              try {
-                const response = await fetch('http://localhost:3000/api/apply-fix', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({ 
-                    action: 'add-to-changelog',
-                    details: { 
-                      xmlFile,
-                      changelogFile,
-                      workingDirectory: window.workingDirectory
-                    }
-                  })
-                });
-                if (!response.ok) throw new Error('Failed to add to changelog');
-              } catch (error) {
-                console.error('Failed to add to changelog:', error);
-                throw error;
-              }
-            }
-          }
-        ]
-      };
-    }
-  }
-
-  // 3. Missing tag-database.xml
-  if (errorMessage.includes('Missing tag-database.xml')) {
-    console.log('Found missing tag-database.xml error');
+  // Drift: changeset edited after deploy
+  const modifiedMatch = errorMessage.match(/was modified after it was deployed to '([^']+)'/);
+  if (modifiedMatch) {
+    const target = modifiedMatch[1];
     return {
-      actions: [
-        {
-          label: 'Create tag-database.xml',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ 
-                  action: 'create-tag-database'
-                })
-              });
-              if (!response.ok) throw new Error('Failed to create tag-database.xml');
-            } catch (error) {
-              console.error('Failed to create tag-database.xml:', error);
-              throw error;
-            }
-          }
+      actions: [{
+        label: `Clear checksums on ${target}`,
+        handler: async () => {
+          if (!window.confirm(`clearCheckSums resets every stored checksum on ${target}; they are recomputed on the next update. Continue?`)) {
+            throw new Error('clearCheckSums cancelled');
+          }
+          await runLiquibase({
+            workingDirectory: window.workingDirectory,
+            command: 'clearCheckSums',
+            environment: driftEnvironment(target)
+          });
         }
-      ]
+      }]
     };
   }
 
-  // 4. SQL file without XML file
-  if (errorMessage.includes('SQL file') && errorMessage.includes('has no corresponding XML file')) {
-    const match = errorMessage.match(/SQL file '(.+?)' has no corresponding XML file/);
-    if (match) {
-      const sqlFile = match[1];
-      return {
-        actions: [
-          {
-            label: 'Create XML File',
-            handler: async () => {
-              try {
-                const response = await fetch('http://localhost:3000/api/apply-fix', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({ 
-                    action: 'create-xml-and-reference',
-                    details: { 
-                      sqlFile,
-                      xmlFile: sqlFile.replace('sql/', '').replace('.sql', '.xml'),
-                      category: sqlFile.split('/')[0],
-                      workingDirectory: window.workingDirectory
-                    }
-                  })
-                });
-                if (!response.ok) throw new Error('Failed to create XML file');
-              } catch (error) {
-                console.error('Failed to create XML file:', error);
-                throw error;
-              }
-            }
-          }
-        ]
-      };
-    }
-  }
-
-  // 5. Referenced XML file doesn't exist
-  if (errorMessage.includes('referenced in') && errorMessage.includes('does not exist')) {
-    console.log('Found referenced file error');
-    const fileMatch = errorMessage.match(/File '([^']+)'/);
-    // Fix the category extraction - look for it in the changelog filename
-    const categoryMatch = errorMessage.match(/changelog-\d+-([A-Z_]+)\.xml/);
-    const versionMatch = errorMessage.match(/changelog-(\d+)-/);
-    
-    console.log('Matches:', { fileMatch, categoryMatch, versionMatch });
-    
-    if (fileMatch && categoryMatch) {
-      const xmlFile = fileMatch[1];
-      const category = categoryMatch[1].toLowerCase();
-      const version = versionMatch ? versionMatch[1] : '49';
-      
-      console.log('Creating suggestion for:', { xmlFile, category, version });
-      
-      return {
-        actions: [{
-          label: 'Create Referenced File',
-          handler: async () => {
-            try {
-              console.log('Sending request to create file:', { xmlFile, category, version });
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'create-referenced-file',
-                  details: {
-                    xmlFile,
-                    category,
-                    version,
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              
-              if (!response.ok) {
-                const errorData = await response.json();
-                console.error('Server returned error:', errorData);
-                throw new Error(errorData.error || 'Failed to create XML file');
-              }
-            } catch (error) {
-              console.error('Failed to create referenced file:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
-  }
-
-  // 6. XML file not declared in changelog
-  if (errorMessage.includes('exists but is not declared in')) {
-    const fileMatch = errorMessage.match(/XML file '([^']+)'/);
-    const categoryMatch = errorMessage.match(/\[([^\]]+)\]/);
-    const versionMatch = errorMessage.match(/changelog-(\d+)-/);
-    
-    if (fileMatch && categoryMatch && versionMatch) {
-      const xmlFile = getBasename(fileMatch[1]);
-      const category = categoryMatch[1].toLowerCase();
-      const version = versionMatch[1];
-      
-      return {
-        actions: [{
-          label: 'Add to Changelog',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'add-to-changelog',
-                  details: {
-                    xmlFile,
-                    category,
-                    version,
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              
-              if (!response.ok) {
-                throw new Error('Failed to add to changelog');
-              }
-            } catch (error) {
-              console.error('Failed to add to changelog:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
-  }
-
-  // 7. SQL file missing
-  if (errorMessage.includes('has no corresponding SQL file')) {
-    const fileMatch = errorMessage.match(/SQL file '([^']+)'/);
-    const categoryMatch = errorMessage.match(/\[([^\]]+)\]/);
-    
-    if (fileMatch && categoryMatch) {
-      const sqlFile = getBasename(fileMatch[1]);
-      const category = categoryMatch[1].toLowerCase();
-      
-      return {
-        actions: [{
-          label: 'Create SQL File',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'create-sql-file',
-                  details: {
-                    sqlFile,
-                    category,
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              
-              if (!response.ok) {
-                throw new Error('Failed to create SQL file');
-              }
-            } catch (error) {
-              console.error('Failed to create SQL file:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
+  // Drift: changeset not deployed yet, e.g. because it was applied by hand
+  const pendingMatch = errorMessage.match(/is pending on '([^']+)'$/);
+  if (pendingMatch) {
+    const target = pendingMatch[1];
+    return {
+      actions: [{
+        label: `Mark all pending as deployed on ${target}`,
+        handler: async () => {
+          if (!window.confirm(`changelogSync records every pending changeset as deployed on ${target} without running it. Continue?`)) {
+            throw new Error('changelogSync cancelled');
+          }
+          await runLiquibase({
+            workingDirectory: window.workingDirectory,
+            command: 'changelogSync',
+            environment: driftEnvironment(target)
+          });
+        }
+      }]
+    };
   }
 
-  // New handlers
-  // 8. Changelog not in main changelog
-  if (errorMessage.includes('exists but is not declared in changelog-SIO2-all.xml')) {
-    const fileMatch = errorMessage.match(/Changelog file '([^']+)'/);
-    if (fileMatch) {
-      const changelogFile = fileMatch[1];
-      return {
-        actions: [{
-          label: 'Add to Main Changelog',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'add-to-main-changelog',
-                  details: {
-                    changelogFile,
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              if (!response.ok) throw new Error('Failed to add to main changelog');
-            } catch (error) {
-              console.error('Failed to add to main changelog:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
+  // Object included before an object it references
+  if (/^'[^']+' is deployed before '[^']+', which it depends on$/.test(errorMessage)) {
+    return {
+      actions: [fixAction('Reorder includes by dependency', 'reorder-includes', {})]
+    };
   }
 
-  // 9. Invalid XML format
-  if (errorMessage.includes('Invalid XML format')) {
-    const fileMatch = errorMessage.match(/in file '([^']+)'/);
-    if (fileMatch) {
-      return {
-        actions: [{
-          label: 'Fix XML Format',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'fix-xml-format',
-                  details: {
-                    xmlFile: fileMatch[1],
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              if (!response.ok) throw new Error('Failed to fix XML format');
-            } catch (error) {
-              console.error('Failed to fix XML format:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
+  // 1. Missing category directory
+  const directoryMatch = errorMessage.match(/^Missing (.+) directory$/);
+  if (directoryMatch) {
+    return {
+      actions: [fixAction('Create Directory', 'create-directory', { directory: directoryMatch[1] })]
+    };
   }
 
-  // 10. Invalid SQL format
-  if (errorMessage.includes('Invalid SQL format')) {
-    const fileMatch = errorMessage.match(/in file '([^']+)'/);
-    if (fileMatch) {
-      return {
-        actions: [{
-          label: 'Fix SQL Format',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'fix-sql-format',
-                  details: {
-                    sqlFile: fileMatch[1],
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              if (!response.ok) throw new Error('Failed to fix SQL format');
-            } catch (error) {
-              console.error('Failed to fix SQL format:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
+  // 2. Missing tag-database.xml
+  if (errorMessage === 'Missing tag-database.xml') {
+    // Asked once, so the preview and the fix use the same version
+    let version: string | null = null;
+    const askVersion = () => {
+      version = version || window.prompt('Version of the first release (e.g. 49 or 49.1.0)');
+      if (!version) throw new Error('No version given');
+      return version;
+    };
+    return {
+      actions: [{
+        label: 'Create tag-database.xml',
+        preview: () => requestFix('create-tag-database', { version: askVersion() }, true),
+        handler: async () => {
+          await requestFix('create-tag-database', { version: askVersion() }, false);
+        }
+      }]
+    };
   }
 
-  // 11. Duplicate entries in changelog
-  if (errorMessage.includes('Duplicate entry')) {
-    const matches = errorMessage.match(/Duplicate entry '([^']+)' in '([^']+)'/);
-    if (matches) {
-      return {
-        actions: [{
-          label: 'Remove Duplicate Entry',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'remove-duplicate-entry',
-                  details: {
-                    entry: matches[1],
-                    changelogFile: matches[2],
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              if (!response.ok) throw new Error('Failed to remove duplicate entry');
-            } catch (error) {
-              console.error('Failed to remove duplicate entry:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
+  // 3. SQL file without XML file
+  const orphanSqlMatch = errorMessage.match(/^SQL file '(.+?)' has no corresponding XML file$/);
+  if (orphanSqlMatch) {
+    const sqlFile = orphanSqlMatch[1];
+    return {
+      actions: [fixAction('Create XML File', 'create-xml-and-reference', {
+        sqlFile,
+        category: sqlFile.split('/')[0]
+      })]
+    };
   }
 
-  // 12. Wrong version number in changelog
-  if (errorMessage.includes('Invalid version number')) {
-    const matches = errorMessage.match(/in file '([^']+)'/);
-    if (matches) {
-      return {
-        actions: [{
-          label: 'Fix Version Number',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'fix-version-number',
-                  details: {
-                    changelogFile: matches[1],
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              if (!response.ok) throw new Error('Failed to fix version number');
-            } catch (error) {
-              console.error('Failed to fix version number:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
+  // 4. File included by a changelog doesn't exist
+  const referencedMatch = errorMessage.match(/^File '([^']+)' referenced in (.+) does not exist$/);
+  if (referencedMatch) {
+    const [, file, changelogFile] = referencedMatch;
+    return {
+      actions: [fixAction('Create Referenced File', 'create-referenced-file', { file, changelogFile })]
+    };
   }
 
-  // 13. Wrong category name
-  if (errorMessage.includes('Invalid category name')) {
-    const matches = errorMessage.match(/in file '([^']+)'/);
-    if (matches) {
-      return {
-        actions: [{
-          label: 'Fix Category Name',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'fix-category-name',
-                  details: {
-                    changelogFile: matches[1],
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              if (!response.ok) throw new Error('Failed to fix category name');
-            } catch (error) {
-              console.error('Failed to fix category name:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
+  // 5. includeAll directory doesn't exist
+  const includeAllMatch = errorMessage.match(/^Directory '([^']+)' referenced in (.+) does not exist$/);
+  if (includeAllMatch) {
+    const [, directory, changelogFile] = includeAllMatch;
+    return {
+      actions: [fixAction('Create Directory', 'create-directory', { directory, changelogFile })]
+    };
   }
 
-  // 14. Orphaned XML files
-  if (errorMessage.includes('Orphaned XML file')) {
-    const fileMatch = errorMessage.match(/file '([^']+)'/);
-    if (fileMatch) {
-      return {
-        actions: [
-          {
-            label: 'Add to Changelog',
-            handler: async () => {
-              try {
-                const response = await fetch('http://localhost:3000/api/apply-fix', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({
-                    action: 'add-orphaned-xml',
-                    details: {
-                      xmlFile: fileMatch[1],
-                      workingDirectory: window.workingDirectory
-                    }
-                  })
-                });
-                if (!response.ok) throw new Error('Failed to add orphaned XML');
-              } catch (error) {
-                console.error('Failed to add orphaned XML:', error);
-                throw error;
-              }
-            }
-          },
-          {
-            label: 'Remove File',
-            handler: async () => {
-              try {
-                const response = await fetch('http://localhost:3000/api/apply-fix', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({
-                    action: 'remove-orphaned-xml',
-                    details: {
-                      xmlFile: fileMatch[1],
-                      workingDirectory: window.workingDirectory
-                    }
-                  })
-                });
-                if (!response.ok) throw new Error('Failed to remove orphaned XML');
-              } catch (error) {
-                console.error('Failed to remove orphaned XML:', error);
-                throw error;
-              }
-            }
-          }
-        ]
-      };
-    }
+  // 6. SQL file used by a changeSet doesn't exist
+  const sqlReferenceMatch = errorMessage.match(/^SQL file '([^']+)' referenced in '([^']+)' does not exist$/);
+  if (sqlReferenceMatch) {
+    const [, sqlFile, xmlFile] = sqlReferenceMatch;
+    return {
+      actions: [fixAction('Create SQL File', 'create-sql-file', { sqlFile, xmlFile })]
+    };
   }
 
-  // 15. Missing required attributes
-  if (errorMessage.includes('Missing required attributes')) {
-    const matches = errorMessage.match(/in file '([^']+)'/);
-    if (matches) {
-      return {
-        actions: [{
-          label: 'Add Required Attributes',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'add-required-attributes',
-                  details: {
-                    xmlFile: matches[1],
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              if (!response.ok) throw new Error('Failed to add required attributes');
-            } catch (error) {
-              console.error('Failed to add required attributes:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
+  // 7. XML file not declared in its category changelog
+  const undeclaredXmlMatch = errorMessage.match(/^XML file '([^']+)' exists but is not declared in (.+)$/);
+  if (undeclaredXmlMatch) {
+    const [, xmlFile, changelogFile] = undeclaredXmlMatch;
+    return {
+      actions: [fixAction('Add to Category Changelog', 'add-to-changelog', { xmlFile, changelogFile })]
+    };
   }
 
-  // Handler for XML file not declared in category changelog
-  if (errorMessage.includes('exists but is not declared in changelog-')) {
-    const fileMatch = errorMessage.match(/XML file '([^']+)' exists but is not declared in (changelog-\d+-[A-Z_]+\.xml)/);
-    if (fileMatch) {
-      const xmlFile = fileMatch[1];
-      const changelogFile = fileMatch[2];
-      return {
-        actions: [{
-          label: 'Add to Category Changelog',
-          handler: async () => {
-            try {
-              const response = await fetch('http://localhost:3000/api/apply-fix', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  action: 'add-to-changelog',
-                  details: {
-                    xmlFile,
-                    changelogFile,
-                    workingDirectory: window.workingDirectory
-                  }
-                })
-              });
-              if (!response.ok) throw new Error('Failed to add XML to category changelog');
-            } catch (error) {
-              console.error('Failed to add XML to category changelog:', error);
-              throw error;
-            }
-          }
-        }]
-      };
-    }
+  // 8. Category changelog not in the main changelog
+  const undeclaredChangelogMatch = errorMessage.match(/^Changelog file '([^']+)' exists but is not declared in (.+)$/)
+    || errorMessage.match(/^Existing changelog '([^']+)' is not declared in (.+)$/);
+  if (undeclaredChangelogMatch) {
+    const [, changelogFile, mainChangelog] = undeclaredChangelogMatch;
+    return {
+      actions: [fixAction('Add to Main Changelog', 'add-to-main-changelog', { changelogFile, mainChangelog })]
+    };
   }
 
   console.log('No suggestion found for this error');
   return null;
-} 
\ No newline at end of file
+}
\ No newline at end of file
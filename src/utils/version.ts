@@ -1,6 +1,9 @@
+import { Release, ReleasePart } from '../types';
+
+// Current release version from tag-database.xml, e.g. "49" or "49.1"
 export const getVersionFromTag = async (workingDirectory: string): Promise<string | null> => {
     try {
-      const response = await fetch(`http://localhost:3000/api/check-tag-database`, {
+      const response = await fetch(`http://localhost:3000/api/get-version`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -18,4 +21,30 @@ export const getVersionFromTag = async (workingDirectory: string): Promise<strin
       console.error('Error checking tag-database:', error);
       return null;
     }
-  };
\ No newline at end of file
+  };
+
+// Same format the server accepts: major[.minor[.patch]]
+export const isValidVersion = (version: string): boolean => /^\d+(\.\d+){0,2}$/.test(version.trim());
+
+export const getReleases = async (workingDirectory: string): Promise<Release[]> => {
+  const params = new URLSearchParams({ workingDirectory });
+  const response = await fetch(`http://localhost:3000/api/releases?${params}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.releases;
+};
+
+export const createRelease = async (
+  workingDirectory: string,
+  part: ReleasePart,
+  author: string
+): Promise<{ release: Release; created: string[] }> => {
+  const response = await fetch('http://localhost:3000/api/releases', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ workingDirectory, part, author })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data;
+};
@@ -1 +1,6 @@
 /// <reference types="vite/client" />
+
+// Set by the Checker so suggestion handlers know which project they act on
+interface Window {
+  workingDirectory: string;
+}